@@ -1,6 +1,8 @@
-const { JSToTSTranspiler, TypeInferrer } = require('../transpiler');
+const { JSToTSTranspiler, TypeInferrer, TypeStringParser, JSDocParser, ProjectTranspiler, TranspilerCLI, TranspileWatcher, ConfigLoader, MigrationReport, TS_GENERATOR } = require('../transpiler');
+const { generate } = require('astring');
 const fs = require('fs').promises;
 const path = require('path');
+const { execFileSync } = require('child_process');
 
 class TestRunner {
     constructor() {
@@ -260,6 +262,1244 @@ runner.addTest('Complex Object Type Inference', () => {
     runner.assertContains(result, 'complexObject', 'Should contain the variable');
 });
 
+runner.addTest('Printer - Variable, Parameter and Return Annotations', () => {
+    const transpiler = new JSToTSTranspiler({ generateInterfaces: false });
+
+    const result = transpiler.transpileCode(`
+        const count = 42;
+        const tags = ["a", 1];
+        function add(a, b) {
+            return a + b;
+        }
+        const double = (x) => x * 2;
+        const label = (n) => 'item ' + n;
+    `);
+
+    runner.assertContains(result, 'const count: number = 42;');
+    runner.assertContains(result, 'const tags: (string | number)[] = ["a", 1];');
+    runner.assertContains(result, 'function add(a, b) {', '+ with an operand of unknown type may concatenate');
+    runner.assertContains(result, 'const double = (x: number): number => x * 2;');
+    runner.assertContains(result, "const label = (n): string => 'item ' + n;");
+});
+
+runner.addTest('Printer - Class Method Annotations', () => {
+    const transpiler = new JSToTSTranspiler({ generateInterfaces: false });
+
+    const result = transpiler.transpileCode(`
+        class Counter {
+            constructor(start) {
+                this.value = start;
+            }
+            label() {
+                return "count";
+            }
+        }
+    `);
+
+    runner.assertContains(result, 'constructor(start) {', 'Constructors should not get a return type');
+    runner.assertContains(result, 'label(): string {');
+});
+
+runner.addTest('Printer - Type Nodes Round Trip', () => {
+    const transpiler = new JSToTSTranspiler();
+    const types = [
+        '{ a: number; b?: string[] }',
+        '(a: number, ...rest: string[]) => void',
+        '(string | number)[]',
+        '(() => void)[]',
+        'Promise<string | null>',
+        "{ 'content-type': string }",
+        '<T>(arr: T[]) => T | undefined'
+    ];
+
+    types.forEach(type => {
+        runner.assertEquals(generate(transpiler.parseTypeString(type), { generator: TS_GENERATOR }), type);
+    });
+});
+
+runner.addTest('Printer - Unterminated Type Strings Throw', () => {
+    ['<T', '<T>(a', '{ m(a', '[string', '{ a: string', 'Map<string'].forEach(type => {
+        let message = null;
+        try {
+            new TypeStringParser(type).parse();
+        } catch (error) {
+            message = error.message;
+        }
+        runner.assertContains(message || '', `but found end of type '${type}'`);
+    });
+
+    const code = new JSToTSTranspiler().transpileCode('/** @type {{ m(a} */\nlet total = 1;\n');
+    runner.assertContains(code, 'let total: number = 1;', 'A malformed JSDoc type should fall back to inference');
+});
+
+runner.addTest('Comments - Preserved Through Reprint', () => {
+    const transpiler = new JSToTSTranspiler({ generateInterfaces: false });
+
+    const result = transpiler.transpileCode(`/* License: MIT */
+
+/**
+ * Doubles a value.
+ */
+function double(x) {
+    // multiply
+    return x * 2; // inline
+}
+
+const ready = true;
+`);
+
+    runner.assert(result.startsWith('/* License: MIT */\n\n'), 'License header should stay on top');
+    runner.assertContains(result, '/**\n * Doubles a value.\n */\nfunction double(x: number): number {');
+    runner.assertContains(result, '    // multiply\n    return x * 2; // inline\n');
+    runner.assertContains(result, '}\n\nconst ready: boolean = true;', 'Blank lines between statements should be kept');
+});
+
+runner.addTest('Comments - Disabled With preserveComments', () => {
+    const transpiler = new JSToTSTranspiler({ preserveComments: false });
+    const result = transpiler.transpileCode('// note\nconst a = 1;\n');
+
+    runner.assert(!result.includes('// note'), 'Comments should be dropped');
+});
+
+runner.addTest('Minimal Diff - Only Annotations Added', () => {
+    const transpiler = new JSToTSTranspiler({ minimalDiff: true, generateInterfaces: false });
+    const jsCode = `// keep  spacing
+const total = 10 ;
+const square = n => n * n;
+function greet(name , excited) {
+    return name === "x";
+}
+`;
+
+    runner.assertEquals(transpiler.transpileCode(jsCode), `// keep  spacing
+const total: number = 10 ;
+const square = (n: number): number => n * n;
+function greet(name: string , excited): boolean {
+    return name === "x";
+}
+`);
+
+    runner.assertEquals(transpiler.transpileCode('class Base {}\nclass Child extends Base { constructor() { super(); this.retries = 3; } }\n'),
+        'class Base {}\nclass Child extends Base {\n    retries: number;\n    constructor() { super(); this.retries = 3; }\n}\n',
+        'Fields added to a single-line class are indented');
+});
+
+runner.addTest('JSDoc - Type Expression Conversion', () => {
+    const parser = new JSDocParser();
+    const convert = expression => parser.convertType(expression).type;
+
+    runner.assertEquals(convert('Array.<string>'), 'string[]');
+    runner.assertEquals(convert('Object.<string, number>'), 'Record<string, number>');
+    runner.assertEquals(convert('(string|number)[]'), '(string | number)[]');
+    runner.assertEquals(convert('?Date'), 'Date | null');
+    runner.assertEquals(convert('function(string): boolean'), '(arg0: string) => boolean');
+    runner.assert(parser.convertType('...number').rest, 'Rest marker should be detected');
+});
+
+runner.addTest('JSDoc - Preferred Over Inference', () => {
+    const transpiler = new JSToTSTranspiler();
+
+    const result = transpiler.transpileCode(`
+        /**
+         * @template T
+         * @param {Array.<T>} items
+         * @param {string} [label]
+         * @param {...number} sizes
+         * @returns {Promise<T>}
+         */
+        async function first(items, label, ...sizes) {
+            return items[0] * 2;
+        }
+
+        /** @type {number | null} */
+        let current = null;
+
+        /** @param {string} name @param {boolean} loud */
+        function shout(name, loud) {}
+    `);
+
+    runner.assertContains(result, 'async function first<T>(items: T[], label?: string, ...sizes: number[]): Promise<T> {');
+    runner.assertContains(result, 'let current: number | null = null;');
+    runner.assertContains(result, 'function shout(name: string, loud: boolean): void {}', 'Tags after the first on a line count too');
+});
+
+runner.addTest('JSDoc - Typedef Declarations And Stripping', () => {
+    const transpiler = new JSToTSTranspiler({ stripJSDocTypes: true });
+
+    const result = transpiler.transpileCode(`
+        /**
+         * @typedef {Object} User
+         * @property {string} name
+         * @property {number} [age]
+         */
+
+        /**
+         * Greets a user.
+         * @param {User} user - who to greet
+         * @returns {string}
+         */
+        function greet(user) {
+            return user.name;
+        }
+
+        /** @param {number} a @param {number} b */
+        function add(a, b) {
+            return a + b;
+        }
+    `);
+
+    runner.assertContains(result, 'interface User { name: string; age?: number }');
+    runner.assertContains(result, ' * @param user - who to greet');
+    runner.assertContains(result, '/** @param a @param b */', 'Single-line comments stay on one line and keep the JSDoc opener');
+    runner.assertContains(result, 'function greet(user: User): string {');
+    runner.assert(!result.includes('@typedef'), 'Converted typedefs should be stripped');
+    runner.assert(!result.includes('@returns'), 'Type-only @returns tags should be stripped');
+});
+
+runner.addTest('Modules - Require Becomes Import', () => {
+    const transpiler = new JSToTSTranspiler({ generateInterfaces: false });
+
+    const result = transpiler.transpileCode(`const fs = require('fs');
+const { join, resolve: res } = require('path');
+require('./setup');
+
+function load(name) {
+    if (name) {
+        const lazy = require('lazy');
+    }
+}
+`);
+
+    runner.assertContains(result, "import fs from 'fs';");
+    runner.assertContains(result, "import {join, resolve as res} from 'path';");
+    runner.assertContains(result, "import './setup';");
+    runner.assertContains(result, "const lazy = require('lazy');", 'Nested requires should be left as is');
+    runner.assertEquals(transpiler.diagnostics.length, 1);
+    runner.assertEquals(transpiler.diagnostics[0].code, 'cjs-nested-require');
+    runner.assertEquals(transpiler.diagnostics[0].line, 7);
+});
+
+runner.addTest('Modules - Exports And Interop Modes', () => {
+    const jsCode = `const path = require('path');
+function helper() {}
+exports.helper = helper;
+exports.version = "1.0";
+if (typeof module !== 'undefined') {
+    module.exports.extra = 1;
+}
+`;
+
+    const named = new JSToTSTranspiler({ generateInterfaces: false }).transpileCode(jsCode);
+    runner.assertContains(named, 'export {helper};');
+    runner.assertContains(named, 'export const version: string = "1.0";');
+    runner.assertContains(named, 'export const extra: number = 1;');
+
+    const required = new JSToTSTranspiler({ moduleInterop: 'require' })
+        .transpileCode("const path = require('path');\nmodule.exports = path.join;\n");
+    runner.assertContains(required, "import path = require('path');");
+    runner.assertContains(required, 'export = path.join;');
+
+    const namespaced = new JSToTSTranspiler({ moduleInterop: 'namespace' }).transpileCode(jsCode);
+    runner.assertContains(namespaced, "import * as path from 'path';");
+});
+
+runner.addTest('Modules - Object Exports In Minimal Diff', () => {
+    const transpiler = new JSToTSTranspiler({ minimalDiff: true, generateInterfaces: false });
+    const jsCode = `const util = require('util') ;
+function add(a, b) { return a + b; }
+module.exports = { add, twice: (n) => n * 2 };
+`;
+
+    runner.assertEquals(transpiler.transpileCode(jsCode), `import util from 'util';
+function add(a, b) { return a + b; }
+export const twice = (n: number): number => n * 2;
+export {add};
+`);
+});
+
+runner.addTest('Modules - Info Diagnostics Are Not Warnings', async () => {
+    const root = path.join(__dirname, 'temp', 'info');
+    const logged = { log: [], warn: [] };
+    const original = { log: console.log, warn: console.warn };
+
+    try {
+        await fs.mkdir(root, { recursive: true });
+        await fs.writeFile(path.join(root, 'config.js'), "module.exports = { 'max-size': 10 };\n");
+
+        console.log = message => logged.log.push(message);
+        console.warn = message => logged.warn.push(message);
+        await new JSToTSTranspiler().transpile(path.join(root, 'config.js'), path.join(root, 'config.ts'));
+    } finally {
+        Object.assign(console, original);
+        await fs.rm(root, { recursive: true, force: true });
+    }
+
+    runner.assertEquals(logged.warn.length, 0, 'Info diagnostics should not print as warnings');
+    runner.assert(logged.log.some(message => message.startsWith('ℹ️  ') && message.includes('exported as default')),
+        'Info diagnostics should get their own prefix');
+});
+
+runner.addTest('Call Sites - Parameter Types From Local Calls', () => {
+    const jsCode = `function calculateDiscount(price, percent, tier) {
+    return price * percent;
+}
+calculateDiscount(100, 15, "premium");
+calculateDiscount(80, 10);
+
+function describe(value) {
+    return "value";
+}
+describe(42);
+describe(input);
+describe(other);
+
+function fmt(n) {
+    return n.toFixed(2);
+}
+fmt("3");
+
+function parse(s) {
+    return s.trim();
+}
+parse(" a ");
+function run(parse) {
+    return parse(42);
+}
+`;
+
+    const transpiler = new JSToTSTranspiler({ generateInterfaces: false });
+    const result = transpiler.transpileCode(jsCode);
+    runner.assertContains(result, 'function calculateDiscount(price: number, percent: number, tier?: string): number {');
+    runner.assertContains(result, 'function fmt(n): string {', 'Arguments the body cannot take do not widen its type');
+    runner.assertContains(result, 'function parse(s: string): string {', 'Calls through a shadowing parameter are not the outer function\'s');
+    runner.assert(transpiler.diagnostics.some(diagnostic => diagnostic.code === 'conflicting-evidence' &&
+        diagnostic.message === "Parameter 'n' left untyped: conflicting evidence (used as number, called with string)"));
+    runner.assertContains(result, 'function describe(value): string {', 'One known call site out of three is below the threshold');
+
+    const lenient = new JSToTSTranspiler({ generateInterfaces: false, callSiteConfidence: 0.3 }).transpileCode(jsCode);
+    runner.assertContains(lenient, 'function describe(value: number): string {');
+});
+
+runner.addTest('Symbol Table - Identifier And Member Lookup', () => {
+    const transpiler = new JSToTSTranspiler({ generateInterfaces: false });
+
+    const result = transpiler.transpileCode(`
+        const a = 5;
+        const b = a * 2;
+        const c = b;
+        const user = { name: "Ann", address: { city: "Oslo" }, tags: ["x"] };
+        const city = user.address.city;
+        const first = user.tags[0];
+        const { name } = user;
+        function shadow(a) {
+            return a;
+        }
+        for (const tag of user.tags) {
+            const copy = tag;
+        }
+    `);
+
+    runner.assertContains(result, 'const c: number = b;');
+    runner.assertContains(result, 'const city: string = user.address.city;');
+    runner.assertContains(result, 'const first: string = user.tags[0];');
+    runner.assertContains(result, 'const {name}: { name: string;');
+    runner.assertContains(result, 'function shadow<T>(a: T): T {', 'Parameters shadow outer bindings');
+    runner.assertContains(result, 'const copy: string = tag;');
+});
+
+runner.addTest('Symbol Table - Operator Expressions', () => {
+    const transpiler = new JSToTSTranspiler({ generateInterfaces: false });
+
+    const result = transpiler.transpileCode(`
+        const count = 3;
+        const label = \`\${count} items\`;
+        const empty = !count;
+        const kind = typeof count;
+        const title = label ?? "none";
+        const size = count > 1 ? "big" : 0;
+        const message = "Total: " + count;
+        const sum = count + 1;
+        function join(base, path) {
+            const url = base + path;
+            return url;
+        }
+        const field = String(count);
+        const byName = { [field]: 1, fixed: 'a', ['quoted']: true };
+        const counter = { get value() { return 1; }, set value(next) {}, set step(size) { this.size = size * 2; } };
+    `);
+
+    runner.assertContains(result, 'const label: string =');
+    runner.assertContains(result, 'const empty: boolean = !count;');
+    runner.assertContains(result, 'const kind: string = typeof count;');
+    runner.assertContains(result, 'const title: string = label ?? "none";');
+    runner.assertContains(result, 'const size: string | number = count > 1 ? "big" : 0;');
+    runner.assertContains(result, 'const message: string = "Total: " + count;');
+    runner.assertContains(result, 'const sum: number = count + 1;');
+    runner.assertContains(result, 'function join(base, path) {', 'Parameters used with + are not assumed to be numbers');
+    runner.assertContains(result, '    const url = base + path;', 'Operands of unknown type may concatenate as well as add');
+    runner.assertContains(result, "const byName: { fixed: string; quoted: boolean; [key: string]: number | string | boolean } = {",
+        'Computed keys become an index signature');
+    runner.assertContains(result, 'const counter: { value: number; step: number } = {', 'Accessor pairs are one property typed by the getter');
+});
+
+runner.addTest('Parameters - Own References On Either Side', () => {
+    const source = `function f(x) {
+    const g = (x) => x.toUpperCase();
+    return x * 2;
+}
+const triple = (b) => 3 * b;
+`;
+
+    for (const strictMode of [false, true]) {
+        const result = new JSToTSTranspiler({ strictMode }).transpileCode(source);
+        runner.assertContains(result, 'function f(x: number): number {', 'A shadowing parameter is another variable');
+        runner.assertContains(result, 'const g = (x: string): string => x.toUpperCase();');
+        runner.assertContains(result, 'const triple = (b: number): number => 3 * b;', 'Right operands are evidence too');
+    }
+});
+
+runner.addTest('Reassignment - Let Bindings Widen And Narrow', () => {
+    const transpiler = new JSToTSTranspiler({ generateInterfaces: false });
+
+    const result = transpiler.transpileCode(`
+        let count = null;
+        if (ready) {
+            count = 5;
+        }
+        let total = 0;
+        total = total + 1;
+        let label;
+        label = "none";
+        if (count !== null) {
+            const safe = count;
+        }
+        for (const key in settings) {}
+        let [first, second] = [1, 2];
+        first = "x";
+        let { retries } = { retries: 3 };
+        retries = null;
+    `);
+
+    runner.assertContains(result, 'let count: number | null = null;');
+    runner.assertContains(result, 'let total: number = 0;');
+    runner.assertContains(result, 'let label: string;');
+    runner.assertContains(result, 'const safe: number = count;', 'Null checks should narrow the union');
+    runner.assertContains(result, 'for (const key in settings) {}', 'Loop heads cannot carry annotations');
+    runner.assertContains(result, 'let [first, second]: (number | string)[] = [1, 2];', 'Reassigned pattern bindings widen the declaration');
+    runner.assertContains(result, 'let {retries}: { retries: number | null } = {');
+});
+
+runner.addTest('Reassignment - Literal Const Types In Strict Mode', () => {
+    const jsCode = 'const mode = "dark";\nconst retries = 3;\nconst offset = -1;\n';
+
+    const strict = new JSToTSTranspiler({ strictMode: true }).transpileCode(jsCode);
+    runner.assertContains(strict, "const mode: 'dark' = \"dark\";");
+    runner.assertContains(strict, 'const retries: 3 = 3;');
+    runner.assertContains(strict, 'const offset: -1 = -1;');
+
+    const loose = new JSToTSTranspiler().transpileCode(jsCode);
+    runner.assertContains(loose, 'const mode: string = "dark";');
+});
+
+runner.addTest('Built-ins - Call Results And Callback Contexts', () => {
+    const transpiler = new JSToTSTranspiler({ generateInterfaces: false });
+
+    const result = transpiler.transpileCode(`import { join } from 'path';
+const prices = [10, 20];
+const labels = prices.map(price => price.toFixed(2));
+const first = prices.find(price => price > 15);
+const words = "a b".split(" ");
+const largest = Math.max(...prices);
+const created = new Date();
+const file = join("src", "app.js");
+function format(amount) {
+    return amount.toFixed(1);
+}
+`);
+
+    runner.assertContains(result, 'const labels: string[] = prices.map((price): string => price.toFixed(2));',
+        'Callback parameters are typed by the receiver, not annotated');
+    runner.assertContains(result, 'const first: number | undefined =');
+    runner.assertContains(result, 'const words: string[] =');
+    runner.assertContains(result, 'const largest: number = Math.max(...prices);');
+    runner.assertContains(result, 'const created: Date = new Date();');
+    runner.assertContains(result, 'const file: string = join("src", "app.js");');
+    runner.assertContains(result, 'function format(amount: number): string {', 'Receiver methods imply parameter types');
+});
+
+runner.addTest('Built-ins - User Declarations', () => {
+    const transpiler = new JSToTSTranspiler({
+        declarations: {
+            globals: { fetchWidget: 'Promise<Widget>' },
+            modules: { lodash: { chunk: 'unknown[][]' } },
+            methods: { String: { shout: 'string' } }
+        }
+    });
+
+    const result = transpiler.transpileCode(`import _ from 'lodash';
+const widget = fetchWidget(1);
+const groups = _.chunk([1, 2], 1);
+`);
+
+    runner.assertContains(result, 'const widget: Promise<Widget> = fetchWidget(1);');
+    runner.assertContains(result, 'const groups: unknown[][] = _.chunk([1, 2], 1);');
+    runner.assertEquals(transpiler.typeInferrer.catalog.getMethod('String', 'trim'), 'string', 'Built-ins stay available');
+});
+
+runner.addTest('Project - Types Flow Across Files', () => {
+    const project = new ProjectTranspiler({ generateInterfaces: false });
+    const sources = new Map([
+        ['/project/app.js', `const utils = require('./utils');
+const { formatLabel } = require('./lib/format');
+const theme = require('./theme');
+
+const total = utils.applyDiscount(100, 0.15);
+const title = formatLabel("Total", 2);
+const current = theme;
+`],
+        ['/project/utils.js', `function applyDiscount(price, rate) {
+    return price - price * rate;
+}
+module.exports = { applyDiscount };
+`],
+        ['/project/lib/format.js', `exports.formatLabel = function (label, value) {
+    return String(value);
+};
+`],
+        ['/project/theme.js', `module.exports = "dark";
+`]
+    ]);
+
+    const outputs = project.transpileSources(sources);
+    const app = outputs.get('/project/app.js').code;
+
+    runner.assertEquals([...outputs.keys()][0], '/project/app.js', 'Outputs should keep the input order');
+    runner.assertContains(app, "import * as utils from './utils';", 'Modules without a default export are imported as namespaces');
+    runner.assertContains(app, "import theme from './theme';");
+    runner.assertContains(app, 'const total: number = utils.applyDiscount(100, 0.15);');
+    runner.assertContains(app, 'const title: string = formatLabel("Total", 2);');
+    runner.assertContains(app, 'const current: string = theme;');
+    runner.assertContains(
+        outputs.get('/project/lib/format.js').code,
+        'export const formatLabel = function (label: string, value: number): string {',
+        'Parameter types should come from call sites in other files'
+    );
+});
+
+runner.addTest('Check - Type Errors Map To The Source', () => {
+    const transpiler = new JSToTSTranspiler({ check: true, minimalDiff: true });
+    transpiler.transpileCode(`const fs = require('fs');
+
+function double(value) {
+    return value * 2;
+}
+double(2).trim();
+`);
+
+    const errors = transpiler.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    runner.assertEquals(errors.length, 1, 'Missing modules and Node.js globals are not reported');
+    runner.assertEquals(errors[0].code, 'ts2339');
+    runner.assertEquals(`${errors[0].line}:${errors[0].column}`, '6:11', 'Errors point at the JavaScript source');
+});
+
+runner.addTest('Check - Auto-Downgrade Failing Annotations', () => {
+    const transpiler = new JSToTSTranspiler({ check: true, autoDowngrade: true, strictMode: true });
+    const result = transpiler.transpileCode(`/** @param {string} name */
+function greet(name) {
+    return name.toUpperCase();
+}
+function double(value) {
+    return value * 2;
+}
+double('x');
+const twice = double(2);
+const first = [1, 2].find(item => item > 1);
+const fixed = first.toFixed(1);
+`);
+
+    runner.assertContains(result, 'function double(value: any): number {', 'Parameters blamed for an error are downgraded');
+    runner.assertContains(result, 'const first: any =');
+    runner.assertContains(result, 'const twice: number =', 'Annotations that compile are kept');
+    runner.assertContains(result, 'function greet(name: string): string {', 'JSDoc types are kept');
+    runner.assertEquals(transpiler.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length, 0);
+    runner.assertEquals(transpiler.diagnostics.filter(diagnostic => diagnostic.code === 'check-downgraded').length, 2);
+});
+
+runner.addTest('Check - Auto-Downgrade Traces Fields', () => {
+    const transpiler = new JSToTSTranspiler({ check: true, autoDowngrade: true, strictMode: true, fileName: 'client.ts' });
+    const result = transpiler.transpileCode(`class Client {
+    constructor(transport) {
+        this.transport = transport;
+        this.sent = 0;
+    }
+    send(message) {
+        this.sent++;
+        return this.transport.write(message);
+    }
+}
+`);
+
+    runner.assertContains(result, 'transport: any;', 'Fields blamed through this-members are downgraded');
+    runner.assertContains(result, 'sent: number;');
+    runner.assertEquals(transpiler.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length, 0);
+    const downgrade = transpiler.diagnostics.find(diagnostic => diagnostic.code === 'check-downgraded');
+    runner.assert(downgrade && downgrade.line === 3, 'Synthesized fields are reported at their first assignment');
+});
+
+runner.addTest('Interface Generator - Names And Structural Dedupe', () => {
+    const generator = new JSToTSTranspiler().interfaceGenerator;
+
+    runner.assertEquals(generator.generateInterface('{ a: number; b: string }', 'Point'), 'Point');
+    runner.assertEquals(generator.generateInterface('{ b: string; a: number }', 'Other'), 'Point', 'Key order should not matter');
+    runner.assertEquals(generator.generateInterface('{ x: boolean }', 'Point'), 'Point2', 'Colliding names get a suffix');
+    runner.assertEquals(generator.generateInterface('{ a: number; b: string; c: boolean }', 'Extended'), 'Point',
+        'Near-identical shapes are merged');
+    runner.assertEquals(generator.generateInterface('{ q: null }'), 'Interface1', 'Unnamed objects fall back to numbering');
+    runner.assertContains(generator.getInterfaceDeclarations().join('\n'), 'interface Point { a: number; b: string; c?: boolean }');
+
+    // Strict null checks would reject members made optional after earlier bindings used them
+    const strict = new JSToTSTranspiler({ strictMode: true }).interfaceGenerator;
+    runner.assertEquals(strict.generateInterface('{ a: number; b: string; c: boolean }', 'Point'), 'Point');
+    runner.assertEquals(strict.generateInterface('{ a: number; b: string }', 'Flat'), 'Flat', 'Strict mode does not merge shapes');
+});
+
+runner.addTest('Interface Generator - Names From Bindings', () => {
+    const transpiler = new JSToTSTranspiler();
+    const result = transpiler.transpileCode(`class Settings {}
+const userProfile = {
+    name: "Ada",
+    age: 36,
+    settings: { theme: "dark", fontSize: 14, compact: true }
+};
+const settings = { volume: 1, muted: false, balance: 0 };
+`);
+
+    runner.assertContains(result, 'interface UserProfile {');
+    runner.assertContains(result, 'interface UserProfileSettings { theme: string; fontSize: number; compact: boolean }',
+        'Nested objects are named after the property path');
+    runner.assertContains(result, 'interface Settings2 {', 'Names of local classes are not reused');
+});
+
+runner.addTest('Interface Generator - Nested Interfaces And References', () => {
+    const source = `'use strict';
+const userProfile = {
+    name: "Ada",
+    settings: { theme: "dark", notifications: { email: true } },
+    tags: ["admin"]
+};
+const theme = userProfile.settings.theme;
+`;
+    const result = new JSToTSTranspiler().transpileCode(source);
+
+    runner.assertContains(result, `'use strict';
+
+interface UserProfileSettingsNotifications { email: boolean }`, 'Declarations go below directives');
+    runner.assertContains(result, 'interface UserProfileSettings { theme: string; notifications: UserProfileSettingsNotifications }');
+    runner.assertContains(result, 'interface UserProfile { name: string; settings: UserProfileSettings; tags: string[] }');
+    runner.assertContains(result, 'const userProfile: UserProfile = {', 'Variables are annotated with their interface');
+    runner.assertContains(result, 'const theme: string = userProfile.settings.theme;', 'Members resolve through interfaces');
+
+    const aliases = new JSToTSTranspiler({ objectTypeStyle: 'type' }).transpileCode(source);
+    runner.assertContains(aliases, 'type UserProfileSettings = { theme: string; notifications: UserProfileSettingsNotifications };');
+});
+
+runner.addTest('Classes - Fields From This Assignments', () => {
+    const source = `class Player {
+    static count = 0;
+    #health = 100;
+
+    constructor(name) {
+        this.name = name;
+        this._score = 0;
+    }
+
+    start() {
+        this.startedAt = Date.now();
+    }
+
+    get label() {
+        return this.name.toUpperCase();
+    }
+
+    set label(value) {
+        this.name = value;
+    }
+}
+
+const player = new Player("Ada");
+const name = player.name;
+`;
+    const result = new JSToTSTranspiler({ underscoreAccessibility: 'private' }).transpileCode(source);
+
+    runner.assertContains(result, `    static count: number = 0;
+    #health: number = 100;
+    name: string;
+    private _score: number;
+    startedAt?: number;
+
+    constructor(name: string) {`, 'Assigned fields are declared after the existing ones');
+    runner.assertContains(result, 'get label(): string {');
+    runner.assertContains(result, 'set label(value: string) {', 'Setters take the type of their getter');
+    runner.assertContains(result, 'const name: string = player.name;', 'Instances expose their field types');
+
+    const minimal = new JSToTSTranspiler({ minimalDiff: true }).transpileCode(source);
+    runner.assertContains(minimal, `    #health: number = 100;
+    name: string;
+    _score: number;
+    startedAt?: number;
+
+    constructor(name: string) {`);
+
+    const containers = `class Registry {
+    constructor(source) {
+        this.cache = new Map();
+        this.seen = new Set();
+        this.source = source;
+    }
+}
+`;
+    runner.assertContains(new JSToTSTranspiler().transpileCode(containers),
+        '    cache: Map<unknown, unknown>;\n    seen: Set<unknown>;\n    source;\n', 'Untyped fields get the same fallback as variables');
+    runner.assertContains(new JSToTSTranspiler({ strictMode: true }).transpileCode(containers), '    source: unknown;\n');
+});
+
+runner.addTest('Generics - Polymorphic Functions And Containers', () => {
+    const result = new JSToTSTranspiler().transpileCode(`const first = (arr) => arr[0];
+function identity(value) {
+    return value;
+}
+function mapAll(items, fn) {
+    return items.map(item => fn(item));
+}
+const cache = new Map();
+cache.set("a", 1);
+const seen = new Set();
+seen.add(true);
+const counts = {};
+counts[key] = 1;
+async function load() {
+    return 42;
+}
+const n = identity("x");
+const flag = identity(true);
+const doubled = mapAll([1, 2], x => x * 2);
+const shouted = mapAll(["a"], text => text + "!");
+function price(amount) {
+    return amount;
+}
+price(10);
+price(12.5);
+function active(records) {
+    return records.filter(record => record.status === "active").map(record => record.value * 2);
+}
+function doubleAll(values) {
+    return values.map(value => value * 2);
+}
+`);
+
+    runner.assertContains(result, 'const first = <T>(arr: T[]): T | undefined => arr[0];');
+    runner.assertContains(result, 'function identity<T>(value: T): T {');
+    runner.assertContains(result, 'function mapAll<T, R>(items: T[], fn: (item: T) => R): R[] {');
+    runner.assertContains(result, 'const cache: Map<string, number> = new Map();');
+    runner.assertContains(result, 'const seen: Set<boolean> = new Set();');
+    runner.assertContains(result, 'const counts: Record<string, number> = {};');
+    runner.assertContains(result, 'async function load(): Promise<number> {');
+    runner.assertContains(result, 'const n: string = identity("x");', 'Calls bind type parameters from their arguments');
+    runner.assertContains(result, 'const doubled: number[] = mapAll([1, 2], ');
+    runner.assertContains(result, 'function price(amount: number): number {', 'Calls that agree pin the type instead of a type variable');
+    runner.assertContains(result, 'function active(records: { status: string; value: number }[]): number[] {',
+        'Elements whose members are read get a structural type');
+    runner.assertContains(result, 'function doubleAll(values: number[]): number[] {', 'Elements used as numbers are not a type variable');
+
+    const strict = new JSToTSTranspiler({ strictMode: true });
+    runner.assertContains(strict.transpileCode(`function active(records) {
+    return records.filter(record => record.status === "active").map(record => record.value * 2);
+}
+`), 'function active(records: { status: string; value: number }[])', 'Strict mode takes the shape as agreeing evidence');
+});
+
+runner.addTest('Return Types - Async, Generators And Promises', () => {
+    const result = new JSToTSTranspiler().transpileCode(`function outer(items) {
+    items.forEach(item => {
+        return "inner";
+    });
+    return items.length;
+}
+async function fetchCount() {
+    const value = await Promise.resolve(5);
+    return value;
+}
+async function nothing() {
+    await fetchCount();
+}
+function* counter(limit) {
+    let i = 0;
+    while (i < limit) {
+        yield i;
+        i++;
+    }
+    return "done";
+}
+function* both() {
+    yield* [1, 2];
+    yield "x";
+}
+const ready = new Promise(resolve => setTimeout(() => resolve("ok"), 10));
+function onClick() {
+    return event => event.target.id;
+}
+`);
+
+    runner.assertContains(result, '(items: T[]): number {', 'Nested callback returns do not leak into the outer function');
+    runner.assertContains(result, 'async function fetchCount(): Promise<number> {');
+    runner.assertContains(result, 'const value: number = await Promise.resolve(5);');
+    runner.assertContains(result, 'async function nothing(): Promise<void> {');
+    runner.assertContains(result, 'function* counter(limit): Generator<number, string, undefined> {');
+    runner.assertContains(result, 'function* both(): Generator<number | string, void, undefined> {');
+    runner.assertContains(result, 'const ready: Promise<string> = new Promise(resolve => ');
+    runner.assertContains(result, 'function onClick(): (event: any) => unknown {',
+        'Returned functions do not give their untyped parameters unknown');
+});
+
+runner.addTest('Parameters - Destructuring, Defaults And Rest', () => {
+    const result = new JSToTSTranspiler().transpileCode(`function f({ a, b } = {}, ...rest) {
+    return a + rest.length;
+}
+function g([first, second], x = 10, { name, age = 3 }) {
+    return name.toUpperCase() + first * 2;
+}
+function h(options = { verbose: false }, ...names) {
+    return options.verbose;
+}
+const obj = { m: function (w = "s", { q } = {}) { return w; } };
+h({ verbose: true }, "a", "b");
+function point([c, d] = [1, 2], [label, extra] = ['origin']) { return label; }
+`);
+
+    runner.assertContains(result, 'function f({a, b}: { a?: number; b?: unknown } = {}, ...rest: unknown[]): number {');
+    runner.assertContains(result, '[first, second]: [number, unknown], x: number = 10, {name, age = 3}: { name: string; age?: number }): string {',
+        'Pattern members resolve through the annotation');
+    runner.assertContains(result, '...names: string[]): boolean {', 'Rest parameters collect the remaining arguments');
+    runner.assertContains(result, 'm: (w?: string, arg1?: { q?: unknown }) => string', 'Function types name patterns by position');
+    runner.assert(!result.includes('undefined: unknown'), 'Pattern parameters should not be named undefined');
+    runner.assertContains(result, "function point([c, d]: [number, number] = [1, 2], [label, extra]: [string, unknown?] = ['origin']): string {",
+        'Tuple elements take the types of a literal default');
+});
+
+runner.addTest('Literal Types - Enums And Literal Unions', () => {
+    const source = `const Status = Object.freeze({
+    ACTIVE: 'active',
+    INACTIVE: 'inactive'
+});
+export const Priority = { LOW: 1, HIGH: 2 };
+function getDiscount(membershipLevel) {
+    if (membershipLevel === "premium") {
+        return 0.2;
+    }
+    return 0.05;
+}
+getDiscount("premium");
+getDiscount("basic");
+let mode = 'idle';
+function start() { mode = 'running'; }
+function setStatus(status) {
+    if (status === Status.INACTIVE) return;
+}
+setStatus(Status.ACTIVE);
+function isKnown(status) {
+    return status === Status.ACTIVE || status === 'archived';
+}
+`;
+
+    const enums = new JSToTSTranspiler({ literalTypes: 'enum' }).transpileCode(source);
+    runner.assertContains(enums, "enum Status {\n    ACTIVE = 'active',\n    INACTIVE = 'inactive'\n}");
+    runner.assertContains(enums, '} as const;\nexport type Priority = typeof Priority[keyof typeof Priority];',
+        'Number values are not turned into an enum');
+    runner.assertContains(enums, "function getDiscount(membershipLevel: 'premium' | 'basic'): number {");
+    runner.assertContains(enums, "let mode: 'idle' | 'running' = 'idle';");
+    runner.assertContains(enums, 'function setStatus(status: Status): void {');
+    runner.assertContains(enums, 'function isKnown(status: string): boolean {', 'Literals collapse into their widened type');
+
+    const constants = new JSToTSTranspiler({ literalTypes: 'const' }).transpileCode(source);
+    runner.assertContains(constants, "    INACTIVE: 'inactive'\n} as const);\ntype Status = typeof Status[keyof typeof Status];");
+
+    const plain = new JSToTSTranspiler().transpileCode(source);
+    runner.assertContains(plain, 'function getDiscount(membershipLevel: string): number {', 'Literal types are opt-in');
+});
+
+runner.addTest('Literal Types - Separators Inside String Literals', () => {
+    const code = new JSToTSTranspiler({ literalTypes: 'enum' }).transpileCode(`let sep = ' | ';
+function comma() { sep = ', '; }
+let tag = '<T>';
+function brace() { tag = '{ a }'; }
+function label(kind) {
+    return kind === 'a|b' ? 1 : 2;
+}
+label('a|b');
+label('c,d');
+`);
+
+    runner.assertContains(code, "let sep: ' | ' | ', ' = ' | ';");
+    runner.assertContains(code, "let tag: '<T>' | '{ a }' = '<T>';");
+    runner.assertContains(code, "function label(kind: 'a|b' | 'c,d'): number {");
+});
+
+runner.addTest('Declarations - Signatures Without Bodies', () => {
+    const result = new JSToTSTranspiler({ declaration: true }).transpileCode(`let counter = 0;
+export function add(a, b = 2) {
+    return a + b;
+}
+export const greet = (name) => \`Hello \${name}\`;
+export class Store {
+    #secret = 1;
+    constructor(name) {
+        this.name = name;
+    }
+    async load({ path, retries = 3 } = {}) {
+        return retries * path.length;
+    }
+}
+function helper() { counter++; }
+export default { add };
+`);
+
+    runner.assertContains(result, 'declare let counter: number;');
+    runner.assertContains(result, 'export declare function add(a: number, b?: number): number;');
+    runner.assertContains(result, 'export declare const greet: (name: any) => string;');
+    runner.assertContains(result, 'export declare class Store {\n    #private;\n    name: any;\n    constructor(name: any);');
+    runner.assertContains(result, '    load({path, retries}?: { path?: unknown; retries?: number }): Promise<number>;\n}',
+        'Methods lose their bodies, defaults and async modifier');
+    runner.assertContains(result, 'declare function helper(): void;');
+    runner.assertContains(result, 'declare const _default: ');
+    runner.assertContains(result, 'export default _default;');
+    runner.assert(!result.includes('counter++') && !result.includes('= 0'), 'Bodies and initializers should be stripped');
+});
+
+runner.addTest('Source Maps - Output Back To JavaScript', () => {
+    const source = 'function add(a, b) {\n    return a + b;\n}\n\nconst total = add(1, 2);\n';
+    const digits = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    // Absolute [generatedLine, generatedColumn, sourceLine, sourceColumn] of every segment
+    const decode = mappings => {
+        const segments = [];
+        let sourceLine = 0;
+        let sourceColumn = 0;
+        mappings.split(';').forEach((line, generatedLine) => {
+            let generatedColumn = 0;
+            line.split(',').filter(Boolean).forEach(segment => {
+                const values = [];
+                let value = 0;
+                let shift = 0;
+                for (const char of segment) {
+                    const digit = digits.indexOf(char);
+                    value += (digit & 31) << shift;
+                    if (digit & 32) {
+                        shift += 5;
+                    } else {
+                        values.push(value & 1 ? -(value >> 1) : value >> 1);
+                        value = 0;
+                        shift = 0;
+                    }
+                }
+                generatedColumn += values[0];
+                sourceLine += values[2];
+                sourceColumn += values[3];
+                segments.push([generatedLine, generatedColumn, sourceLine, sourceColumn]);
+            });
+        });
+        return segments;
+    };
+
+    [false, true].forEach(minimalDiff => {
+        const { code, map } = new JSToTSTranspiler({ minimalDiff }).transpileWithMap(source, { source: 'add.js', file: 'add.ts' });
+        runner.assertEquals(map.version, 3);
+        runner.assertEquals(map.sources[0], 'add.js');
+        runner.assertEquals(map.sourcesContent[0], source);
+        runner.assert(map.names.includes('total'), 'Identifiers should be named');
+
+        const generatedLine = code.split('\n').indexOf('const total: number = add(1, 2);');
+        const mapped = decode(map.mappings).filter(segment => segment[0] === generatedLine);
+        runner.assert(mapped.some(([, column, line, sourceColumn]) => column === 22 && line === 4 && sourceColumn === 14),
+            'The call after the inserted annotation should map back to its original column');
+    });
+
+    runner.assertEquals(new JSToTSTranspiler({ declaration: true }).transpileWithMap(source).map, null);
+});
+
+runner.addTest('Directories - Recursive Globs And Output Directory', async () => {
+    const root = path.join(__dirname, 'temp', 'tree');
+    const sourceDir = path.join(root, 'src');
+    const outDir = path.join(root, 'out');
+    const files = {
+        'app.js': 'export const port = 8080;\n',
+        'lib/format.mjs': 'export function pad(text) { return text.padStart(4); }\n',
+        'lib/legacy.cjs': 'module.exports = { retries: 3 };\n',
+        'lib/view.jsx': 'export const view = <div />;\n',
+        'lib/format.test.js': 'const checked = true;\n',
+        'bundle.js.map.js': 'const mapped = 1;\n',
+        'generated/schema.js': 'const schema = {};\n',
+        'node_modules/dep/index.js': 'module.exports = 1;\n',
+        '.gitignore': 'generated/\n'
+    };
+
+    try {
+        for (const [file, content] of Object.entries(files)) {
+            await fs.mkdir(path.dirname(path.join(sourceDir, file)), { recursive: true });
+            await fs.writeFile(path.join(sourceDir, file), content);
+        }
+
+        await new TranspilerCLI().transpileDirectory(sourceDir, { outDir, exclude: ['*.test.js'] });
+
+        const written = [];
+        const collect = async dir => {
+            for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) await collect(entryPath); else written.push(path.relative(outDir, entryPath).split(path.sep).join('/'));
+            }
+        };
+        await collect(outDir);
+
+        runner.assertEquals(written.sort().join(', '), 'app.ts, bundle.js.map.ts, lib/format.mts, lib/legacy.cts',
+            'Ignored, excluded, JSX and node_modules files should be skipped');
+        runner.assertContains(await fs.readFile(path.join(outDir, 'lib/format.mts'), 'utf8'), 'export function pad(text: string): string {');
+    } finally {
+        await fs.rm(root, { recursive: true, force: true });
+    }
+});
+
+runner.addTest('Configuration - Discovery, Validation And Overrides', async () => {
+    const root = path.join(__dirname, 'temp', 'config');
+    const sourceDir = path.join(root, 'src');
+
+    try {
+        await fs.mkdir(path.join(sourceDir, 'legacy'), { recursive: true });
+        await fs.writeFile(path.join(root, 'package.json'), JSON.stringify({
+            name: 'fixture',
+            js2ts: { literalTypes: 'const', overrides: { 'src/legacy/**': { convertModules: false } } }
+        }));
+        await fs.writeFile(path.join(sourceDir, 'legacy', 'old.js'), 'module.exports = { retries: 3 };\n');
+        await fs.writeFile(path.join(sourceDir, 'current.js'), 'module.exports = { retries: 3 };\n');
+
+        const config = await new ConfigLoader().find(path.join(sourceDir, 'legacy'));
+        runner.assertEquals(config.path, path.join(root, 'package.json'), 'The nearest package.json with a js2ts key should be found');
+        runner.assertEquals(config.options.literalTypes, 'const');
+
+        await new TranspilerCLI().transpileDirectory(sourceDir, { ...config.options, overrides: config.overrides });
+        runner.assertContains(await fs.readFile(path.join(sourceDir, 'legacy', 'old.ts'), 'utf8'), 'module.exports = {',
+            'Override sections should apply to matching files');
+        runner.assertContains(await fs.readFile(path.join(sourceDir, 'current.ts'), 'utf8'), 'export const retries: number = 3;');
+
+        await fs.writeFile(path.join(sourceDir, '.js2tsrc.json'), JSON.stringify({
+            stricMode: true,
+            literalTypes: 'yes',
+            overrides: { 'legacy/**': { outDir: 'dist' } }
+        }));
+        let message = '';
+        try {
+            await new ConfigLoader().find(sourceDir);
+        } catch (error) {
+            message = error.message;
+        }
+        runner.assertContains(message, "unknown option 'stricMode'");
+        runner.assertContains(message, '\'literalTypes\' must be one of false, "enum", "const", got "yes"');
+        runner.assertContains(message, 'overrides["legacy/**"]: \'outDir\' applies to the whole run and cannot be overridden');
+
+        await fs.writeFile(path.join(sourceDir, '.js2tsrc.json'), JSON.stringify({ outputDirectory: './dist' }));
+        const legacy = await new ConfigLoader().find(sourceDir);
+        runner.assertEquals(legacy.options.outDir, path.join(sourceDir, 'dist'), 'The old outputDirectory key is read as outDir');
+        runner.assert(!('outputDirectory' in legacy.options));
+
+        const cli = new TranspilerCLI();
+        message = '';
+        try {
+            cli.validateOptions(cli.parseArgs(['--literal-types', 'yes', '--call-site-confidence', 'abc', '-i', 'app.js']));
+        } catch (error) {
+            message = error.message;
+        }
+        runner.assertContains(message, 'command line: \'literalTypes\' must be one of false, "enum", "const", got "yes"',
+            'Flags are validated like configuration keys');
+        runner.assertContains(message, "command line: 'callSiteConfidence' must be a number, got NaN");
+    } finally {
+        await fs.rm(root, { recursive: true, force: true });
+    }
+});
+
+runner.addTest('Strict Mode - Nullish, Optional And Conflicting Evidence', () => {
+    const source = `function maybe(x) {
+    if (x > 1) return 1;
+}
+function build(flag) {
+    const result = { name: 'a' };
+    if (flag) result.extra = 1;
+    return result;
+}
+const items = [{ a: 1, b: 'x' }, { a: 2 }];
+function mix(v) {
+    return v.toFixed(2) + v.toUpperCase();
+}
+function orZero(x) {
+    if (x === null) return 0;
+    return x * 2;
+}
+let pending;
+const pattern = /a/g;
+`;
+
+    const transpiler = new JSToTSTranspiler({ strictMode: true });
+    const strict = transpiler.transpileCode(source);
+    runner.assertContains(strict, 'function maybe(x: unknown): number | undefined {', 'Falling off the end returns undefined');
+    runner.assertContains(strict, 'const result: { name: string; extra?: number } = {');
+    runner.assertContains(strict, 'const items: { a: number; b?: string }[] = [');
+    runner.assertContains(strict, 'function mix(v: unknown)', 'Conflicting uses should give unknown');
+    runner.assertContains(strict, 'function orZero(x: number | null): number {');
+    runner.assertContains(strict, 'let pending: unknown;', 'Strict mode leaves no implicit any');
+    runner.assertContains(strict, 'const pattern = /a/g;', 'Initializers TypeScript types itself are not annotated unknown');
+    runner.assert(transpiler.diagnostics.some(diagnostic => diagnostic.code === 'conflicting-evidence' &&
+        diagnostic.message === "Parameter 'v' left untyped: conflicting evidence (used as number and string)"), 'Conflicts should be reported');
+
+    const loose = new JSToTSTranspiler().transpileCode(source);
+    runner.assertContains(loose, 'function maybe(x): number {');
+    runner.assertContains(loose, 'function mix(v: string)');
+    runner.assertContains(loose, 'let pending;');
+});
+
+runner.addTest('Reports - Coverage And Migration Report', () => {
+    const transpiler = new JSToTSTranspiler({ strictMode: true });
+    transpiler.transpileCode(`function pick(count, key) {
+    return count * 2 > 0 ? key : null;
+}
+function mix(v) {
+    return v.toFixed(1) + v.trim();
+}
+let pending;
+const total = [1, 2].map(value => value * 2);
+`);
+
+    const { coverage } = transpiler;
+    runner.assertEquals(coverage.total, 5, 'Callback parameters of built-ins should not be counted');
+    runner.assertEquals(coverage.untyped, 3);
+    runner.assertEquals(coverage.percentage, 40);
+    runner.assertEquals(coverage.untypedBindings.map(binding => `${binding.name}: ${binding.reason}`).join(', '),
+        'key: no evidence, v: conflicting evidence, pending: no evidence');
+
+    const report = new MigrationReport([{ inputPath: 'src/pick.js', outputPath: 'src/pick.ts', coverage, diagnostics: transpiler.diagnostics }],
+        new Date(0));
+    runner.assertEquals(report.summary.diagnostics.warning, 1);
+
+    const markdown = report.format('markdown');
+    runner.assertContains(markdown, '| 1 | 2 | 3 | 40% | 0 | 1 |');
+    runner.assertContains(markdown, '- **warning** `conflicting-evidence` 4:14 Parameter \'v\' left untyped: conflicting evidence (used as number and string)');
+    runner.assertContains(markdown, '- **untyped** variable `pending` 7:5 no evidence');
+
+    runner.assertEquals(JSON.parse(report.format('json')).generatedAt, '1970-01-01T00:00:00.000Z');
+    runner.assertContains(report.format('html'), '<td>src/pick.js</td><td>2</td><td>3</td><td>40%</td><td>1</td>');
+});
+
+runner.addTest('Watch - Retranspiles Changed Files', async () => {
+    const sourceDir = path.join(__dirname, 'temp', 'watch');
+    const mathPath = path.join(sourceDir, 'math.js');
+    const mainPath = path.join(sourceDir, 'main.js');
+    await fs.mkdir(sourceDir, { recursive: true });
+    await fs.writeFile(mathPath, 'function scale(value) { return value * 2; }\nmodule.exports = { scale };\n');
+    await fs.writeFile(mainPath, 'const { scale } = require("./math");\nconst big = scale(4);\n');
+
+    const watcher = new TranspileWatcher(new TranspilerCLI(), { directory: sourceDir, project: true });
+    try {
+        await watcher.start();
+        runner.assertContains(await fs.readFile(path.join(sourceDir, 'main.ts'), 'utf8'), 'const big: number = scale(4);');
+
+        // Updates are driven directly so the test does not depend on file system events
+        await fs.writeFile(mathPath, 'function scale(value) { return "x".repeat(value); }\nmodule.exports = { scale };\n');
+        await watcher.update();
+        runner.assertContains(await fs.readFile(path.join(sourceDir, 'main.ts'), 'utf8'), 'const big: string = scale(4);',
+            'Files importing a changed module should be emitted again');
+
+        await fs.writeFile(mainPath, 'const big = ;\n');
+        await watcher.update();
+        runner.assert(!watcher.results.has(mainPath), 'A file that fails to parse should have no result');
+
+        await fs.writeFile(mainPath, 'const small = 1;\n');
+        await watcher.update();
+        runner.assertEquals(watcher.results.get(mainPath).cached, undefined);
+        runner.assertEquals(watcher.results.get(mathPath).cached, undefined, 'Losing its call site should emit math.js again');
+
+        await fs.writeFile(path.join(sourceDir, 'extra.js'), 'const flag = true;\n');
+        await watcher.update();
+        runner.assert(watcher.results.get(mathPath).cached && watcher.results.get(mainPath).cached,
+            'Unchanged modules should come from the cache');
+        runner.assertContains(await fs.readFile(path.join(sourceDir, 'extra.ts'), 'utf8'), 'const flag: boolean = true;');
+    } finally {
+        watcher.close();
+        await fs.rm(sourceDir, { recursive: true, force: true });
+    }
+});
+
+runner.addTest('Directories - Worker Pool Matches Sequential Run', async () => {
+    const root = path.join(__dirname, 'temp', 'jobs');
+    const sourceDir = path.join(root, 'src');
+    await fs.mkdir(path.join(sourceDir, 'lib'), { recursive: true });
+    for (let i = 1; i <= 4; i++) {
+        await fs.writeFile(path.join(sourceDir, `lib/m${i}.js`), `function mix(v) {\n    return v.toFixed(${i}) + v.trim();\n}\nmodule.exports = { mix };\n`);
+    }
+    await fs.writeFile(path.join(sourceDir, 'app.mjs'), 'export const retries = 3;\n');
+
+    const read = async dir => Promise.all(['app.mts', 'lib/m1.ts', 'lib/m2.ts', 'lib/m3.ts', 'lib/m4.ts']
+        .map(file => fs.readFile(path.join(dir, file), 'utf8')));
+    const describe = results => results.map(({ inputPath, diagnostics }) =>
+        `${path.relative(sourceDir, inputPath)} ${diagnostics.map(diagnostic => `${diagnostic.code}@${diagnostic.line}`).join(' ')}`).join(', ');
+
+    try {
+        const cli = new TranspilerCLI();
+        const sequential = await cli.transpileDirectory(sourceDir, { outDir: path.join(root, 'sequential'), strictMode: true, jobs: 1 });
+        const parallel = await cli.transpileDirectory(sourceDir, { outDir: path.join(root, 'parallel'), strictMode: true, jobs: 3 });
+
+        runner.assertEquals(describe(parallel), describe(sequential));
+        runner.assertEquals(describe(parallel).split(', ')[1], 'lib/m1.js conflicting-evidence@1', 'Results should be in path order');
+        runner.assertEquals((await read(path.join(root, 'parallel'))).join('\n'), (await read(path.join(root, 'sequential'))).join('\n'),
+            'Workers should write the same outputs');
+        runner.assert(parallel.every(result => result.timings.parse > 0 && result.timings.write > 0), 'Each file should be timed');
+
+        // Functions cannot be cloned into a worker, so such options keep the run on this thread
+        const fallback = await cli.transpileDirectory(sourceDir, { outDir: path.join(root, 'fallback'), strictMode: true, jobs: 3, onFile: () => {} });
+        runner.assertEquals(describe(fallback), describe(sequential));
+    } finally {
+        await fs.rm(root, { recursive: true, force: true });
+    }
+});
+
+runner.addTest('Directories - Rename Source Stages The Output', async () => {
+    const root = path.join(__dirname, 'temp', 'rename');
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+        { cwd: root, encoding: 'utf8' });
+
+    try {
+        await fs.mkdir(root, { recursive: true });
+        await fs.writeFile(path.join(root, 'tracked.js'), 'const retries = 3;\n');
+        await fs.writeFile(path.join(root, 'untracked.js'), 'const delay = 10;\n');
+        git('init', '-q');
+        git('add', 'tracked.js');
+        git('commit', '-qm', 'fixture');
+
+        const cli = new TranspilerCLI();
+        const results = await cli.transpileDirectory(root, {});
+        await cli.replaceSources(results, { renameSource: true });
+
+        runner.assertEquals(git('show', ':tracked.ts'), 'const retries: number = 3;\n', 'The TypeScript should be staged under the new name');
+        runner.assertEquals(git('ls-files'), 'tracked.ts\n', 'Only the tracked file should be moved in the index');
+        runner.assertEquals(await fs.readFile(path.join(root, 'untracked.ts'), 'utf8'), 'const delay: number = 10;\n');
+        runner.assert(!(await fs.stat(path.join(root, 'untracked.js')).catch(() => null)), 'Untracked sources should be moved');
+
+        // A move that fails leaves the existing output in place
+        await fs.writeFile(path.join(root, 'gone.ts'), 'const gone: number = 1;\n');
+        let error = null;
+        await cli.replaceSources([{ inputPath: path.join(root, 'gone.js'), outputPath: path.join(root, 'gone.ts') }], { renameSource: true })
+            .catch(caught => { error = caught; });
+        runner.assert(error && error.code === 'ENOENT', 'The failed move should be reported');
+        runner.assertEquals(await fs.readFile(path.join(root, 'gone.ts'), 'utf8'), 'const gone: number = 1;\n');
+    } finally {
+        await fs.rm(root, { recursive: true, force: true });
+    }
+});
+
 // Run all tests
 if (require.main === module) {
     runner.runAll().catch(console.error);
@@ -1,429 +1,7317 @@
 const fs = require('fs').promises;
+const { watch: watchFileSystem } = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const v8 = require('v8');
+const { performance } = require('perf_hooks');
+const { execFile } = require('child_process');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const acorn = require('acorn');
 const walk = require('acorn-walk');
-const { generate } = require('astring');
+const { generate, GENERATOR } = require('astring');
 
-class TypeInferrer {
-    constructor() {
-        this.typeMap = new Map();
-        this.functionSignatures = new Map();
-        this.classDefinitions = new Map();
+const KEYWORD_TYPES = {
+    any: 'TSAnyKeyword',
+    unknown: 'TSUnknownKeyword',
+    string: 'TSStringKeyword',
+    number: 'TSNumberKeyword',
+    boolean: 'TSBooleanKeyword',
+    bigint: 'TSBigIntKeyword',
+    symbol: 'TSSymbolKeyword',
+    object: 'TSObjectKeyword',
+    void: 'TSVoidKeyword',
+    undefined: 'TSUndefinedKeyword',
+    null: 'TSNullKeyword',
+    never: 'TSNeverKeyword'
+};
+
+const TYPE_OPERATORS = ['keyof', 'readonly', 'unique'];
+
+// acorn-walk base visitor that also steps over the TypeScript nodes this transpiler creates
+const WALK_BASE = Object.assign({}, walk.base, {
+    TSImportEqualsDeclaration() {},
+    TSExportAssignment(node, state, callback) {
+        callback(node.expression, state, 'Expression');
+    },
+    TSEnumDeclaration() {},
+    TSTypeAliasDeclaration() {},
+    TSAsExpression(node, state, callback) {
+        callback(node.expression, state, 'Expression');
     }
+});
 
-    inferType(node) {
-        if (!node) return 'unknown';
+const COMMENT_KEYS = ['comments', 'trailingComments', 'innerComments'];
+const ANNOTATION_KEYS = ['typeAnnotation', 'returnType', 'typeParameters'];
 
-        switch (node.type) {
-            case 'Literal':
-                if (typeof node.value === 'string') return 'string';
-                if (typeof node.value === 'number') return 'number';
-                if (typeof node.value === 'boolean') return 'boolean';
-                if (node.value === null) return 'null';
-                return 'unknown';
+function childNodes(node) {
+    const children = [];
+    for (const key of Object.keys(node)) {
+        if (key === 'loc' || COMMENT_KEYS.includes(key) || ANNOTATION_KEYS.includes(key)) continue;
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(item => {
+                if (item && typeof item.type === 'string') children.push(item);
+            });
+        } else if (value && typeof value.type === 'string') {
+            children.push(value);
+        }
+    }
+    return children;
+}
 
-            case 'ArrayExpression':
-                if (node.elements.length === 0) return 'unknown[]';
-                const elementTypes = node.elements.map(el => this.inferType(el));
-                const uniqueTypes = [...new Set(elementTypes)];
-                if (uniqueTypes.length === 1) return `${uniqueTypes[0]}[]`;
-                return `(${uniqueTypes.join(' | ')})[]`;
+function traverseNodes(node, visitor) {
+    visitor(node);
+    childNodes(node).forEach(child => traverseNodes(child, visitor));
+}
 
-            case 'ObjectExpression':
-                return this.inferObjectType(node);
+// Index of the quote closing a string literal type that starts at `index`, or `index`
+// itself when no string starts there
+function skipQuoted(typeString, index) {
+    const quote = typeString[index];
+    if (quote !== "'" && quote !== '"' && quote !== '`') return index;
+    for (let i = index + 1; i < typeString.length; i++) {
+        if (typeString[i] === '\\') i++;
+        else if (typeString[i] === quote) return i;
+    }
+    return typeString.length - 1;
+}
 
-            case 'ArrowFunctionExpression':
-            case 'FunctionExpression':
-                return this.inferFunctionType(node);
+// Splits a type string on a separator that is not nested in brackets or string literals,
+// e.g. unions. A top-level function type is never split since its return type extends to the end.
+function splitTopLevel(typeString, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
 
-            case 'BinaryExpression':
-                return this.inferBinaryExpressionType(node);
+    for (let i = 0; i < typeString.length; i++) {
+        const char = typeString[i];
+        const quoteEnd = skipQuoted(typeString, i);
+        if (quoteEnd !== i) {
+            current += typeString.slice(i, quoteEnd + 1);
+            i = quoteEnd;
+            continue;
+        }
+        if (char === '=' && typeString[i + 1] === '>') {
+            if (depth === 0) {
+                current += typeString.slice(i);
+                break;
+            }
+            current += '=>';
+            i++;
+            continue;
+        }
+        if ('([{<'.includes(char)) depth++;
+        if (')]}>'.includes(char)) depth--;
+        if (char === separator && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
 
-            case 'CallExpression':
-                return this.inferCallExpressionType(node);
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+}
 
-            default:
-                return 'unknown';
+function findClosingBracket(typeString, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < typeString.length; i++) {
+        i = skipQuoted(typeString, i);
+        const char = typeString[i];
+        if (char === '=' && typeString[i + 1] === '>') {
+            i++;
+            continue;
         }
+        if ('([{<'.includes(char)) depth++;
+        if (')]}>'.includes(char) && --depth === 0) return i;
     }
+    return -1;
+}
 
-    inferObjectType(node) {
-        const properties = node.properties.map(prop => {
-            if (prop.type === 'Property') {
-                const key = prop.key.name || prop.key.value;
-                const valueType = this.inferType(prop.value);
-                return `${key}: ${valueType}`;
-            }
-            return '';
-        }).filter(Boolean);
+function isFunctionTypeString(typeString) {
+    let start = 0;
+    if (typeString.startsWith('<')) start = findClosingBracket(typeString, 0) + 1;
+    if (typeString[start] !== '(') return false;
 
-        return `{ ${properties.join('; ')} }`;
+    const close = findClosingBracket(typeString, start);
+    return close > 0 && typeString.slice(close + 1).trimStart().startsWith('=>');
+}
+
+function formatUnion(types) {
+    const members = [];
+    types.forEach(type => {
+        splitTopLevel(type, '|').forEach(member => {
+            const unwrapped = /^\(.*\)$/.test(member) && !isFunctionTypeString(member) &&
+                splitTopLevel(member.slice(1, -1), '|').length > 1 ? member.slice(1, -1) : member;
+            splitTopLevel(unwrapped, '|').forEach(part => {
+                if (!members.includes(part)) members.push(part);
+            });
+        });
+    });
+
+    if (members.includes('any')) return 'any';
+    if (members.includes('unknown')) return 'unknown';
+
+    // Literals add nothing next to their widened type: `true | boolean` is `boolean`
+    const widened = members.filter(member => !isLiteralTypeString(member) || !members.includes(typeOfMember(member)));
+    const nullish = widened.filter(member => member === 'null' || member === 'undefined');
+    const ordered = widened.filter(member => !nullish.includes(member)).concat(nullish)
+        .map(member => isFunctionTypeString(member) && widened.length > 1 ? `(${member})` : member);
+    return ordered.join(' | ') || 'never';
+}
+
+function printType(node) {
+    return generate(node.type === 'TSTypeAnnotation' ? node.typeAnnotation : node, { generator: TS_GENERATOR });
+}
+
+function parseTypeStringSafe(typeString) {
+    try {
+        return new TypeStringParser(typeString).parse();
+    } catch (error) {
+        return null;
     }
+}
 
-    inferFunctionType(node) {
-        const paramTypes = node.params.map((param, index) => {
-            const paramType = this.inferParameterType(param, node.body);
-            return `${param.name}: ${paramType}`;
+// `'a'`, `-1` or `true`, but not `string` or `typeof Status`
+function isLiteralTypeString(member) {
+    return /^['"]|^-?\d/.test(member) || member === 'true' || member === 'false';
+}
+
+// The `typeof` result for a member of a union type string
+function typeOfMember(member) {
+    if (['string', 'number', 'boolean', 'undefined', 'bigint', 'symbol'].includes(member)) return member;
+    if (/^['"]/.test(member)) return 'string';
+    if (/^-?\d/.test(member)) return 'number';
+    if (member === 'true' || member === 'false') return 'boolean';
+    if (isFunctionTypeString(member)) return 'function';
+    return 'object';
+}
+
+// The literal type of a string, number or boolean literal, or null for anything else
+function literalTypeOf(node) {
+    if (!node) return null;
+    if (node.type === 'UnaryExpression' && node.operator === '-' && node.argument.type === 'Literal' &&
+        typeof node.argument.value === 'number') {
+        const literal = literalTypeOf(node.argument);
+        return literal && `-${literal}`;
+    }
+    if (node.type !== 'Literal') return null;
+
+    if (typeof node.value === 'boolean') return String(node.value);
+    if (typeof node.value === 'number') {
+        return /^\d+(\.\d+)?$/.test(String(node.value)) ? String(node.value) : null;
+    }
+    if (typeof node.value === 'string' && !/[\\\n\r]/.test(node.value)) {
+        return `'${node.value.replace(/'/g, "\\'")}'`;
+    }
+    return null;
+}
+
+function toArrayType(elementType) {
+    return `${toOperandType(elementType)}[]`;
+}
+
+// Unions and function types need parentheses before a `[]` or `?` suffix
+function toOperandType(type) {
+    const needsParentheses = splitTopLevel(type, '|').length > 1 || isFunctionTypeString(type);
+    return needsParentheses ? `(${type})` : type;
+}
+
+// The type an async function resolves to: `number` gives `Promise<number>`
+function toPromiseType(type) {
+    if (type === 'unknown' || unwrapPromiseType(type) !== type) return type;
+    return `Promise<${type}>`;
+}
+
+// The type `await` produces: `Promise<number>` gives `number`, other types are unchanged
+function unwrapPromiseType(type) {
+    const promised = /^Promise<(.*)>$/.exec(type);
+    return promised && findClosingBracket(type, 7) === type.length - 1 ? promised[1] : type;
+}
+
+// The `return` statements and `yield` expressions that belong to a function body,
+// leaving out those of nested functions and class members
+function collectFunctionExits(body) {
+    const exits = { returns: [], yields: [] };
+    const visit = node => {
+        if (node.type === 'ReturnStatement') exits.returns.push(node);
+        if (node.type === 'YieldExpression') exits.yields.push(node);
+        childNodes(node).forEach(child => {
+            if (FUNCTION_TYPES.includes(child.type) || child.type === 'ClassBody') return;
+            visit(child);
         });
+    };
+    visit(body);
+    return exits;
+}
 
-        const returnType = this.inferReturnType(node.body);
-        return `(${paramTypes.join(', ')}) => ${returnType}`;
+// Whether control can reach the end of a statement, i.e. a function body can fall off
+// its end and return `undefined`. Loops count as completing.
+function canCompleteNormally(statement) {
+    switch (statement.type) {
+        case 'ReturnStatement':
+        case 'ThrowStatement':
+            return false;
+        case 'BlockStatement':
+            return statement.body.every(canCompleteNormally);
+        case 'IfStatement':
+            return !statement.alternate || canCompleteNormally(statement.consequent) || canCompleteNormally(statement.alternate);
+        case 'TryStatement': {
+            if (statement.finalizer && !canCompleteNormally(statement.finalizer)) return false;
+            return canCompleteNormally(statement.block) || (!!statement.handler && canCompleteNormally(statement.handler.body));
+        }
+        default:
+            return true;
     }
+}
 
-    inferParameterType(param, body) {
-        // Analyze parameter usage in function body
-        let inferredType = 'unknown';
-        
-        walk.simple(body, {
-            BinaryExpression(node) {
-                if (node.left.name === param.name) {
-                    if (['+', '-', '*', '/', '%'].includes(node.operator)) {
-                        inferredType = 'number';
-                    } else if (['==', '===', '!=', '!=='].includes(node.operator)) {
-                        inferredType = this.inferType(node.right);
-                    }
-                }
-            },
-            CallExpression(node) {
-                if (node.callee.object?.name === param.name) {
-                    if (['push', 'pop', 'shift', 'unshift', 'splice'].includes(node.callee.property?.name)) {
-                        inferredType = 'unknown[]';
-                    } else if (['charAt', 'substring', 'indexOf'].includes(node.callee.property?.name)) {
-                        inferredType = 'string';
-                    }
-                }
+// Object types in a union merge into one whose keys missing from some members are optional:
+// `{ a: number; b: string } | { a: number }` gives `{ a: number; b?: string }`
+function mergeObjectUnions(node) {
+    Object.keys(node).forEach(key => {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(item => item && typeof item.type === 'string' && mergeObjectUnions(item));
+        } else if (value && typeof value.type === 'string') {
+            mergeObjectUnions(value);
+        }
+    });
+    if (node.type !== 'TSUnionType') return;
+
+    const isShape = type => type.type === 'TSTypeLiteral' && type.members.length > 0 &&
+        type.members.every(member => member.type === 'TSPropertySignature' && member.typeAnnotation);
+    const shapes = node.types.filter(isShape);
+    if (shapes.length < 2) return;
+
+    const members = new Map();
+    shapes.forEach(shape => shape.members.forEach(member => {
+        const name = memberName(member);
+        if (!members.has(name)) members.set(name, { types: [], optional: false, count: 0 });
+        const entry = members.get(name);
+        entry.types.push(printType(member.typeAnnotation));
+        entry.optional = entry.optional || !!member.optional;
+        entry.count++;
+    }));
+    const properties = [...members].map(([name, entry]) =>
+        `${formatPropertyName(name)}${entry.optional || entry.count < shapes.length ? '?' : ''}: ${formatUnion(entry.types)}`
+    );
+    const merged = new TypeStringParser(`{ ${properties.join('; ')} }`).parse();
+
+    const types = node.types.filter(type => !shapes.includes(type) || type === shapes[0]).map(type => type === shapes[0] ? merged : type);
+    if (types.length === 1) {
+        Object.keys(node).forEach(key => delete node[key]);
+        Object.assign(node, merged);
+    } else {
+        node.types = types;
+    }
+}
+
+// The name a parameter is declared with, or null for destructuring patterns
+function getParameterName(param) {
+    if (param.type === 'Identifier') return param.name;
+    if (param.type === 'AssignmentPattern' && param.left.type === 'Identifier') return param.left.name;
+    if (param.type === 'RestElement' && param.argument.type === 'Identifier') return param.argument.name;
+    return null;
+}
+
+function formatPropertyName(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key.replace(/'/g, "\\'")}'`;
+}
+
+class CommentAttacher {
+    attach(ast, comments) {
+        comments.forEach(comment => {
+            if (!this.attachWithin(ast, comment)) {
+                this.addComment(ast, 'innerComments', comment);
             }
         });
+    }
+
+    attachWithin(node, comment) {
+        const list = this.getContainerList(node);
+        if (list) {
+            this.placeInList(node, list, comment);
+            return true;
+        }
 
-        return inferredType;
+        const child = childNodes(node).find(candidate =>
+            candidate.start <= comment.start && comment.end <= candidate.end
+        );
+        return child ? this.attachWithin(child, comment) : false;
     }
 
-    inferReturnType(body) {
-        let returnTypes = [];
+    placeInList(container, list, comment) {
+        let previous = null;
+
+        for (const child of list) {
+            if (child.start == null) continue;
 
-        walk.simple(body, {
-            ReturnStatement(node) {
-                if (node.argument) {
-                    returnTypes.push(this.inferType(node.argument));
+            if (comment.end <= child.start) {
+                if (this.isOnSameLine(previous, comment)) {
+                    this.addComment(previous, 'trailingComments', comment);
                 } else {
-                    returnTypes.push('void');
+                    this.addComment(child, 'comments', comment);
+                }
+                return;
+            }
+
+            if (comment.start < child.end) {
+                // Comments inside expressions are lifted in front of the enclosing statement
+                if (!this.attachWithin(child, comment)) {
+                    this.addComment(child, 'comments', comment);
                 }
+                return;
             }
+
+            previous = child;
+        }
+
+        if (this.isOnSameLine(previous, comment)) {
+            this.addComment(previous, 'trailingComments', comment);
+        } else {
+            this.addComment(container, 'innerComments', comment);
+        }
+    }
+
+    getContainerList(node) {
+        switch (node.type) {
+            case 'Program':
+            case 'BlockStatement':
+            case 'StaticBlock':
+            case 'ClassBody':
+                return node.body;
+            case 'ObjectExpression':
+                return node.properties;
+            case 'SwitchStatement':
+                return node.cases;
+            case 'SwitchCase':
+                return node.consequent;
+            default:
+                return null;
+        }
+    }
+
+    isOnSameLine(node, comment) {
+        return !!node && node.loc.end.line === comment.loc.start.line;
+    }
+
+    addComment(node, key, comment) {
+        (node[key] = node[key] || []).push(comment);
+    }
+}
+
+class SourceSplicer {
+    constructor(source) {
+        this.source = source;
+        this.edits = [];
+    }
+
+    // `node` optionally records which AST node produced the text, see locate()
+    insert(offset, text, node = null) {
+        this.replace(offset, offset, text, node);
+    }
+
+    replace(start, end, text, node = null) {
+        this.edits.push({ start, end, text, node, order: this.edits.length });
+    }
+
+    apply() {
+        // Insertions go before replacements at the same offset; edits inside a replaced range are dropped
+        const isReplacement = edit => edit.end > edit.start ? 1 : 0;
+        const edits = [...this.edits].sort((a, b) =>
+            a.start - b.start || isReplacement(a) - isReplacement(b) || a.order - b.order
+        );
+        let result = '';
+        let cursor = 0;
+        this.segments = [];
+
+        const copy = end => {
+            this.segments.push({ outputStart: result.length, sourceStart: cursor, length: end - cursor, edit: null });
+            result += this.source.slice(cursor, end);
+        };
+        edits.forEach(edit => {
+            if (edit.start < cursor) return;
+            copy(edit.start);
+            this.segments.push({ outputStart: result.length, sourceStart: edit.start, length: edit.text.length, edit });
+            result += edit.text;
+            cursor = edit.end;
         });
+        copy(this.source.length);
 
-        if (returnTypes.length === 0) return 'void';
-        const uniqueTypes = [...new Set(returnTypes)];
-        return uniqueTypes.length === 1 ? uniqueTypes[0] : uniqueTypes.join(' | ');
+        return result;
     }
 
-    inferBinaryExpressionType(node) {
-        if (['+', '-', '*', '/', '%'].includes(node.operator)) {
-            return 'number';
+    // The output offset of source text that was copied unchanged, or null when an edit replaced it
+    outputOffset(sourceOffset) {
+        const segment = this.segments.find(candidate => !candidate.edit &&
+            sourceOffset >= candidate.sourceStart && sourceOffset < candidate.sourceStart + candidate.length
+        );
+        return segment ? segment.outputStart + sourceOffset - segment.sourceStart : null;
+    }
+
+    // Maps an offset in the applied output to the source offset it came from and,
+    // for inserted text, the edit that produced it
+    locate(outputOffset) {
+        const segment = this.segments.find(candidate =>
+            outputOffset >= candidate.outputStart && outputOffset < candidate.outputStart + candidate.length
+        );
+        if (!segment) return { offset: this.source.length, edit: null };
+        if (segment.edit) return { offset: segment.sourceStart, edit: segment.edit };
+        return { offset: segment.sourceStart + outputOffset - segment.outputStart, edit: null };
+    }
+}
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Base64 VLQ, the number encoding of source map segments
+function encodeVLQ(value) {
+    let vlq = value < 0 ? (-value << 1) + 1 : value << 1;
+    let encoded = '';
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) digit |= 32;
+        encoded += BASE64_DIGITS[digit];
+    } while (vlq > 0);
+    return encoded;
+}
+
+// Maps an offset in `text` to its `{ line, column }`, with lines counted from 1 as in acorn
+function createPositionLookup(text) {
+    const lineStarts = [0];
+    for (let index = 0; index < text.length; index++) {
+        if (text[index] === '\n') lineStarts.push(index + 1);
+    }
+    return offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (lineStarts[middle] <= offset) low = middle; else high = middle - 1;
         }
-        if (['==', '===', '!=', '!==', '<', '>', '<=', '>='].includes(node.operator)) {
-            return 'boolean';
+        return { line: low + 1, column: offset - lineStarts[low] };
+    };
+}
+
+// Collects mappings from generated to original positions and encodes them as a
+// version 3 source map with a single source
+class SourceMapBuilder {
+    constructor(file, source, sourceContent) {
+        this.file = file;
+        this.source = source;
+        this.sourceContent = sourceContent;
+        this.mappings = [];
+    }
+
+    addMapping(generated, original, name) {
+        this.mappings.push({ generated, original, name });
+    }
+
+    toJSON() {
+        const names = [];
+        const nameIndices = new Map();
+        const lines = [];
+        const previous = { sourceLine: 0, sourceColumn: 0, name: 0 };
+        // One mapping per generated position; a named one (an identifier) beats its enclosing nodes
+        const unique = new Map();
+        this.mappings.forEach(mapping => {
+            const key = `${mapping.generated.line}:${mapping.generated.column}`;
+            const existing = unique.get(key);
+            if (!existing || (!existing.name && mapping.name)) unique.set(key, mapping);
+        });
+
+        [...unique.values()]
+            .sort((a, b) => a.generated.line - b.generated.line || a.generated.column - b.generated.column)
+            .forEach(({ generated, original, name }) => {
+                while (lines.length < generated.line) lines.push([]);
+                const segments = lines[generated.line - 1];
+                const previousColumn = segments.length > 0 ? segments[segments.length - 1].column : 0;
+
+                let segment = encodeVLQ(generated.column - previousColumn) + encodeVLQ(0) +
+                    encodeVLQ(original.line - 1 - previous.sourceLine) + encodeVLQ(original.column - previous.sourceColumn);
+                previous.sourceLine = original.line - 1;
+                previous.sourceColumn = original.column;
+
+                if (name) {
+                    if (!nameIndices.has(name)) {
+                        nameIndices.set(name, names.length);
+                        names.push(name);
+                    }
+                    segment += encodeVLQ(nameIndices.get(name) - previous.name);
+                    previous.name = nameIndices.get(name);
+                }
+                segments.push({ column: generated.column, text: segment });
+            });
+
+        return {
+            version: 3,
+            file: this.file,
+            sources: [this.source],
+            sourcesContent: [this.sourceContent],
+            names,
+            mappings: lines.map(segments => segments.map(segment => segment.text).join(',')).join(';')
+        };
+    }
+}
+
+const JSDOC_TYPE_NAMES = {
+    String: 'string',
+    Number: 'number',
+    Boolean: 'boolean',
+    Symbol: 'symbol',
+    BigInt: 'bigint',
+    Object: 'object',
+    bool: 'boolean',
+    int: 'number',
+    integer: 'number',
+    float: 'number',
+    mixed: 'unknown',
+    Array: 'unknown[]',
+    array: 'unknown[]',
+    Promise: 'Promise<unknown>'
+};
+
+class JSDocTypeParser {
+    constructor(expression) {
+        this.expression = expression;
+        this.tokens = expression.replace(/\.</g, '<')
+            .match(/\.\.\.|[A-Za-z_$][\w$.]*|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?|\S/g) || [];
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    accept(token) {
+        if (this.peek() === token) {
+            this.position++;
+            return true;
         }
-        if (node.operator === '+') {
-            const leftType = this.inferType(node.left);
-            const rightType = this.inferType(node.right);
-            if (leftType === 'string' || rightType === 'string') {
-                return 'string';
+        return false;
+    }
+
+    expect(token) {
+        if (!this.accept(token)) {
+            throw new Error(`Expected '${token}' in JSDoc type '${this.expression}'`);
+        }
+    }
+
+    // Returns the TypeScript type plus the JSDoc `...T` (rest) and `T=` (optional) markers
+    parse() {
+        const rest = this.accept('...');
+        const type = this.parseUnion();
+        const optional = this.accept('=');
+        if (this.peek() !== undefined) {
+            throw new Error(`Unexpected '${this.peek()}' in JSDoc type '${this.expression}'`);
+        }
+        return { type, rest, optional };
+    }
+
+    parseUnion() {
+        const types = [this.parseUnary()];
+        while (this.accept('|')) {
+            types.push(this.parseUnary());
+        }
+        return formatUnion(types);
+    }
+
+    parseUnary() {
+        if (this.accept('?')) {
+            if (this.peek() === undefined || [')', '|', ',', '>', '=', ']', '}'].includes(this.peek())) {
+                return 'unknown';
             }
+            return formatUnion([this.parseUnary(), 'null']);
         }
-        return 'unknown';
+        if (this.accept('!')) {
+            return this.parseUnary();
+        }
+
+        const type = this.parsePostfix();
+        if (this.accept('?')) return formatUnion([type, 'null']);
+        this.accept('!');
+        return type;
     }
 
-    inferCallExpressionType(node) {
-        if (node.callee.name === 'parseInt' || node.callee.name === 'parseFloat') {
-            return 'number';
+    parsePostfix() {
+        let type = this.parsePrimary();
+        while (this.peek() === '[' && this.tokens[this.position + 1] === ']') {
+            this.position += 2;
+            type = toArrayType(type);
+        }
+        return type;
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.position++];
+
+        if (token === undefined) {
+            throw new Error(`Unexpected end of JSDoc type '${this.expression}'`);
         }
-        if (node.callee.name === 'String') {
-            return 'string';
+        if (token === '*') return 'any';
+        if (token === '(') {
+            const type = this.parseUnion();
+            this.expect(')');
+            return type;
         }
-        if (node.callee.name === 'Boolean') {
-            return 'boolean';
+        if (token === '{') return this.parseRecord();
+        if (token === '[') return this.parseTuple();
+        if (/^['"]/.test(token)) return `'${token.slice(1, -1)}'`;
+        if (/^-?\d/.test(token)) return token;
+        if (token === 'function') return this.parseFunction();
+
+        if (this.accept('<')) {
+            const args = [this.parseUnion()];
+            while (this.accept(',')) {
+                args.push(this.parseUnion());
+            }
+            this.expect('>');
+
+            if (token === 'Array' || token === 'array') return toArrayType(args[0]);
+            if (token === 'Object' || token === 'object') {
+                return args.length === 1 ? `Record<string, ${args[0]}>` : `Record<${args[0]}, ${args[1]}>`;
+            }
+            return `${token}<${args.join(', ')}>`;
         }
-        return 'unknown';
+
+        return JSDOC_TYPE_NAMES[token] || token;
+    }
+
+    parseRecord() {
+        const members = [];
+        while (!this.accept('}')) {
+            const key = this.tokens[this.position++];
+            const name = /^['"]/.test(key) ? key.slice(1, -1) : key;
+            const type = this.accept(':') ? this.parseUnion() : 'any';
+            members.push(`${formatPropertyName(name)}: ${type}`);
+            this.accept(',');
+        }
+        return members.length > 0 ? `{ ${members.join('; ')} }` : '{}';
+    }
+
+    parseTuple() {
+        const elements = [];
+        while (!this.accept(']')) {
+            elements.push(this.parseUnion());
+            this.accept(',');
+        }
+        return `[${elements.join(', ')}]`;
+    }
+
+    parseFunction() {
+        this.expect('(');
+        const params = [];
+        while (!this.accept(')')) {
+            if (this.peek() === 'this' || this.peek() === 'new') {
+                const kind = this.tokens[this.position++];
+                this.expect(':');
+                const type = this.parseUnion();
+                if (kind === 'this') params.push(`this: ${type}`);
+            } else if (this.accept('...')) {
+                params.push(`...args: ${toArrayType(this.parseUnion())}`);
+            } else {
+                const type = this.parseUnion();
+                params.push(`arg${params.length}${this.accept('=') ? '?' : ''}: ${type}`);
+            }
+            this.accept(',');
+        }
+
+        const returnType = this.accept(':') ? this.parseUnion() : 'void';
+        return `(${params.join(', ')}) => ${returnType}`;
     }
 }
 
-class InterfaceGenerator {
-    constructor() {
-        this.interfaces = new Map();
-        this.interfaceCounter = 0;
+class JSDocParser {
+    isJSDoc(comment) {
+        return comment.type === 'Block' && /^\*[^*]/.test(comment.value + ' ');
+    }
+
+    parse(commentValue) {
+        const text = commentValue.split('\n')
+            .map(line => line.replace(/^\s*\*+\s?/, ''))
+            .join('\n');
+
+        const doc = {
+            params: [],
+            returns: null,
+            type: null,
+            templates: [],
+            typedefs: []
+        };
+        let context = doc;
+
+        this.splitTags(text).forEach(({ tag, body }) => {
+            switch (tag) {
+                case 'param':
+                case 'arg':
+                case 'argument': {
+                    const param = this.parseNamedTag(body);
+                    if (param) context.params.push(param);
+                    break;
+                }
+                case 'property':
+                case 'prop': {
+                    const property = this.parseNamedTag(body);
+                    if (property && context.properties) context.properties.push(property);
+                    break;
+                }
+                case 'returns':
+                case 'return': {
+                    const { type } = this.readType(body);
+                    if (type) context.returns = this.convertType(type).type;
+                    break;
+                }
+                case 'type': {
+                    const { type } = this.readType(body);
+                    if (type) doc.type = this.convertType(type).type;
+                    break;
+                }
+                case 'template':
+                    doc.templates.push(...this.parseTemplate(body));
+                    break;
+                case 'typedef': {
+                    const { type, rest } = this.readType(body);
+                    const name = rest.trim().split(/\s+/)[0];
+                    if (!name) break;
+                    context = { kind: 'typedef', name, type: type ? this.convertType(type).type : 'object', properties: [] };
+                    doc.typedefs.push(context);
+                    break;
+                }
+                case 'callback': {
+                    const name = body.trim().split(/\s+/)[0];
+                    if (!name) break;
+                    context = { kind: 'callback', name, params: [], returns: null };
+                    doc.typedefs.push(context);
+                    break;
+                }
+            }
+        });
+
+        return doc;
+    }
+
+    // A tag starts a line or follows whitespace, as in `/** @param {A} a @param {B} b */`
+    splitTags(text) {
+        const tags = [];
+        const pattern = /(?:^|\s)@(\w+)/g;
+        let match;
+        let previous = null;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (previous) previous.body = text.slice(previous.start, match.index);
+            previous = { tag: match[1], start: match.index + match[0].length };
+            tags.push(previous);
+        }
+        if (previous) previous.body = text.slice(previous.start);
+
+        return tags;
+    }
+
+    readType(body) {
+        const trimmed = body.trimStart();
+        if (!trimmed.startsWith('{')) return { type: null, rest: trimmed };
+
+        let depth = 0;
+        for (let i = 0; i < trimmed.length; i++) {
+            if (trimmed[i] === '{') depth++;
+            if (trimmed[i] === '}' && --depth === 0) {
+                return { type: trimmed.slice(1, i).trim(), rest: trimmed.slice(i + 1) };
+            }
+        }
+        return { type: null, rest: trimmed };
+    }
+
+    parseNamedTag(body) {
+        const { type, rest } = this.readType(body);
+        const trimmed = rest.trimStart();
+        let name;
+        let optional = false;
+        let defaultValue;
+
+        if (trimmed.startsWith('[')) {
+            const close = this.findOptionalNameEnd(trimmed);
+            const [rawName, ...value] = trimmed.slice(1, close).split('=');
+            name = rawName.trim();
+            optional = true;
+            if (value.length > 0) defaultValue = value.join('=').trim();
+        } else {
+            name = (trimmed.match(/^\S+/) || [])[0];
+        }
+
+        if (!name) return null;
+
+        const converted = type ? this.convertType(type) : { type: null, rest: false, optional: false };
+        if (name.startsWith('...')) {
+            name = name.slice(3);
+            converted.rest = true;
+        }
+
+        return {
+            name,
+            type: converted.type,
+            optional: optional || converted.optional,
+            rest: converted.rest,
+            defaultValue
+        };
+    }
+
+    findOptionalNameEnd(text) {
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            if ('[{('.includes(text[i])) depth++;
+            if (']})'.includes(text[i]) && --depth === 0) return i;
+        }
+        return text.length;
+    }
+
+    parseTemplate(body) {
+        const { type, rest } = this.readType(body);
+        const constraint = type ? this.convertType(type).type : null;
+        return rest.split(/[\s,]+/)
+            .filter(name => /^[A-Za-z_$][\w$]*$/.test(name))
+            .slice(0, rest.includes(',') ? undefined : 1)
+            .map(name => ({ name, constraint }));
+    }
+
+    convertType(expression) {
+        try {
+            return new JSDocTypeParser(expression).parse();
+        } catch (error) {
+            return { type: 'any', rest: false, optional: false };
+        }
+    }
+
+    buildFunctionType(params, returns) {
+        const signature = params.filter(param => !param.name.includes('.')).map(param => {
+            const type = param.type || 'any';
+            if (param.rest) return `...${param.name}: ${toArrayType(type)}`;
+            return `${param.name}${param.optional ? '?' : ''}: ${type}`;
+        });
+        return `(${signature.join(', ')}) => ${returns || 'void'}`;
+    }
+
+    // Builds an object type from `name`, `name.prop` and `name[].prop` style entries
+    buildObjectType(entries) {
+        const root = { children: new Map() };
+
+        entries.forEach(entry => {
+            let node = root;
+            entry.name.split('.').forEach(segment => {
+                const isArray = segment.endsWith('[]');
+                const key = isArray ? segment.slice(0, -2) : segment;
+                if (!node.children.has(key)) {
+                    node.children.set(key, { children: new Map(), entry: null, isArray: false });
+                }
+                node = node.children.get(key);
+                node.isArray = node.isArray || isArray;
+            });
+            node.entry = entry;
+        });
+
+        return this.renderObjectNode(root);
+    }
+
+    renderObjectNode(node) {
+        const members = [...node.children].map(([key, child]) => {
+            let type = this.renderMemberType(child);
+            const optional = child.entry && child.entry.optional ? '?' : '';
+            return `${formatPropertyName(key)}${optional}: ${type}`;
+        });
+        return members.length > 0 ? `{ ${members.join('; ')} }` : 'object';
+    }
+
+    renderMemberType(node) {
+        if (node.children.size === 0) {
+            return (node.entry && node.entry.type) || 'any';
+        }
+        const objectType = this.renderObjectNode(node);
+        const declared = node.entry && node.entry.type;
+        const isArray = node.isArray || (declared && declared.endsWith('[]'));
+        return isArray ? `${objectType}[]` : objectType;
+    }
+
+    // Removes type expressions that are now expressed as TypeScript annotations
+    stripTypes(comment) {
+        const lines = comment.value.split('\n');
+        const closing = lines.length > 1 && lines[lines.length - 1].trim() === '' ? lines.pop() : null;
+        const segments = [{ tag: null, lines: [], inline: false }];
+
+        lines.forEach(line => {
+            // Tags after the first on a line continue it rather than starting their own
+            const pattern = /(^\s*\*?\s*|\s)@(\w+)/g;
+            let start = 0;
+            let match;
+            while ((match = pattern.exec(line)) !== null) {
+                const tagStart = match.index === 0 ? 0 : match.index + match[1].length;
+                if (tagStart > 0) segments[segments.length - 1].lines.push(line.slice(start, tagStart));
+                segments.push({ tag: match[2], lines: [], inline: tagStart > 0 });
+                start = tagStart;
+            }
+            segments[segments.length - 1].lines.push(line.slice(start));
+        });
+
+        const result = [];
+        // The ` * ` of a removed tag's line goes to the tag that followed it on that line
+        let linePrefix = null;
+        const keep = (text, inline) => {
+            if (inline && linePrefix !== null) {
+                result.push({ text: linePrefix + text, inline: false });
+            } else {
+                result.push({ text, inline });
+            }
+            linePrefix = null;
+        };
+
+        segments.forEach(({ tag, lines: segmentLines, inline }) => {
+            // A comment that starts with a tag has no text before it
+            if (segmentLines.length === 0) return;
+            const text = segmentLines.join('\n');
+            const drop = () => {
+                if (!inline) linePrefix = text.slice(0, text.indexOf('@'));
+            };
+            if (['type', 'template', 'typedef', 'callback', 'property', 'prop'].includes(tag)) return drop();
+
+            if (['param', 'arg', 'argument', 'returns', 'return'].includes(tag)) {
+                const tagEnd = text.indexOf('@' + tag) + tag.length + 1;
+                const { type, rest } = this.readType(text.slice(tagEnd));
+                if (type === null) return keep(text, inline);
+                const description = rest.replace(/^[ \t]+/, '');
+                const isEmpty = description.replace(/(^|\n)\s*\*?/g, '').trim() === '';
+                if ((tag === 'returns' || tag === 'return') && isEmpty) return drop();
+                return keep(text.slice(0, tagEnd) + (description.startsWith('\n') || description === '' ? '' : ' ') + description, inline);
+            }
+
+            keep(text, inline);
+        });
+
+        const value = result.map(({ text, inline }, index) => (index > 0 && !inline ? '\n' : '') + text).join('');
+        comment.removed = value.replace(/(^|\n)\s*\*?/g, '').trim() === '';
+        comment.rewritten = true;
+        comment.value = closing !== null ? value + '\n' + closing : value;
+    }
+}
+
+// Type knowledge for ECMAScript and Node built-ins. A string entry is the return type of
+// calling the function; `{ type }` is a property type; `{ returns, callback }` also gives the
+// parameter types of a callback argument. Receiver type parameters are T (or K and V for Map),
+// R is the callback's return type, A0/A1 are argument types, E0 the element type of the first
+// argument and A the `reduce` accumulator. Results with an unresolved variable are unknown.
+const ARRAY_CALLBACK = ['T', 'number', 'T[]'];
+
+const BUILTIN_TYPES = {
+    globals: {
+        parseInt: 'number',
+        parseFloat: 'number',
+        isNaN: 'boolean',
+        isFinite: 'boolean',
+        String: 'string',
+        Number: 'number',
+        Boolean: 'boolean',
+        encodeURIComponent: 'string',
+        decodeURIComponent: 'string',
+        encodeURI: 'string',
+        decodeURI: 'string',
+        setTimeout: 'NodeJS.Timeout',
+        setInterval: 'NodeJS.Timeout',
+        clearTimeout: 'void',
+        clearInterval: 'void'
+    },
+    constructors: {
+        Date: 'Date',
+        RegExp: 'RegExp',
+        Error: 'Error',
+        TypeError: 'TypeError',
+        RangeError: 'RangeError',
+        SyntaxError: 'SyntaxError',
+        URL: 'URL',
+        Set: 'Set<E0>'
+    },
+    statics: {
+        Math: {
+            PI: { type: 'number' },
+            E: { type: 'number' },
+            abs: 'number', ceil: 'number', floor: 'number', round: 'number', trunc: 'number', sign: 'number',
+            max: 'number', min: 'number', pow: 'number', sqrt: 'number', cbrt: 'number', random: 'number',
+            log: 'number', log2: 'number', log10: 'number', exp: 'number', hypot: 'number',
+            sin: 'number', cos: 'number', tan: 'number', atan: 'number', atan2: 'number'
+        },
+        JSON: {
+            stringify: 'string'
+        },
+        Object: {
+            keys: 'string[]',
+            freeze: 'A0',
+            is: 'boolean',
+            hasOwn: 'boolean'
+        },
+        Array: {
+            isArray: 'boolean',
+            from: 'E0[]',
+            of: 'A0[]'
+        },
+        Number: {
+            isInteger: 'boolean', isFinite: 'boolean', isNaN: 'boolean', isSafeInteger: 'boolean',
+            parseInt: 'number', parseFloat: 'number',
+            MAX_SAFE_INTEGER: { type: 'number' },
+            MIN_SAFE_INTEGER: { type: 'number' },
+            EPSILON: { type: 'number' }
+        },
+        String: {
+            fromCharCode: 'string',
+            fromCodePoint: 'string'
+        },
+        Date: {
+            now: 'number',
+            parse: 'number',
+            UTC: 'number'
+        },
+        Promise: {
+            resolve: 'Promise<A0>'
+        },
+        console: {
+            log: 'void', info: 'void', warn: 'void', error: 'void', debug: 'void', table: 'void'
+        }
+    },
+    modules: {
+        fs: {
+            readFileSync: 'string | Buffer',
+            writeFileSync: 'void',
+            appendFileSync: 'void',
+            existsSync: 'boolean',
+            readdirSync: 'string[]',
+            mkdirSync: 'string | undefined',
+            unlinkSync: 'void',
+            statSync: 'fs.Stats',
+            'promises.readFile': 'Promise<string | Buffer>',
+            'promises.writeFile': 'Promise<void>',
+            'promises.readdir': 'Promise<string[]>',
+            'promises.mkdir': 'Promise<string | undefined>',
+            'promises.unlink': 'Promise<void>',
+            'promises.access': 'Promise<void>'
+        },
+        'fs/promises': {
+            readFile: 'Promise<string | Buffer>',
+            writeFile: 'Promise<void>',
+            readdir: 'Promise<string[]>',
+            mkdir: 'Promise<string | undefined>',
+            unlink: 'Promise<void>',
+            access: 'Promise<void>'
+        },
+        path: {
+            join: 'string', resolve: 'string', normalize: 'string', relative: 'string',
+            dirname: 'string', basename: 'string', extname: 'string', format: 'string',
+            isAbsolute: 'boolean',
+            sep: { type: 'string' },
+            delimiter: { type: 'string' }
+        },
+        os: {
+            platform: 'NodeJS.Platform', homedir: 'string', tmpdir: 'string', hostname: 'string',
+            cpus: 'os.CpuInfo[]', totalmem: 'number', freemem: 'number',
+            EOL: { type: 'string' }
+        }
+    },
+    methods: {
+        String: {
+            at: 'string | undefined', charAt: 'string', charCodeAt: 'number', codePointAt: 'number | undefined',
+            concat: 'string', endsWith: 'boolean', includes: 'boolean', indexOf: 'number', lastIndexOf: 'number',
+            localeCompare: 'number', match: 'RegExpMatchArray | null', normalize: 'string', padEnd: 'string',
+            padStart: 'string', repeat: 'string', replace: 'string', replaceAll: 'string', search: 'number',
+            slice: 'string', split: 'string[]', startsWith: 'boolean', substring: 'string', substr: 'string',
+            toLowerCase: 'string', toUpperCase: 'string', toLocaleLowerCase: 'string', toLocaleUpperCase: 'string',
+            trim: 'string', trimStart: 'string', trimEnd: 'string', toString: 'string', valueOf: 'string'
+        },
+        Number: {
+            toFixed: 'string', toPrecision: 'string', toExponential: 'string',
+            toLocaleString: 'string', toString: 'string', valueOf: 'number'
+        },
+        Boolean: {
+            toString: 'string', valueOf: 'boolean'
+        },
+        Array: {
+            at: 'T | undefined',
+            concat: 'T[]',
+            every: { returns: 'boolean', callback: ARRAY_CALLBACK },
+            some: { returns: 'boolean', callback: ARRAY_CALLBACK },
+            filter: { returns: 'T[]', callback: ARRAY_CALLBACK },
+            find: { returns: 'T | undefined', callback: ARRAY_CALLBACK },
+            findIndex: { returns: 'number', callback: ARRAY_CALLBACK },
+            findLast: { returns: 'T | undefined', callback: ARRAY_CALLBACK },
+            findLastIndex: { returns: 'number', callback: ARRAY_CALLBACK },
+            forEach: { returns: 'void', callback: ARRAY_CALLBACK },
+            map: { returns: 'R[]', callback: ARRAY_CALLBACK },
+            reduce: { returns: 'A', callback: ['A', 'T', 'number', 'T[]'] },
+            reduceRight: { returns: 'A', callback: ['A', 'T', 'number', 'T[]'] },
+            sort: { returns: 'T[]', callback: ['T', 'T'] },
+            fill: 'T[]',
+            includes: 'boolean',
+            indexOf: 'number',
+            lastIndexOf: 'number',
+            join: 'string',
+            pop: 'T | undefined',
+            push: 'number',
+            reverse: 'T[]',
+            shift: 'T | undefined',
+            slice: 'T[]',
+            splice: 'T[]',
+            unshift: 'number',
+            toString: 'string'
+        },
+        Map: {
+            clear: 'void',
+            delete: 'boolean',
+            forEach: { returns: 'void', callback: ['V', 'K'] },
+            get: 'V | undefined',
+            has: 'boolean',
+            set: 'Map<K, V>'
+        },
+        Set: {
+            add: 'Set<T>',
+            clear: 'void',
+            delete: 'boolean',
+            forEach: { returns: 'void', callback: ['T', 'T'] },
+            has: 'boolean'
+        },
+        Promise: {
+            then: { returns: 'Promise<R>', callback: ['T'] },
+            catch: 'Promise<T>',
+            finally: 'Promise<T>'
+        },
+        Date: {
+            getTime: 'number', getFullYear: 'number', getMonth: 'number', getDate: 'number', getDay: 'number',
+            getHours: 'number', getMinutes: 'number', getSeconds: 'number', getMilliseconds: 'number',
+            getTimezoneOffset: 'number', valueOf: 'number', setTime: 'number',
+            toISOString: 'string', toJSON: 'string', toDateString: 'string', toTimeString: 'string',
+            toLocaleDateString: 'string', toLocaleTimeString: 'string', toLocaleString: 'string',
+            toUTCString: 'string', toString: 'string'
+        },
+        RegExp: {
+            test: 'boolean',
+            exec: 'RegExpExecArray | null'
+        },
+        Error: {
+            toString: 'string'
+        }
+    },
+    properties: {
+        String: { length: 'number' },
+        Array: { length: 'number' },
+        Map: { size: 'number' },
+        Set: { size: 'number' },
+        RegExp: { source: 'string', flags: 'string', lastIndex: 'number' },
+        Error: { message: 'string', name: 'string', stack: 'string | undefined' }
+    },
+    // The parameter type implied by calling a method that only one receiver has
+    receivers: {
+        String: 'string',
+        Number: 'number',
+        Array: 'unknown[]',
+        Map: 'Map<unknown, unknown>',
+        Set: 'Set<unknown>',
+        Promise: 'Promise<unknown>',
+        Date: 'Date',
+        RegExp: 'RegExp'
+    },
+    generics: {
+        Array: ['T'],
+        ReadonlyArray: ['T'],
+        Map: ['K', 'V'],
+        Set: ['T'],
+        Promise: ['T']
+    }
+};
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merges declaration sections; entries (`{ type }`, `{ returns }`) replace rather than merge
+function mergeDeclarations(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        const isEntry = isPlainObject(value) && ('type' in value || 'returns' in value);
+        if (isPlainObject(value) && !isEntry && isPlainObject(target[key])) {
+            mergeDeclarations(target[key], value);
+        } else {
+            target[key] = isPlainObject(value) && !isEntry ? mergeDeclarations({}, value) : value;
+        }
+    });
+    return target;
+}
+
+// Replaces type variables like `T` in a type string; returns unknown if any is unresolved
+function substituteTypeVariables(template, variables) {
+    const node = parseTypeStringSafe(template);
+    if (!node) return 'unknown';
+
+    let resolved = true;
+    const substitute = current => {
+        if (current.type === 'TSTypeReference' && current.typeName.type === 'Identifier' &&
+            !current.typeParameters && Object.prototype.hasOwnProperty.call(variables, current.typeName.name)) {
+            const value = variables[current.typeName.name];
+            const replacement = value && value !== 'unknown' ? parseTypeStringSafe(value) : null;
+            if (!replacement) resolved = false;
+            return replacement || current;
+        }
+
+        Object.keys(current).forEach(key => {
+            const value = current[key];
+            if (Array.isArray(value)) {
+                current[key] = value.map(item => item && typeof item.type === 'string' ? substitute(item) : item);
+            } else if (value && typeof value.type === 'string') {
+                current[key] = substitute(value);
+            }
+        });
+        return current;
+    };
+
+    const result = substitute(node);
+    return resolved ? formatUnion([printType(result)]) : 'unknown';
+}
+
+class BuiltinCatalog {
+    constructor(declarations = {}) {
+        this.types = mergeDeclarations(mergeDeclarations({}, BUILTIN_TYPES), declarations);
+        this.receiverTypes = this.indexReceiverTypes();
+    }
+
+    // Method names that exist on exactly one receiver, e.g. `toFixed` on numbers
+    indexReceiverTypes() {
+        const owners = new Map();
+        Object.entries(this.types.methods).forEach(([kind, methods]) => {
+            Object.keys(methods).forEach(method => {
+                if (!owners.has(method)) owners.set(method, []);
+                owners.get(method).push(kind);
+            });
+        });
+
+        const receiverTypes = new Map();
+        owners.forEach((kinds, method) => {
+            if (kinds.length === 1 && this.types.receivers[kinds[0]]) {
+                receiverTypes.set(method, this.types.receivers[kinds[0]]);
+            }
+        });
+        return receiverTypes;
+    }
+
+    getReceiverType(methodName) {
+        return this.receiverTypes.get(methodName) || null;
+    }
+
+    getGlobal(name) {
+        return this.types.globals[name] || null;
+    }
+
+    getConstructor(name) {
+        return this.types.constructors[name] || null;
+    }
+
+    getStatic(objectName, memberPath) {
+        const members = this.types.statics[objectName];
+        return members ? members[memberPath] || null : null;
+    }
+
+    getModuleMember(moduleName, memberPath) {
+        const members = this.types.modules[moduleName.replace(/^node:/, '')];
+        return members ? members[memberPath] || null : null;
+    }
+
+    getMethod(kind, name) {
+        const methods = this.types.methods[kind];
+        return methods && Object.prototype.hasOwnProperty.call(methods, name) ? methods[name] : null;
+    }
+
+    getProperty(kind, name) {
+        const properties = this.types.properties[kind];
+        return properties && Object.prototype.hasOwnProperty.call(properties, name) ? properties[name] : null;
+    }
+
+    getGenericParameters(kind) {
+        return this.types.generics[kind] || [];
+    }
+}
+
+class Scope {
+    constructor(kind, parent = null) {
+        this.kind = kind;
+        this.parent = parent;
+        this.bindings = new Map();
+    }
+
+    declare(name, binding) {
+        this.bindings.set(name, binding);
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.bindings.has(name)) return scope.bindings.get(name);
+        }
+        return null;
+    }
+
+    // `var` and function parameters belong to the nearest function or module scope
+    getFunctionScope() {
+        let scope = this;
+        while (scope.kind === 'block') scope = scope.parent;
+        return scope;
+    }
+}
+
+// Module, function and block scopes for a program. Every node is mapped to the scope
+// it appears in; bindings are recorded with enough context to infer their type later.
+class SymbolTable {
+    constructor() {
+        this.root = new Scope('module');
+        this.scopes = new WeakMap();
+        this.parents = new WeakMap();
+        this.assignments = [];
+    }
+
+    build(ast) {
+        this.visit(ast, this.root);
+
+        // Assignments are attached once every scope is complete so hoisted bindings resolve
+        this.assignments.forEach(({ target, node }) => {
+            const binding = this.lookup(target);
+            if (!binding) return;
+            if (!binding.assignments) binding.assignments = [];
+            binding.assignments.push(node);
+        });
+        return this;
+    }
+
+    parentOf(node) {
+        return this.parents.get(node) || null;
+    }
+
+    // Assignments through a pattern record `null` since the assigned part is not tracked
+    recordAssignment(target, node) {
+        if (target.type === 'Identifier') {
+            this.assignments.push({ target, node });
+            return;
+        }
+        traverseNodes(target, child => {
+            if (child.type === 'Identifier' && this.parentOf(child) !== null) {
+                const parent = this.parentOf(child);
+                const isKey = parent.type === 'Property' && parent.key === child && parent.value !== child;
+                if (!isKey) this.assignments.push({ target: child, node: null });
+            }
+        });
+    }
+
+    scopeOf(node) {
+        return this.scopes.get(node) || this.root;
+    }
+
+    lookup(identifier) {
+        return this.scopeOf(identifier).lookup(identifier.name);
+    }
+
+    visit(node, scope) {
+        this.scopes.set(node, scope);
+
+        switch (node.type) {
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                this.visitFunction(node, scope);
+                return;
+
+            case 'ClassDeclaration':
+                if (node.id) scope.declare(node.id.name, { kind: 'class', name: node.id.name, node });
+                break;
+
+            case 'VariableDeclaration': {
+                const target = node.kind === 'var' ? scope.getFunctionScope() : scope;
+                node.declarations.forEach(declarator => {
+                    // A repeated `var` keeps the first binding and acts as an assignment
+                    const existing = declarator.id.type === 'Identifier' && target.bindings.get(declarator.id.name);
+                    if (node.kind === 'var' && existing && existing.kind === 'var') {
+                        if (declarator.init) this.assignments.push({ target: declarator.id, node: declarator.init });
+                        return;
+                    }
+                    this.declarePattern(declarator.id, target, { kind: node.kind, declarator }, []);
+                });
+                break;
+            }
+
+            case 'ImportDeclaration':
+                node.specifiers.forEach(specifier => {
+                    scope.declare(specifier.local.name, {
+                        kind: 'import',
+                        name: specifier.local.name,
+                        node: specifier,
+                        source: node.source.value,
+                        imported: specifier.type === 'ImportSpecifier' ? specifier.imported.name : null
+                    });
+                });
+                break;
+
+            case 'TSImportEqualsDeclaration':
+                scope.declare(node.id.name, {
+                    kind: 'import',
+                    name: node.id.name,
+                    node,
+                    source: node.moduleReference.expression.value,
+                    imported: null
+                });
+                break;
+
+            case 'AssignmentExpression':
+                this.visitChildren(node, scope);
+                this.recordAssignment(node.left, node);
+                return;
+
+            case 'UpdateExpression':
+                if (node.argument.type === 'Identifier') this.assignments.push({ target: node.argument, node });
+                break;
+
+            case 'CatchClause': {
+                const catchScope = new Scope('block', scope);
+                if (node.param) this.declarePattern(node.param, catchScope, { kind: 'catch' }, []);
+                this.visitChildren(node, catchScope);
+                return;
+            }
+
+            case 'ForInStatement':
+            case 'ForOfStatement': {
+                const loopScope = new Scope('block', scope);
+                this.visitChildren(node, loopScope);
+                if (node.left.type !== 'VariableDeclaration') {
+                    this.recordAssignment(node.left, null);
+                } else {
+                    const target = node.left.kind === 'var' ? loopScope.getFunctionScope() : loopScope;
+                    const loop = node.type === 'ForOfStatement' ? { iterable: node.right } : { keyOf: node.right };
+                    this.declarePattern(node.left.declarations[0].id, target, { kind: node.left.kind, ...loop }, []);
+                }
+                return;
+            }
+
+            case 'BlockStatement':
+            case 'StaticBlock':
+            case 'ForStatement':
+            case 'SwitchStatement':
+                this.visitChildren(node, new Scope('block', scope));
+                return;
+        }
+
+        this.visitChildren(node, scope);
+    }
+
+    visitFunction(node, scope) {
+        if (node.type === 'FunctionDeclaration' && node.id) {
+            scope.declare(node.id.name, { kind: 'function', name: node.id.name, node });
+        }
+
+        const functionScope = new Scope('function', scope);
+        if (node.type === 'FunctionExpression' && node.id) {
+            functionScope.declare(node.id.name, { kind: 'function', name: node.id.name, node });
+        }
+        node.params.forEach(param => {
+            this.declarePattern(param, functionScope, { kind: 'param', param, functionNode: node }, []);
+            this.parents.set(param, node);
+            this.visit(param, functionScope);
+        });
+
+        // The body block shares the function scope so parameters and top-level `let` collide as in JS
+        this.scopes.set(node.body, functionScope);
+        this.parents.set(node.body, node);
+        this.visitChildren(node.body, functionScope);
+    }
+
+    visitChildren(node, scope) {
+        childNodes(node).forEach(child => {
+            this.parents.set(child, node);
+            this.visit(child, scope);
+        });
+    }
+
+    // `path` records how the binding is reached from the declared value, e.g. `{ a: [b] }`
+    declarePattern(pattern, scope, context, path) {
+        switch (pattern.type) {
+            case 'Identifier':
+                scope.declare(pattern.name, { ...context, name: pattern.name, identifier: pattern, path });
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(prop => {
+                    if (prop.type === 'RestElement') {
+                        this.declarePattern(prop.argument, scope, context, [...path, { rest: true }]);
+                    } else {
+                        const key = prop.computed ? null : (prop.key.name || String(prop.key.value));
+                        this.declarePattern(prop.value, scope, context, [...path, key === null ? { rest: true } : { key }]);
+                    }
+                });
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach((element, index) => {
+                    if (!element) return;
+                    const step = element.type === 'RestElement' ? { rest: true, array: true } : { index };
+                    this.declarePattern(element.type === 'RestElement' ? element.argument : element, scope, context, [...path, step]);
+                });
+                break;
+            case 'AssignmentPattern':
+                this.declarePattern(pattern.left, scope, context, [...path, { defaultValue: pattern.right }]);
+                break;
+            case 'RestElement':
+                this.declarePattern(pattern.argument, scope, context, [...path, { rest: true, array: true }]);
+                break;
+        }
+    }
+}
+
+// Names for inferred type parameters of values and of callback results
+const TYPE_VARIABLE_NAMES = ['T', 'U', 'V', 'W'];
+const RESULT_VARIABLE_NAMES = ['R', 'S'];
+
+// Array methods whose use leaves the element type open, e.g. `items.map(...)`
+const GENERIC_ARRAY_METHODS = ['map', 'filter', 'forEach', 'find', 'findIndex', 'some', 'every', 'slice', 'includes', 'indexOf', 'at'];
+// Array methods returning the same elements, so callbacks further down a chain still see them
+const ELEMENT_PRESERVING_METHODS = ['filter', 'slice', 'sort', 'reverse'];
+
+class TypeInferrer {
+    constructor(catalog = new BuiltinCatalog()) {
+        this.catalog = catalog;
+        this.typeMap = new Map();
+        this.functionSignatures = new Map();
+        this.classDefinitions = new Map();
+        this.namedTypes = new Map();
+        // Object literals described by a generated interface are typed by its name
+        this.objectTypeNames = new WeakMap();
+        this.symbols = null;
+        this.program = null;
+        this.resolvingFunctions = new Set();
+        // Constant objects turned into enums or `as const` objects, by binding
+        this.constObjects = new Map();
+        this.literalTypes = false;
+        // Strict mode keeps `undefined` results and gives up on conflicting evidence
+        this.strict = false;
+        this.report = () => {};
+        this.conflicts = new Set();
+    }
+
+    // Conflicting evidence is typed `unknown` in strict mode; each conflict is reported once
+    reportConflict(node, message) {
+        if (this.conflicts.has(node)) return;
+        this.conflicts.add(node);
+        this.report('conflicting-evidence', message, node);
+    }
+
+    inferType(node) {
+        if (!node) return 'unknown';
+
+        switch (node.type) {
+            case 'Literal':
+                if (typeof node.value === 'string') return 'string';
+                if (typeof node.value === 'number') return 'number';
+                if (typeof node.value === 'boolean') return 'boolean';
+                if (node.value === null) return 'null';
+                return 'unknown';
+
+            case 'ArrayExpression':
+                if (node.elements.length === 0) return 'unknown[]';
+                const elementTypes = node.elements.map(el => this.inferType(el));
+                const uniqueTypes = [...new Set(elementTypes)];
+                if (uniqueTypes.length === 1) return `${uniqueTypes[0]}[]`;
+                return `(${uniqueTypes.join(' | ')})[]`;
+
+            case 'ObjectExpression':
+                return this.objectTypeNames.get(node) || this.inferObjectType(node);
+
+            case 'ArrowFunctionExpression':
+            case 'FunctionExpression':
+                return this.inferFunctionType(node);
+
+            case 'BinaryExpression':
+                return this.inferBinaryExpressionType(node);
+
+            case 'CallExpression':
+                return this.inferCallExpressionType(node);
+
+            case 'Identifier':
+                return this.inferIdentifierType(node);
+
+            case 'MemberExpression':
+                return this.inferMemberExpressionType(node);
+
+            case 'TemplateLiteral':
+                return 'string';
+
+            case 'UnaryExpression':
+                return this.inferUnaryExpressionType(node);
+
+            case 'UpdateExpression':
+                return 'number';
+
+            case 'LogicalExpression':
+                return this.inferLogicalExpressionType(node);
+
+            case 'ConditionalExpression':
+                return this.inferConditionalExpressionType(node);
+
+            case 'AssignmentExpression':
+                return node.operator === '='
+                    ? this.inferType(node.right)
+                    : this.inferBinaryExpressionType({ operator: node.operator.slice(0, -1), left: node.left, right: node.right });
+
+            case 'SequenceExpression':
+                return this.inferType(node.expressions[node.expressions.length - 1]);
+
+            case 'ParenthesizedExpression':
+                return this.inferType(node.expression);
+
+            case 'ThisExpression':
+                return this.inferThisType(node);
+
+            case 'NewExpression':
+                return this.inferNewExpressionType(node);
+
+            case 'AwaitExpression':
+                return unwrapPromiseType(this.inferType(node.argument));
+
+            default:
+                return 'unknown';
+        }
+    }
+
+    analyzeScopes(ast) {
+        this.program = ast;
+        this.symbols = new SymbolTable().build(ast);
+    }
+
+    inferIdentifierType(node) {
+        if (node.name === 'undefined') return 'undefined';
+        if (node.name === 'NaN' || node.name === 'Infinity') return 'number';
+
+        const binding = this.symbols ? this.symbols.lookup(node) : null;
+        if (binding) return this.narrowType(node, this.getBindingType(binding));
+
+        return this.typeMap.get(node.name) || 'unknown';
+    }
+
+    getBindingType(binding) {
+        // Self-referencing initializers (`const a = a + 1`, recursion) resolve to unknown;
+        // an assignment like `count = count + 1` sees the declared type
+        if (binding.resolving) return binding.partialType || 'unknown';
+        binding.resolving = true;
+        try {
+            return this.resolveBindingType(binding);
+        } finally {
+            binding.resolving = false;
+        }
+    }
+
+    resolveBindingType(binding) {
+        if (this.constObjects.has(binding)) return `typeof ${binding.name}`;
+
+        switch (binding.kind) {
+            case 'function':
+                return this.inferFunctionType(binding.node);
+            case 'class':
+                return `typeof ${binding.name}`;
+            case 'import':
+                return this.typeMap.get(binding.name) || 'unknown';
+            case 'catch':
+                return 'unknown';
+        }
+
+        if (binding.identifier.typeAnnotation) {
+            return printType(binding.identifier.typeAnnotation);
+        }
+
+        const literalUnion = this.literalTypes ? this.getLiteralUnion(binding) : null;
+        if (literalUnion) return literalUnion;
+
+        let type;
+        let path = binding.path;
+        if (binding.kind === 'param') {
+            const { param, functionNode } = binding;
+            const target = param.type === 'AssignmentPattern' ? param.left : param;
+            if (target.typeAnnotation) {
+                // The annotation already covers the rest array or the default value
+                type = printType(target.typeAnnotation);
+                if (target !== param || param.type === 'RestElement') path = path.slice(1);
+            } else if (param.type === 'Identifier') {
+                type = this.getContextualParameterType(functionNode, functionNode.params.indexOf(param));
+                if (type === 'unknown') type = this.inferParameterType(param, functionNode.body);
+            } else {
+                type = this.inferParameterType(param, functionNode.body);
+            }
+        } else if (binding.iterable) {
+            type = this.getElementType(this.inferType(binding.iterable));
+        } else if (binding.keyOf) {
+            type = 'string';
+        } else {
+            const { declarator } = binding;
+            type = declarator.id.typeAnnotation
+                ? printType(declarator.id.typeAnnotation)
+                : (declarator.init ? this.inferType(declarator.init) : 'unknown');
+            if (declarator.id === binding.identifier && !declarator.id.typeAnnotation) {
+                type = this.refineContainerType(binding, declarator.init, type);
+            }
+        }
+
+        type = path.reduce((current, step) => this.applyPatternStep(current, step), type);
+
+        const isReassignable = binding.kind === 'let' || binding.kind === 'var';
+        return isReassignable && binding.assignments ? this.widenWithAssignments(binding, type) : type;
+    }
+
+    // A parameter or variable that only ever holds and is compared to literals gets their union,
+    // e.g. `'premium' | 'basic'`, or the type of the constant object they all come from
+    getLiteralUnion(binding) {
+        const values = this.getLiteralSources(binding);
+        if (!values) return null;
+
+        (binding.assignments || []).forEach(assignment => {
+            const isPlain = assignment && assignment.type === 'AssignmentExpression' && assignment.operator === '=';
+            values.push(isPlain ? this.getLiteralValue(assignment.right) : null);
+        });
+
+        const root = binding.kind === 'param' ? binding.functionNode.body : this.program;
+        this.findReferences(binding, root).forEach(reference => {
+            const parent = this.symbols.parentOf(reference);
+            if (parent.type === 'BinaryExpression' && ['===', '!==', '==', '!='].includes(parent.operator)) {
+                const value = this.getLiteralValue(parent.left === reference ? parent.right : parent.left);
+                if (value) values.push(value);
+            } else if (parent.type === 'SwitchStatement' && parent.discriminant === reference) {
+                parent.cases.forEach(switchCase => {
+                    const value = switchCase.test && this.getLiteralValue(switchCase.test);
+                    if (value) values.push(value);
+                });
+            }
+        });
+        if (values.length === 0 || values.includes(null)) return null;
+
+        const constObject = values[0].constObject;
+        if (constObject && values.every(value => value.constObject === constObject)) return constObject.name;
+        // Enum members are not interchangeable with the literals they hold
+        if (values.some(value => value.constObject && value.constObject.style === 'enum')) return null;
+
+        const types = [...new Set(values.map(value => value.type))];
+        return types.length > 1 ? formatUnion(types) : null;
+    }
+
+    // The values a literal union is built from: a parameter's default and the arguments of
+    // every call, or a variable's initializer. Null when any of them cannot be seen.
+    getLiteralSources(binding) {
+        if (binding.kind === 'param') {
+            const { param, functionNode } = binding;
+            const target = param.type === 'AssignmentPattern' ? param.left : param;
+            if (target !== binding.identifier) return null;
+
+            const calls = functionNode.callArguments || [];
+            if (calls.length !== (functionNode.callSites || []).length) return null;
+            const index = functionNode.params.indexOf(param);
+            const values = calls.map(args => index < args.length ? this.getLiteralValue(args[index]) : null);
+            if (param.type === 'AssignmentPattern') values.push(this.getLiteralValue(param.right));
+            return values;
+        }
+
+        const isVariable = (binding.kind === 'let' || binding.kind === 'var') && !binding.iterable && !binding.keyOf;
+        if (!isVariable || binding.declarator.id !== binding.identifier || !binding.declarator.init) return null;
+        return [this.getLiteralValue(binding.declarator.init)];
+    }
+
+    // A string or number literal, or a member of a constant object
+    getLiteralValue(node) {
+        if (node.type === 'Literal' && typeof node.value === 'boolean') return null;
+        const type = literalTypeOf(node);
+        if (type) return { type, constObject: null };
+        return this.getConstObjectMember(node);
+    }
+
+    getConstObjectMember(node) {
+        if (node.type !== 'MemberExpression' || node.computed || node.object.type !== 'Identifier' || !this.symbols) return null;
+        const binding = this.symbols.lookup(node.object);
+        const constObject = binding ? this.constObjects.get(binding) : null;
+        const type = constObject ? constObject.members.get(node.property.name) : null;
+        return type ? { type, constObject } : null;
+    }
+
+    // `let count = null; ... count = 5;` gives `number | null`
+    widenWithAssignments(binding, declaredType) {
+        const hasInitializer = !!((binding.declarator && binding.declarator.init) || binding.iterable || binding.keyOf);
+        const types = hasInitializer ? [declaredType] : [];
+
+        binding.partialType = hasInitializer ? declaredType : null;
+        try {
+            for (const assignment of binding.assignments) {
+                const type = assignment ? this.inferType(assignment) : 'unknown';
+                if (type === 'unknown') return 'unknown';
+                types.push(type);
+            }
+        } finally {
+            binding.partialType = null;
+        }
+
+        if (types.length === 0 || types.includes('unknown')) return 'unknown';
+
+        // An empty array literal says nothing once a typed array is assigned
+        const hasTypedArray = types.some(type => this.isArrayType(type) && type !== 'unknown[]');
+        return formatUnion(hasTypedArray ? types.filter(type => type !== 'unknown[]') : types);
+    }
+
+    // Narrows a union for a reference inside `if (x !== null)`, `typeof x === 'string' ? ... : ...`,
+    // `x && ...` and similar guards. Guards outside the enclosing function are not applied.
+    narrowType(node, type) {
+        if (splitTopLevel(type, '|').length < 2) return type;
+
+        let child = node;
+        for (let parent = this.symbols.parentOf(node); parent && !FUNCTION_TYPES.includes(parent.type); parent = this.symbols.parentOf(parent)) {
+            if ((parent.type === 'IfStatement' || parent.type === 'ConditionalExpression') && child !== parent.test) {
+                type = this.applyGuard(type, parent.test, node.name, child === parent.consequent);
+            } else if (parent.type === 'LogicalExpression' && child === parent.right && parent.operator !== '??') {
+                type = this.applyGuard(type, parent.left, node.name, parent.operator === '&&');
+            }
+            child = parent;
+        }
+        return type;
+    }
+
+    applyGuard(type, test, name, whenTrue) {
+        const members = splitTopLevel(type, '|');
+        const isReference = candidate => candidate.type === 'Identifier' && candidate.name === name;
+        const keep = predicate => {
+            const kept = members.filter(predicate);
+            return kept.length > 0 ? formatUnion(kept) : type;
+        };
+
+        if (test.type === 'UnaryExpression' && test.operator === '!') {
+            return this.applyGuard(type, test.argument, name, !whenTrue);
+        }
+        if (test.type === 'LogicalExpression' && test.operator === '&&' && whenTrue) {
+            return this.applyGuard(this.applyGuard(type, test.left, name, true), test.right, name, true);
+        }
+        if (isReference(test)) {
+            return whenTrue ? keep(member => !['null', 'undefined', 'false'].includes(member)) : type;
+        }
+        if (test.type !== 'BinaryExpression' || !['===', '!==', '==', '!='].includes(test.operator)) {
+            return type;
+        }
+
+        const equal = whenTrue === test.operator.startsWith('=');
+        const [subject, other] = isReference(test.right) || (test.right.type === 'UnaryExpression' && isReference(test.right.argument))
+            ? [test.right, test.left]
+            : [test.left, test.right];
+
+        if (subject.type === 'UnaryExpression' && subject.operator === 'typeof' && isReference(subject.argument) &&
+            other.type === 'Literal' && typeof other.value === 'string') {
+            return keep(member => (typeOfMember(member) === other.value) === equal);
+        }
+
+        if (isReference(subject)) {
+            const isNull = other.type === 'Literal' && other.value === null && other.raw === 'null';
+            const isUndefined = other.type === 'Identifier' && other.name === 'undefined';
+            if (!isNull && !isUndefined) return type;
+
+            const loose = test.operator.length === 2;
+            const matches = member => (loose && (member === 'null' || member === 'undefined')) ||
+                (isNull && member === 'null') || (isUndefined && member === 'undefined');
+            return keep(member => matches(member) === equal);
+        }
+
+        return type;
+    }
+
+    applyPatternStep(type, step) {
+        if (step.key !== undefined) return this.getMemberType(type, step.key);
+        if (step.index !== undefined) return this.getElementType(type, step.index);
+        if (step.defaultValue) {
+            const defaultType = this.inferType(step.defaultValue);
+            if (type === 'unknown') return defaultType;
+            const defined = splitTopLevel(type, '|').filter(member => member !== 'undefined');
+            return formatUnion([...defined, defaultType]);
+        }
+        // Rest elements keep the array type; object rest types are not modelled
+        return step.array && /\[\]$/.test(type) ? type : 'unknown';
+    }
+
+    // The type of a destructuring declaration widened by what its bindings are reassigned,
+    // e.g. `(number | string)[]` for `let [a, b] = [1, 2]; a = 'x';`, or unknown when a
+    // reassignment cannot be typed
+    widenPatternType(pattern, type) {
+        switch (pattern.type) {
+            case 'Identifier': {
+                const binding = this.symbols.lookup(pattern);
+                if (!binding || !binding.assignments || !['let', 'var'].includes(binding.kind)) return type;
+                const bindingType = this.getBindingType(binding);
+                return bindingType === 'unknown' ? 'unknown' : formatUnion([type, bindingType]);
+            }
+            case 'AssignmentPattern':
+                return this.widenPatternType(pattern.left, type);
+            case 'ArrayPattern': {
+                const elements = pattern.elements.map((element, index) => ({ element, index }))
+                    .filter(({ element }) => element && element.type !== 'RestElement');
+                if (type.startsWith('[')) {
+                    const types = splitTopLevel(type.slice(1, -1), ',');
+                    elements.forEach(({ element, index }) => {
+                        // Optional and rest members keep their marker
+                        if (index >= types.length || /\?$|^\.\.\./.test(types[index])) return;
+                        types[index] = this.widenPatternType(element, types[index]);
+                    });
+                    return types.includes('unknown') ? 'unknown' : `[${types.join(', ')}]`;
+                }
+                if (!this.isArrayType(type)) return type;
+                const elementType = this.getElementType(type);
+                const types = elements.map(({ element }) => this.widenPatternType(element, elementType));
+                return types.includes('unknown') ? 'unknown' : toArrayType(formatUnion([elementType, ...types]));
+            }
+            case 'ObjectPattern': {
+                const node = parseTypeStringSafe(type);
+                if (!node || node.type !== 'TSTypeLiteral') return type;
+                const values = new Map(pattern.properties.filter(prop => prop.type === 'Property' && !prop.computed)
+                    .map(prop => [memberName(prop), prop.value]));
+                for (const member of node.members) {
+                    if (member.type !== 'TSPropertySignature' || !values.has(memberName(member))) continue;
+                    const widened = this.widenPatternType(values.get(memberName(member)), printType(member.typeAnnotation));
+                    if (widened === 'unknown') return 'unknown';
+                    member.typeAnnotation = { type: 'TSTypeAnnotation', typeAnnotation: new TypeStringParser(widened).parse() };
+                }
+                return printType(node);
+            }
+        }
+        return type;
+    }
+
+    resolveNamedType(type) {
+        return this.namedTypes.has(type) ? this.namedTypes.get(type) : type;
+    }
+
+    getMemberType(type, name) {
+        type = this.resolveNamedType(type);
+        if (type === 'unknown' || type === 'any') return type;
+
+        const members = splitTopLevel(type, '|');
+        if (members.length > 1) {
+            const memberTypes = members
+                .filter(member => member !== 'null' && member !== 'undefined')
+                .map(member => this.getMemberType(member, name));
+            return memberTypes.includes('unknown') ? 'unknown' : formatUnion(memberTypes);
+        }
+
+        if (name === 'length' && (type === 'string' || this.isArrayType(type))) return 'number';
+        if (!type.startsWith('{')) return 'unknown';
+
+        const literal = parseTypeStringSafe(type);
+        const member = literal && literal.type === 'TSTypeLiteral' && literal.members.find(candidate =>
+            candidate.key && (candidate.key.name === name || candidate.key.value === name)
+        );
+        if (!member) return 'unknown';
+
+        if (member.type === 'TSMethodSignature') {
+            return printType({ type: 'TSFunctionType', typeParameters: member.typeParameters, params: member.params, returnType: member.returnType });
+        }
+        const memberType = printType(member.typeAnnotation);
+        return member.optional ? formatUnion([memberType, 'undefined']) : memberType;
+    }
+
+    getElementType(type, index = null) {
+        type = this.resolveNamedType(type);
+        if (type === 'string') return 'string';
+        if (this.isArrayType(type)) {
+            const element = type.slice(0, -2);
+            return /^\(.*\)$/.test(element) && findClosingBracket(element, 0) === element.length - 1
+                ? element.slice(1, -1)
+                : element;
+        }
+
+        const tuple = type.startsWith('[') ? parseTypeStringSafe(type) : null;
+        if (tuple && tuple.type === 'TSTupleType') {
+            const elements = tuple.elementTypes.map(element => {
+                if (element.type === 'TSOptionalType') return formatUnion([printType(element.typeAnnotation), 'undefined']);
+                if (element.type === 'TSRestType') return formatUnion([this.getElementType(printType(element.typeAnnotation)), 'undefined']);
+                return printType(element);
+            });
+            const rest = tuple.elementTypes.findIndex(element => element.type === 'TSRestType');
+            if (index === null) return formatUnion([...new Set(elements)]);
+            if (rest !== -1 && index >= rest) return elements[rest];
+            return elements[index] || 'undefined';
+        }
+        return 'unknown';
+    }
+
+    getReturnTypeOf(type) {
+        type = this.resolveNamedType(type);
+        if (!isFunctionTypeString(type)) return 'unknown';
+
+        const functionType = parseTypeStringSafe(type);
+        // Generic return types depend on the call and are not resolved here
+        if (!functionType || functionType.typeParameters) return 'unknown';
+        return printType(functionType.returnType);
+    }
+
+    isArrayType(type) {
+        return type.endsWith('[]') && splitTopLevel(type, '|').length === 1;
+    }
+
+    // The built-in kind of a type (`String`, `Array`, `Map`, ...) and its type variables
+    getReceiver(type) {
+        type = this.resolveNamedType(type);
+        if (type === 'unknown' || type === 'any' || splitTopLevel(type, '|').length > 1) return null;
+
+        const primitive = typeOfMember(type);
+        if (primitive === 'string') return { kind: 'String', variables: {} };
+        if (primitive === 'number') return { kind: 'Number', variables: {} };
+        if (primitive === 'boolean') return { kind: 'Boolean', variables: {} };
+        if (this.isArrayType(type) || type.startsWith('[')) {
+            return { kind: 'Array', variables: { T: this.getElementType(type) } };
+        }
+
+        const reference = parseTypeStringSafe(type);
+        if (!reference || reference.type !== 'TSTypeReference' || reference.typeName.type !== 'Identifier') return null;
+
+        const args = reference.typeParameters ? reference.typeParameters.params.map(printType) : [];
+        const variables = {};
+        this.catalog.getGenericParameters(reference.typeName.name).forEach((name, index) => {
+            variables[name] = args[index] || 'unknown';
+        });
+        return { kind: reference.typeName.name, variables };
+    }
+
+    // `import fs from 'fs'`, `import { join } from 'path'` and unconverted requires
+    getModuleReference(binding) {
+        if (binding.kind === 'import') {
+            return binding.source ? { module: binding.source, path: binding.imported ? [binding.imported] : [] } : null;
+        }
+
+        const init = binding.declarator && binding.declarator.init;
+        const source = init ? ModuleConverter.prototype.getRequireSource(init) : null;
+        if (!source || !binding.path.every(step => step.key !== undefined)) return null;
+        return { module: source.value, path: binding.path.map(step => step.key) };
+    }
+
+    // Resolves `Math.max`, `path.join`, `fs.promises.readFile` to their catalog entry, or
+    // `items.map` to the receiver whose methods and properties apply
+    lookupBuiltinMember(member) {
+        if (member.computed) return null;
+
+        const chain = [];
+        let root = member;
+        while (root.type === 'MemberExpression' && !root.computed) {
+            chain.unshift(root.property.name);
+            root = root.object;
+        }
+
+        if (root.type === 'Identifier') {
+            const binding = this.symbols ? this.symbols.lookup(root) : null;
+            const reference = binding ? this.getModuleReference(binding) : null;
+            if (reference) {
+                const entry = this.catalog.getModuleMember(reference.module, [...reference.path, ...chain].join('.'));
+                return entry ? { entry, variables: {} } : null;
+            }
+
+            const entry = binding ? null : this.catalog.getStatic(root.name, chain.join('.'));
+            if (entry) return { entry, variables: {} };
+        }
+
+        const receiver = this.getReceiver(this.inferType(member.object));
+        return receiver ? { receiver, name: member.property.name, variables: receiver.variables } : null;
+    }
+
+    resolveBuiltinCallee(node) {
+        const { callee } = node;
+
+        if (callee.type === 'Identifier') {
+            const binding = this.symbols ? this.symbols.lookup(callee) : null;
+            const reference = binding ? this.getModuleReference(binding) : null;
+            const entry = reference
+                ? this.catalog.getModuleMember(reference.module, reference.path.join('.'))
+                : (binding ? null : this.catalog.getGlobal(callee.name));
+            return entry ? { entry, variables: {} } : null;
+        }
+
+        if (callee.type !== 'MemberExpression') return null;
+
+        const found = this.lookupBuiltinMember(callee);
+        if (!found) return null;
+        const entry = found.entry || this.catalog.getMethod(found.receiver.kind, found.name);
+        return entry ? { entry, variables: found.variables } : null;
+    }
+
+    inferBuiltinProperty(node) {
+        const found = this.lookupBuiltinMember(node);
+        if (!found) return 'unknown';
+
+        if (found.entry) {
+            return isPlainObject(found.entry) && found.entry.type ? found.entry.type : 'unknown';
+        }
+        const property = this.catalog.getProperty(found.receiver.kind, found.name);
+        return property ? substituteTypeVariables(property, found.variables) : 'unknown';
+    }
+
+    applyBuiltinCall(entry, node, variables) {
+        if (isPlainObject(entry) && !entry.returns) return 'unknown';
+
+        const { returns } = typeof entry === 'string' ? { returns: entry } : entry;
+        const [first, second] = node.arguments;
+        const mentions = name => new RegExp(`\\b${name}\\b`).test(returns);
+        const scope = { ...variables };
+
+        if (mentions('A0')) scope.A0 = first ? this.inferType(first) : 'unknown';
+        if (mentions('E0')) scope.E0 = first ? this.getElementType(this.inferType(first)) : 'unknown';
+        if (mentions('A')) scope.A = second ? this.inferType(second) : variables.T;
+        if (mentions('R')) {
+            const returnType = first && FUNCTION_TYPES.includes(first.type) ? this.inferFunctionReturnType(first) : 'unknown';
+            // `then` callbacks that return a promise resolve to its value
+            scope.R = unwrapPromiseType(returnType);
+        }
+
+        return substituteTypeVariables(returns, scope);
+    }
+
+    // The type a built-in gives a callback parameter, e.g. `T` for `items.map(item => ...)`
+    getContextualParameterType(functionNode, index) {
+        const call = this.symbols ? this.symbols.parentOf(functionNode) : null;
+        if (!call || call.type !== 'CallExpression' || call.arguments[0] !== functionNode) return 'unknown';
+
+        const builtin = this.resolveBuiltinCallee(call);
+        const template = builtin && isPlainObject(builtin.entry) && builtin.entry.callback
+            ? builtin.entry.callback[index]
+            : null;
+        if (!template) return 'unknown';
+
+        const variables = { ...builtin.variables };
+        variables.A = call.arguments[1] ? this.inferType(call.arguments[1]) : variables.T;
+        return substituteTypeVariables(template, variables);
+    }
+
+    // Inside instance methods and field initializers `this` is the class instance;
+    // arrow functions keep the `this` of their enclosing function
+    inferThisType(node) {
+        if (!this.symbols) return 'unknown';
+
+        for (let current = this.symbols.parentOf(node); current; current = this.symbols.parentOf(current)) {
+            if (current.type === 'ArrowFunctionExpression') continue;
+            if (current.type === 'PropertyDefinition' || current.type === 'MethodDefinition') {
+                const classNode = this.symbols.parentOf(this.symbols.parentOf(current));
+                return !current.static && classNode && classNode.id ? classNode.id.name : 'unknown';
+            }
+            if (current.type === 'FunctionExpression') {
+                const parent = this.symbols.parentOf(current);
+                if (!parent || parent.type !== 'MethodDefinition') return 'unknown';
+            } else if (['FunctionDeclaration', 'StaticBlock', 'ClassDeclaration', 'ClassExpression'].includes(current.type)) {
+                return 'unknown';
+            }
+        }
+        return 'unknown';
+    }
+
+    inferNewExpressionType(node) {
+        if (node.callee.type !== 'Identifier') return 'unknown';
+
+        const binding = this.symbols ? this.symbols.lookup(node.callee) : null;
+        if (binding) {
+            return binding.kind === 'class' ? node.callee.name : 'unknown';
+        }
+        if (node.callee.name === 'Promise') {
+            return this.inferPromiseExecutorType(node.arguments[0]);
+        }
+
+        const entry = this.catalog.getConstructor(node.callee.name);
+        const type = entry ? this.applyBuiltinCall(entry, node, {}) : 'unknown';
+        // `new Map()` is still a Map; what it holds is up to the binding's later use
+        const parameters = this.catalog.getGenericParameters(node.callee.name);
+        if (type === 'unknown' && node.arguments.length === 0 && parameters.length > 0) {
+            return node.callee.name === 'Array' ? 'unknown[]' : `${node.callee.name}<${parameters.map(() => 'unknown').join(', ')}>`;
+        }
+        return type;
+    }
+
+    // `new Promise(resolve => resolve(x))` resolves to the types passed to `resolve`
+    inferPromiseExecutorType(executor) {
+        const resolve = executor && FUNCTION_TYPES.includes(executor.type) ? executor.params[0] : null;
+        const binding = resolve && resolve.type === 'Identifier' && this.symbols ? this.symbols.lookup(resolve) : null;
+        if (!binding || binding.identifier !== resolve) return 'Promise<unknown>';
+
+        const resolvedTypes = this.findReferences(binding, executor.body).map(reference => {
+            const call = this.symbols.parentOf(reference);
+            if (!call || call.type !== 'CallExpression' || call.callee !== reference) return 'unknown';
+            return call.arguments.length > 0 ? unwrapPromiseType(this.inferType(call.arguments[0])) : 'void';
+        });
+        if (resolvedTypes.length === 0) return 'Promise<unknown>';
+        return `Promise<${formatUnion([...new Set(resolvedTypes)])}>`;
+    }
+
+    inferMemberExpressionType(node) {
+        const constMember = this.getConstObjectMember(node);
+        if (constMember) return constMember.constObject.style === 'enum' ? constMember.constObject.name : constMember.type;
+
+        const objectType = this.inferType(node.object);
+
+        if (!node.computed) {
+            const memberType = this.getMemberType(objectType, node.property.name);
+            return memberType === 'unknown' ? this.inferBuiltinProperty(node) : memberType;
+        }
+
+        const { property } = node;
+        if (property.type === 'Literal' && typeof property.value === 'string') {
+            return this.getMemberType(objectType, property.value);
+        }
+        const isIndex = property.type === 'Literal' ? typeof property.value === 'number' : this.inferType(property) === 'number';
+        if (!isIndex) return 'unknown';
+
+        const elementType = this.getElementType(objectType, property.type === 'Literal' ? property.value : null);
+        // Indexing an array of a type parameter may run past its end
+        return this.isTypeParameterOf(elementType, node.object) ? formatUnion([elementType, 'undefined']) : elementType;
+    }
+
+    isTypeParameterOf(type, node) {
+        const binding = node.type === 'Identifier' && this.symbols ? this.symbols.lookup(node) : null;
+        const typeParameters = binding && binding.kind === 'param' && binding.functionNode.typeParameters;
+        return !!typeParameters && typeParameters.params.some(param => param.name.name === type);
+    }
+
+    inferUnaryExpressionType(node) {
+        switch (node.operator) {
+            case '!':
+            case 'delete':
+                return 'boolean';
+            case 'typeof':
+                return 'string';
+            case 'void':
+                return 'undefined';
+            default:
+                return 'number';
+        }
+    }
+
+    inferLogicalExpressionType(node) {
+        const leftMembers = splitTopLevel(this.inferType(node.left), '|');
+        const rightType = this.inferType(node.right);
+        if (leftMembers.includes('unknown') || rightType === 'unknown') return 'unknown';
+
+        if (node.operator === '??') {
+            return formatUnion([...leftMembers.filter(member => member !== 'null' && member !== 'undefined'), rightType]);
+        }
+
+        // The left operand only survives when it is truthy (`||`) or falsy (`&&`)
+        const FALSY_PARTS = { boolean: 'false', number: '0', string: '""', null: 'null', undefined: 'undefined' };
+        const survivors = node.operator === '||'
+            ? leftMembers.filter(member => !['null', 'undefined', 'false'].includes(member)).map(member => member === 'boolean' ? 'true' : member)
+            : leftMembers.map(member => FALSY_PARTS[member]).filter(Boolean);
+        return formatUnion([...survivors, rightType]);
+    }
+
+    inferConditionalExpressionType(node) {
+        const types = [this.inferType(node.consequent), this.inferType(node.alternate)];
+        return types.includes('unknown') ? 'unknown' : formatUnion(types);
+    }
+
+    inferObjectType(node) {
+        const properties = node.properties.filter(prop => prop.type === 'Property');
+        const keyOf = prop => prop.computed && prop.key.type !== 'Literal' ? null : prop.key.name || String(prop.key.value);
+        const getters = new Set(properties.filter(prop => prop.kind === 'get').map(keyOf));
+
+        // An accessor pair is one property typed by its getter
+        const entries = properties.filter(prop => prop.kind !== 'set' || keyOf(prop) === null || !getters.has(keyOf(prop))).map(prop => ({
+            // Keys computed at runtime have no name to declare
+            key: keyOf(prop),
+            valueType: this.inferAccessorType(prop) || this.inferType(prop.value)
+        }));
+        const members = entries.filter(entry => entry.key !== null)
+            .map(({ key, valueType }) => `${formatPropertyName(key)}: ${valueType}`);
+
+        // They become an index signature, which every named property has to match as well
+        if (entries.some(entry => entry.key === null)) {
+            members.push(`[key: string]: ${formatUnion(entries.map(entry => entry.valueType))}`);
+        }
+
+        return `{ ${members.join('; ')} }`;
+    }
+
+    // The value a `get` accessor returns or a `set` accessor takes, or null for other properties
+    inferAccessorType(prop) {
+        if (prop.kind === 'get') return this.inferFunctionReturnType(prop.value);
+        if (prop.kind !== 'set') return null;
+        const [param] = prop.value.params;
+        return param ? this.inferParameterType(param, prop.value.body) : 'unknown';
+    }
+
+    inferFunctionType(node) {
+        // Function types cannot mark a parameter optional when a required one follows it
+        const required = node.params.map(param => param.type !== 'RestElement' && param.type !== 'AssignmentPattern' && !param.optional);
+        const lastRequired = required.lastIndexOf(true);
+
+        const paramTypes = node.params.map((param, index) => {
+            const target = param.type === 'AssignmentPattern' ? param.left : param;
+            let paramType = target.typeAnnotation
+                ? printType(target.typeAnnotation)
+                : this.inferParameterType(param, node.body);
+            // The type applies to the function itself, whose body an `unknown` parameter would break;
+            // strict mode annotates the parameter `unknown` anyway
+            if (!this.strict && !target.typeAnnotation) paramType = paramType.replace(/^unknown(?=\[\]$|$)/, 'any');
+            const name = getParameterName(param) || `arg${index}`;
+            if (param.type === 'RestElement') return `...${name}: ${paramType}`;
+            return `${name}${!required[index] && index > lastRequired ? '?' : ''}: ${paramType}`;
+        });
+
+        const returnType = this.inferFunctionReturnType(node);
+        return `(${paramTypes.join(', ')}) => ${returnType}`;
+    }
+
+    inferFunctionReturnType(node) {
+        if (node.returnType) return printType(node.returnType);
+
+        // Recursive calls contribute nothing while their own return type is being inferred
+        if (this.resolvingFunctions.has(node)) return 'unknown';
+        this.resolvingFunctions.add(node);
+        try {
+            if (node.generator) return this.inferGeneratorType(node);
+            const returnType = node.body.type === 'BlockStatement'
+                ? this.inferReturnType(node.body)
+                : this.inferType(node.body);
+            return node.async ? toPromiseType(returnType) : returnType;
+        } finally {
+            this.resolvingFunctions.delete(node);
+        }
+    }
+
+    // How a parameter is used when nothing in the body constrains its type: returned or
+    // passed on as is ('value'), indexed or iterated ('array'), or called ('callback').
+    // Returns null as soon as a use implies a concrete type.
+    getGenericUsage(param, functionNode) {
+        const binding = this.symbols ? this.symbols.lookup(param) : null;
+        if (!binding || binding.identifier !== param) return null;
+
+        const references = this.findReferences(binding, functionNode.body);
+        const usage = { kind: null, value: false, array: false, length: false, calls: [] };
+        for (const reference of references) {
+            const parent = this.symbols.parentOf(reference);
+            const grandparent = parent && this.symbols.parentOf(parent);
+
+            if (functionNode.body === reference || ['ReturnStatement', 'ArrayExpression'].includes(parent.type) ||
+                (parent.type === 'Property' && parent.value === reference)) {
+                usage.value = true;
+            } else if (parent.type === 'MemberExpression' && parent.object === reference) {
+                const isCall = grandparent && grandparent.type === 'CallExpression' && grandparent.callee === parent;
+                if (grandparent && grandparent.type === 'AssignmentExpression' && grandparent.left === parent) return null;
+                if (parent.computed) {
+                    if (this.inferType(parent.property) !== 'number') return null;
+                    usage.array = true;
+                } else if (parent.property.name === 'length') {
+                    usage.length = true;
+                } else if (isCall && GENERIC_ARRAY_METHODS.includes(parent.property.name)) {
+                    // Elements used as a type or with members read need that type, not `T`
+                    if (this.inferElementType(this.findElementReferences(reference)) !== 'unknown') return null;
+                    usage.array = true;
+                } else {
+                    return null;
+                }
+            } else if (parent.type === 'CallExpression' && parent.callee === reference) {
+                if (parent.arguments.some(argument => argument.type === 'SpreadElement')) return null;
+                usage.calls.push(parent);
+            } else if (parent.type === 'CallExpression' && this.isParameterOf(parent.callee, functionNode)) {
+                usage.value = true;
+            } else {
+                return null;
+            }
+        }
+
+        if (usage.calls.length > 0) {
+            usage.kind = usage.value || usage.array || usage.length ? null : 'callback';
+        } else if (usage.array) {
+            usage.kind = 'array';
+        } else if (usage.value && !usage.length) {
+            usage.kind = 'value';
+        }
+        return usage.kind ? usage : null;
+    }
+
+    // The element parameters of callbacks passed to methods called on `array` (and their
+    // references), following the methods that keep the elements, as in
+    // `items.filter(item => item.active).map(item => item.id)`
+    findElementReferences(array) {
+        const references = [];
+        let receiver = array;
+        for (;;) {
+            const member = this.symbols.parentOf(receiver);
+            const call = member && this.symbols.parentOf(member);
+            if (!member || member.type !== 'MemberExpression' || member.object !== receiver || member.computed ||
+                !call || call.type !== 'CallExpression' || call.callee !== member) return references;
+
+            const method = member.property.name;
+            const callback = call.arguments[0];
+            const element = callback && FUNCTION_TYPES.includes(callback.type)
+                ? callback.params[method === 'reduce' || method === 'reduceRight' ? 1 : 0]
+                : null;
+            const binding = element && element.type === 'Identifier' ? this.symbols.lookup(element) : null;
+            if (element && element.type === 'ObjectPattern') references.push(element);
+            if (binding) references.push(...this.findReferences(binding, callback.body));
+
+            if (!ELEMENT_PRESERVING_METHODS.includes(method)) return references;
+            receiver = call;
+        }
+    }
+
+    // `{ status: string; value: number }` from the members read off `expressions`, or null
+    // when none are read or one is read through a computed key
+    inferReadShape(expressions) {
+        const members = new Map();
+        for (const expression of expressions) {
+            if (expression.type === 'ObjectPattern') {
+                for (const prop of expression.properties) {
+                    if (prop.type !== 'Property' || prop.computed) return null;
+                    const name = memberName(prop);
+                    if (!members.has(name)) members.set(name, []);
+                }
+                continue;
+            }
+            const parent = this.symbols.parentOf(expression);
+            if (!parent || parent.type !== 'MemberExpression' || parent.object !== expression) continue;
+            if (parent.computed) return null;
+            if (!members.has(parent.property.name)) members.set(parent.property.name, []);
+            members.get(parent.property.name).push(parent);
+        }
+        if (members.size === 0) return null;
+
+        const entries = [...members].map(([name, reads]) => `${formatPropertyName(name)}: ${this.inferReadType(name, reads)}`);
+        return `{ ${entries.join('; ')} }`;
+    }
+
+    // The type of a member from how its reads are used: operands, comparisons, methods
+    // called on it, or members read off it in turn
+    inferReadType(name, reads) {
+        const types = [...new Set(reads.map(read => this.inferUseType(read)).filter(type => type !== 'unknown'))];
+        if (types.length === 1) return types[0];
+        if (types.length > 1) return 'unknown';
+        return this.inferReadShape(reads) || (name === 'length' ? 'number' : 'unknown');
+    }
+
+    inferUseType(expression) {
+        const parent = this.symbols.parentOf(expression);
+        if (!parent) return 'unknown';
+        if (parent.type === 'BinaryExpression') {
+            if (['-', '*', '/', '%', '**'].includes(parent.operator)) return 'number';
+            if (!['==', '===', '!=', '!=='].includes(parent.operator)) return 'unknown';
+            const otherType = this.inferType(parent.left === expression ? parent.right : parent.left);
+            return otherType === 'null' || otherType === 'undefined' ? 'unknown' : otherType;
+        }
+        // `item.category || "default"` falls back to a value of the same type
+        if (parent.type === 'LogicalExpression' && parent.left === expression && parent.operator !== '&&') {
+            return this.inferType(parent.right);
+        }
+        if (parent.type === 'CallExpression' && parent.callee === expression) return '(...args: unknown[]) => unknown';
+        if (parent.type === 'MemberExpression' && parent.object === expression && !parent.computed) {
+            const call = this.symbols.parentOf(parent);
+            if (call && call.type === 'CallExpression' && call.callee === parent) {
+                return this.catalog.getReceiverType(parent.property.name) || 'unknown';
+            }
+        }
+        return 'unknown';
+    }
+
+    isParameterOf(node, functionNode) {
+        const binding = node.type === 'Identifier' && this.symbols ? this.symbols.lookup(node) : null;
+        return !!binding && binding.kind === 'param' && binding.functionNode === functionNode;
+    }
+
+    // Identifiers below `root` that refer to `binding`
+    findReferences(binding, root) {
+        const references = [];
+        traverseNodes(root, node => {
+            if (node.type !== 'Identifier' || node === binding.identifier || this.symbols.lookup(node) !== binding) return;
+
+            const parent = this.symbols.parentOf(node);
+            const isName = parent && (
+                (parent.type === 'MemberExpression' && parent.property === node && !parent.computed) ||
+                (['Property', 'PropertyDefinition', 'MethodDefinition'].includes(parent.type) && parent.key === node && !parent.computed)
+            );
+            if (!isName) references.push(node);
+        });
+        return references;
+    }
+
+    // A local function declaration, or a function expression stored in a variable
+    getLocalFunction(callee) {
+        const binding = callee.type === 'Identifier' && this.symbols ? this.symbols.lookup(callee) : null;
+        if (!binding) return null;
+        if (binding.kind === 'function') return binding.node;
+
+        const init = binding.declarator && binding.declarator.id === binding.identifier ? binding.declarator.init : null;
+        return init && ['ArrowFunctionExpression', 'FunctionExpression'].includes(init.type) ? init : null;
+    }
+
+    // The return type of a call to a generic function, with its type parameters bound
+    // from the argument types, e.g. `number` for `identity(5)`
+    instantiateGenericCall(functionNode, call) {
+        const variables = {};
+        functionNode.typeParameters.params.forEach(param => {
+            variables[param.name.name] = undefined;
+        });
+
+        functionNode.params.forEach((param, index) => {
+            const argument = call.arguments[index];
+            if (!argument || argument.type === 'SpreadElement' || !param.typeAnnotation) return;
+            this.bindTypeVariables(printType(param.typeAnnotation), this.inferType(argument), variables);
+        });
+
+        return functionNode.returnType ? substituteTypeVariables(printType(functionNode.returnType), variables) : 'unknown';
+    }
+
+    bindTypeVariables(template, actual, variables) {
+        if (actual === 'unknown') return;
+
+        if (Object.prototype.hasOwnProperty.call(variables, template)) {
+            variables[template] = variables[template] ? formatUnion([variables[template], actual]) : actual;
+        } else if (this.isArrayType(template) && this.isArrayType(actual)) {
+            this.bindTypeVariables(this.getElementType(template), this.getElementType(actual), variables);
+        } else if (isFunctionTypeString(template) && isFunctionTypeString(actual)) {
+            const expected = parseTypeStringSafe(template);
+            const received = parseTypeStringSafe(actual);
+            if (expected && received && expected.returnType && received.returnType) {
+                this.bindTypeVariables(printType(expected.returnType), printType(received.returnType), variables);
+            }
+        }
+    }
+
+    // Dynamic keys and empty containers take their types from how the binding is filled:
+    // `counts[key] = 1` gives `Record<string, number>`, `cache.set("a", 1)` gives `Map<string, number>`.
+    // In strict mode keys assigned after the literal become optional: `result.extra = 1` adds `extra?: number`
+    refineContainerType(binding, init, type) {
+        if (!init || !this.program) return type;
+
+        const isEmptyContainer = init.type === 'NewExpression' && init.callee.type === 'Identifier' &&
+            ['Map', 'Set'].includes(init.callee.name) && init.arguments.length === 0 && !this.symbols.lookup(init.callee);
+        if (!isEmptyContainer && init.type !== 'ObjectExpression') return type;
+        if (init.type === 'ObjectExpression' && init.properties.some(prop => prop.type !== 'Property')) return type;
+
+        const keys = [];
+        const values = [];
+        const added = new Map();
+        this.findReferences(binding, this.program).forEach(reference => {
+            const member = this.symbols.parentOf(reference);
+            const parent = member && this.symbols.parentOf(member);
+            if (!member || member.type !== 'MemberExpression' || member.object !== reference || !parent) return;
+
+            if (isEmptyContainer && !member.computed && parent.type === 'CallExpression' && parent.callee === member) {
+                const [first, second] = parent.arguments;
+                if (init.callee.name === 'Map' && member.property.name === 'set' && second) {
+                    keys.push(this.inferType(first));
+                    values.push(this.inferType(second));
+                } else if (init.callee.name === 'Set' && member.property.name === 'add' && first) {
+                    values.push(this.inferType(first));
+                }
+            } else if (!isEmptyContainer && member.computed && literalTypeOf(member.property) === null &&
+                parent.type === 'AssignmentExpression' && parent.left === member && parent.operator === '=') {
+                values.push(this.inferType(parent.right));
+            } else if (this.strict && !isEmptyContainer && !member.computed && member.property.type === 'Identifier' &&
+                parent.type === 'AssignmentExpression' && parent.left === member && parent.operator === '=') {
+                const name = member.property.name;
+                added.set(name, [...(added.get(name) || []), this.inferType(parent.right)]);
+            }
+        });
+        if (values.length === 0) return added.size > 0 ? this.addOptionalMembers(type, added) : type;
+
+        const union = types => types.includes('unknown') ? 'unknown' : formatUnion([...new Set(types)]);
+        if (!isEmptyContainer) {
+            return `Record<string, ${union([...init.properties.map(prop => this.inferType(prop.value)), ...values])}>`;
+        }
+        return init.callee.name === 'Map' ? `Map<${union(keys)}, ${union(values)}>` : `Set<${union(values)}>`;
+    }
+
+    // `{ name: string }` with `extra` assigned later gives `{ name: string; extra?: number }`;
+    // declared keys and named object types are left alone
+    addOptionalMembers(type, added) {
+        const node = parseTypeStringSafe(type);
+        if (!node || node.type !== 'TSTypeLiteral') return type;
+
+        const declared = new Set(node.members.map(memberName));
+        const members = [...added]
+            .filter(([name]) => !declared.has(name))
+            .map(([name, types]) => `${formatPropertyName(name)}?: ${formatUnion([...new Set(types)])}`);
+        if (members.length === 0) return type;
+        return node.members.length === 0 ? `{ ${members.join('; ')} }` : `${type.slice(0, -2)}; ${members.join('; ')} }`;
+    }
+
+    // Destructuring patterns become object and tuple types, defaults contribute their own
+    // type and rest parameters are arrays
+    inferParameterType(param, body) {
+        switch (param.type) {
+            case 'Identifier':
+                return this.inferUsageType(param, body);
+            case 'AssignmentPattern':
+                return this.inferDefaultedParameterType(param, body);
+            case 'RestElement': {
+                const type = this.inferParameterType(param.argument, body);
+                return this.isArrayType(type) || type.startsWith('[') ? type : 'unknown[]';
+            }
+            case 'ObjectPattern':
+                return this.inferObjectPatternType(param, body);
+            case 'ArrayPattern':
+                return this.inferArrayPatternType(param, body);
+            default:
+                return 'unknown';
+        }
+    }
+
+    inferDefaultedParameterType(param, body) {
+        const { left, right } = param;
+        // Members a literal default leaves out may be missing
+        if (left.type === 'ObjectPattern') {
+            const provided = right.type === 'ObjectExpression'
+                ? new Set(right.properties.map(prop => prop.type === 'Property' && !prop.computed && (prop.key.name || String(prop.key.value))))
+                : null;
+            return this.inferObjectPatternType(left, body, provided);
+        }
+        if (left.type === 'ArrayPattern') {
+            return this.inferArrayPatternType(left, body, right.type === 'ArrayExpression' ? right.elements : null);
+        }
+
+        const usageType = this.inferParameterType(left, body);
+        const defaultType = this.inferType(right);
+        if (defaultType === 'null' || defaultType === 'undefined') {
+            return usageType === 'unknown' ? 'unknown' : formatUnion([usageType, defaultType]);
+        }
+        return defaultType !== 'unknown' ? defaultType : usageType;
+    }
+
+    // `{ name, age = 3 }` gives `{ name: string; age?: number }`
+    inferObjectPatternType(pattern, body, provided = null) {
+        const types = [];
+        const members = pattern.properties.map(prop => {
+            // Object rest elements collect whatever else is passed and add no members
+            if (prop.type === 'RestElement' || prop.computed) return null;
+            const key = prop.key.name || String(prop.key.value);
+            const type = this.inferParameterType(prop.value, body);
+            const optional = prop.value.type === 'AssignmentPattern' || (provided !== null && !provided.has(key));
+            types.push(type);
+            return `${formatPropertyName(key)}${optional ? '?' : ''}: ${type}`;
+        }).filter(Boolean);
+
+        // A `{}` default only type-checks against an annotation listing the optional members
+        if (provided === null && types.every(type => type === 'unknown')) return 'unknown';
+        return `{ ${members.join('; ')} }`;
+    }
+
+    // `[first, second = 0, ...others]` gives `[number, string?, ...boolean[]]`; elements of a
+    // literal default (`[a, b] = [1, 2]`) type what their usage does not
+    inferArrayPatternType(pattern, body, provided = null) {
+        const types = [];
+        let optional = false;
+        const elements = pattern.elements.map((element, index) => {
+            if (!element) return 'unknown';
+            let type = this.inferParameterType(element, body);
+            if (element.type === 'RestElement') return `...${type}`;
+            const defaultElement = provided && provided[index];
+            if (type === 'unknown' && defaultElement && defaultElement.type !== 'SpreadElement') {
+                type = this.inferType(defaultElement);
+            }
+            types.push(type);
+            // A required element cannot follow an optional one
+            optional = optional || element.type === 'AssignmentPattern' || (provided !== null && index >= provided.length);
+            return optional ? `${toOperandType(type)}?` : type;
+        });
+
+        if (provided === null && types.every(type => type === 'unknown')) return 'unknown';
+        return `[${elements.join(', ')}]`;
+    }
+
+    inferUsageType(param, body) {
+        // Analyze how the parameter's own references are used; a shadowing binding of the same name is another variable
+        const binding = this.symbols ? this.symbols.lookup(param) : null;
+        if (!binding || binding.identifier !== param) return 'unknown';
+        let inferredType = 'unknown';
+        const evidence = [];
+
+        this.findReferences(binding, body).forEach(reference => {
+            const parent = this.symbols.parentOf(reference);
+            if (parent.type === 'BinaryExpression') {
+                const other = parent.left === reference ? parent.right : parent.left;
+                if (['-', '*', '/', '%'].includes(parent.operator)) {
+                    inferredType = 'number';
+                } else if (parent.operator === '+') {
+                    // `x + 1` most likely adds; with any other operand `+` may as well concatenate
+                    if (this.inferType(other) === 'number') inferredType = 'number';
+                } else if (['==', '===', '!=', '!=='].includes(parent.operator)) {
+                    inferredType = this.inferType(other);
+                }
+                evidence.push(inferredType);
+            } else if (parent.type === 'MemberExpression' && parent.object === reference && !parent.computed) {
+                const call = this.symbols.parentOf(parent);
+                if (call && call.type === 'CallExpression' && call.callee === parent) {
+                    // Methods only one built-in receiver has, e.g. `toFixed` or `push`
+                    inferredType = this.catalog.getReceiverType(parent.property.name) || inferredType;
+                    evidence.push(inferredType);
+                }
+            }
+        });
+
+        // Arrays whose elements have their members read in callbacks
+        if (inferredType === 'unknown[]') {
+            const shape = this.inferElementShapeType(param, body) || inferredType;
+            // The shape refines the array uses rather than contradicting them
+            evidence.forEach((type, index) => { if (type === inferredType) evidence[index] = shape; });
+            inferredType = shape;
+        }
+
+        if (!this.strict) return inferredType;
+
+        // Strict mode does not let the last use win: `null` checks add to the type, anything else must agree
+        const known = [...new Set(evidence.filter(type => type !== 'unknown'))];
+        const concrete = known.filter(type => type !== 'null' && type !== 'undefined');
+        if (concrete.length > 1) {
+            this.reportConflict(param, `Parameter '${param.name}' left untyped: conflicting evidence (used as ${concrete.join(' and ')})`);
+            return 'unknown';
+        }
+        return concrete.length > 0 ? formatUnion(known) : inferredType;
+    }
+
+    // `{ id: unknown; value: number }[]` for a parameter used as `items.map(item => item.value * 2)`,
+    // `number[]` for `items.map(item => item * 2)`
+    inferElementShapeType(param, body) {
+        const binding = this.symbols ? this.symbols.lookup(param) : null;
+        if (!binding || binding.identifier !== param) return null;
+        const elements = this.findReferences(binding, body).flatMap(reference => this.findElementReferences(reference));
+        const type = this.inferElementType(elements);
+        return type !== 'unknown' ? toArrayType(type) : null;
+    }
+
+    // The element type from how the callbacks use `elements`: as an operand or receiver, or by the members they read
+    inferElementType(elements) {
+        return elements.length > 0 ? this.inferReadType(null, elements) : 'unknown';
+    }
+
+    inferReturnType(body) {
+        const returnTypes = collectFunctionExits(body).returns.map(node =>
+            node.argument ? this.inferType(node.argument) : this.strict ? 'undefined' : 'void'
+        );
+        if (returnTypes.length === 0) return 'void';
+
+        // Strict mode: `return;` and falling off the end give `undefined` next to the values returned
+        if (this.strict && canCompleteNormally(body)) returnTypes.push('undefined');
+        if (this.strict && returnTypes.every(type => type === 'undefined')) return 'void';
+        return formatUnion([...new Set(returnTypes)]);
+    }
+
+    // `function*` gives `Generator<Y, R, N>`: the yielded, returned and `next()` argument types
+    inferGeneratorType(node) {
+        const { returns, yields } = collectFunctionExits(node.body);
+        const yieldTypes = yields.map(expression => {
+            if (!expression.argument) return 'undefined';
+            const type = this.inferType(expression.argument);
+            return expression.delegate ? this.getYieldedType(type) : type;
+        });
+        const yieldType = yieldTypes.length > 0 ? formatUnion([...new Set(yieldTypes)]) : 'never';
+
+        const returnTypes = returns.map(statement => statement.argument ? this.inferType(statement.argument) : 'void');
+        let returnType = returnTypes.length > 0 ? formatUnion([...new Set(returnTypes)]) : 'void';
+        if (node.async) returnType = unwrapPromiseType(returnType);
+
+        // The value sent by `next()` is only known to be unused when no `yield` result is read
+        const readsNext = yields.some(expression => {
+            const parent = this.symbols ? this.symbols.parentOf(expression) : null;
+            return !parent || parent.type !== 'ExpressionStatement';
+        });
+        const nextType = readsNext ? 'unknown' : 'undefined';
+
+        return `${node.async ? 'AsyncGenerator' : 'Generator'}<${yieldType}, ${returnType}, ${nextType}>`;
+    }
+
+    // The values produced by `yield*`: array elements or the yield type of another generator
+    getYieldedType(type) {
+        const generator = /^(?:Async)?Generator<(.*)>$/.exec(type);
+        if (generator) return splitTopLevel(generator[1], ',')[0].trim();
+        return this.isArrayType(type) || type === 'string' ? this.getElementType(type) : 'unknown';
+    }
+
+    // Argument types of a call, or null when a spread hides which parameter gets which value
+    inferArgumentTypes(node) {
+        if (node.arguments.some(argument => argument.type === 'SpreadElement')) return null;
+        return node.arguments.map(argument => this.inferType(argument));
+    }
+
+    inferBinaryExpressionType(node) {
+        if (node.operator === '+') {
+            // `+` concatenates as soon as one side is a string and only adds two numbers;
+            // with an operand of unknown type the result is unknown as well. Optional
+            // operands count as their defined type, as they do for TypeScript
+            const kinds = [node.left, node.right].map(operand => {
+                const members = splitTopLevel(this.inferType(operand), '|');
+                const defined = members.filter(member => member !== 'null' && member !== 'undefined');
+                const kinds = new Set((defined.length > 0 ? defined : members).map(typeOfMember));
+                return kinds.size === 1 ? [...kinds][0] : null;
+            });
+            if (kinds.includes('string')) return 'string';
+            if (kinds[0] === kinds[1] && ['number', 'bigint'].includes(kinds[0])) return kinds[0];
+            return 'unknown';
+        }
+        if (['-', '*', '/', '%', '**', '&', '|', '^', '<<', '>>', '>>>'].includes(node.operator)) {
+            return 'number';
+        }
+        if (['==', '===', '!=', '!==', '<', '>', '<=', '>=', 'in', 'instanceof'].includes(node.operator)) {
+            return 'boolean';
+        }
+        return 'unknown';
+    }
+
+    inferCallExpressionType(node) {
+        const { callee } = node;
+        const name = callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'Identifier'
+            ? `${callee.object.name}.${callee.property.name}`
+            : callee.name;
+        if (this.functionSignatures.has(name)) {
+            return this.functionSignatures.get(name).returnType;
+        }
+
+        const functionNode = this.getLocalFunction(callee);
+        if (functionNode && functionNode.typeParameters) {
+            return this.instantiateGenericCall(functionNode, node);
+        }
+        const binding = callee.type === 'Identifier' && this.symbols ? this.symbols.lookup(callee) : null;
+        if (binding && binding.kind === 'function') {
+            return this.inferFunctionReturnType(binding.node);
+        }
+
+        const builtin = this.resolveBuiltinCallee(node);
+        if (builtin) {
+            return this.applyBuiltinCall(builtin.entry, node, builtin.variables);
+        }
+        return this.getReturnTypeOf(this.inferType(callee));
+    }
+}
+
+// Shapes sharing at least this fraction of their members (with equal types) are
+// merged into one interface whose remaining members are optional
+const SHAPE_MERGE_THRESHOLD = 2 / 3;
+
+// Type names that would merge with or shadow a global declaration
+const GLOBAL_TYPE_NAMES = [
+    'Array', 'Boolean', 'Date', 'Document', 'Element', 'Error', 'Event', 'Function', 'Headers', 'Map',
+    'Node', 'Number', 'Object', 'Partial', 'Promise', 'Readonly', 'Record', 'RegExp', 'Request',
+    'Response', 'Set', 'String', 'Symbol', 'Text', 'URL', 'WeakMap', 'WeakSet', 'Window'
+];
+
+// `userProfile` → `UserProfile`, `user_settings` → `UserSettings`
+function toTypeName(name) {
+    const words = String(name).split(/[^A-Za-z0-9$]+/).filter(Boolean);
+    const typeName = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    return /^[A-Za-z_$]/.test(typeName) ? typeName : '';
+}
+
+// Object type members sorted by name at every level, so key order does not matter
+function canonicalType(typeString) {
+    const node = parseTypeStringSafe(typeString);
+    if (!node) return typeString;
+
+    const sortMembers = value => {
+        if (Array.isArray(value)) {
+            value.forEach(sortMembers);
+        } else if (value && typeof value.type === 'string') {
+            if (value.type === 'TSTypeLiteral') {
+                value.members.sort((a, b) => memberName(a).localeCompare(memberName(b)));
+            }
+            Object.values(value).forEach(sortMembers);
+        }
+    };
+    sortMembers(node);
+    return printType(node);
+}
+
+function memberName(member) {
+    return member.key ? String(member.key.name !== undefined ? member.key.name : member.key.value) : '';
+}
+
+class InterfaceGenerator {
+    constructor() {
+        // name → { type, canonical, members }; members are null for shapes that cannot be merged
+        this.interfaces = new Map();
+        this.declarations = new Map();
+        this.reservedNames = new Set(GLOBAL_TYPE_NAMES);
+        this.interfaceCounter = 0;
+        // Merging makes members optional that bindings typed earlier already use as required,
+        // which strict null checks reject
+        this.mergeShapes = true;
+    }
+
+    // Explicitly named types, e.g. from JSDoc @typedef, keep their names
+    declareType(name, typeString) {
+        this.declarations.set(name, typeString);
+    }
+
+    // Names of local classes and imports, which share the type namespace
+    reserveName(name) {
+        this.reservedNames.add(name);
+    }
+
+    // `nameHint` is the type name derived from the binding or property the object came from
+    generateInterface(objectType, nameHint = null) {
+        const canonical = canonicalType(objectType);
+        for (const [declaredName, declaredType] of this.declarations) {
+            if (canonicalType(declaredType) === canonical) return declaredName;
+        }
+        for (const [name, entry] of this.interfaces) {
+            if (entry.canonical === canonical) return name;
+        }
+
+        const members = this.mergeShapes ? this.getMembers(objectType) : null;
+        for (const [name, entry] of this.interfaces) {
+            const merged = entry.members && members && this.mergeMembers(entry.members, members);
+            if (merged) {
+                const type = this.formatMembers(merged);
+                this.interfaces.set(name, { type, canonical: canonicalType(type), members: merged });
+                return name;
+            }
+        }
+
+        const name = this.createName(nameHint);
+        this.interfaces.set(name, { type: objectType, canonical, members });
+        return name;
+    }
+
+    createName(nameHint) {
+        if (!nameHint) return `Interface${++this.interfaceCounter}`;
+
+        const isTaken = name => this.interfaces.has(name) || this.declarations.has(name) || this.reservedNames.has(name);
+        let name = nameHint;
+        for (let suffix = 2; isTaken(name); suffix++) {
+            name = `${nameHint}${suffix}`;
+        }
+        return name;
+    }
+
+    // Property members of an object type, or null if it has anything else (e.g. methods)
+    getMembers(objectType) {
+        const node = parseTypeStringSafe(objectType);
+        if (!node || node.type !== 'TSTypeLiteral' || node.members.length === 0) return null;
+        if (node.members.some(member => member.type !== 'TSPropertySignature')) return null;
+
+        return node.members.map(member => {
+            const type = printType(member.typeAnnotation);
+            return { name: memberName(member), type, canonical: canonicalType(type), optional: !!member.optional };
+        });
+    }
+
+    mergeMembers(existing, incoming) {
+        const incomingByName = new Map(incoming.map(member => [member.name, member]));
+        const shared = existing.filter(member => incomingByName.has(member.name));
+        if (shared.some(member => member.canonical !== incomingByName.get(member.name).canonical)) return null;
+
+        const total = existing.length + incoming.length - shared.length;
+        if (shared.length === 0 || shared.length < total * SHAPE_MERGE_THRESHOLD) return null;
+
+        const existingNames = new Set(existing.map(member => member.name));
+        return [
+            ...existing.map(member => ({
+                ...member,
+                optional: member.optional || !incomingByName.has(member.name) || incomingByName.get(member.name).optional
+            })),
+            ...incoming.filter(member => !existingNames.has(member.name)).map(member => ({ ...member, optional: true }))
+        ];
+    }
+
+    formatMembers(members) {
+        const properties = members.map(member =>
+            `${formatPropertyName(member.name)}${member.optional ? '?' : ''}: ${member.type}`
+        );
+        return `{ ${properties.join('; ')} }`;
+    }
+
+    // Object types are declared as interfaces, or as type aliases with style 'type'
+    getInterfaceDeclarations(style = 'interface') {
+        const declare = (name, typeString) => typeString.startsWith('{') && style !== 'type'
+            ? `interface ${name} ${typeString}`
+            : `type ${name} = ${typeString};`;
+
+        const declarations = [];
+        for (const [name, typeString] of this.declarations) {
+            declarations.push(declare(name, typeString));
+        }
+        for (const [name, { type }] of this.interfaces) {
+            declarations.push(declare(name, type));
+        }
+        return declarations;
+    }
+}
+
+class TypeStringParser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = this.tokenize(source);
+        this.position = 0;
+    }
+
+    tokenize(source) {
+        const tokens = [];
+        const pattern = /\s*(=>|\.\.\.|[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*|-?\d+(?:\.\d+)?|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[{}()[\]<>|&,;:?=])/y;
+        let match;
+
+        while (pattern.lastIndex < source.length) {
+            const start = pattern.lastIndex;
+            match = pattern.exec(source);
+            if (!match) {
+                if (source.slice(start).trim() === '') break;
+                throw new Error(`Unexpected character in type '${source}' at ${start}`);
+            }
+            tokens.push(match[1]);
+        }
+
+        return tokens;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    expect(token) {
+        const actual = this.next();
+        if (actual === undefined) {
+            throw new Error(`Expected '${token}' but found end of type '${this.source}'`);
+        }
+        if (actual !== token) {
+            throw new Error(`Expected '${token}' but found '${actual}' in type '${this.source}'`);
+        }
+        return actual;
+    }
+
+    // Whether a bracketed list ends at the next token; input that ends first is malformed
+    atListEnd(closing) {
+        if (this.peek() === undefined) {
+            throw new Error(`Expected '${closing}' but found end of type '${this.source}'`);
+        }
+        return this.peek() === closing;
+    }
+
+    parse() {
+        const type = this.parseType();
+        if (this.peek() !== undefined) {
+            throw new Error(`Unexpected token '${this.peek()}' in type '${this.source}'`);
+        }
+        return type;
+    }
+
+    parseType() {
+        if (this.peek() === '<' || (this.peek() === '(' && this.isFunctionType())) {
+            return this.parseFunctionType();
+        }
+        return this.parseUnion();
+    }
+
+    isFunctionType() {
+        let depth = 0;
+        for (let i = this.position; i < this.tokens.length; i++) {
+            const token = this.tokens[i];
+            if (token === '(' || token === '[' || token === '{') depth++;
+            if (token === ')' || token === ']' || token === '}') depth--;
+            if (depth === 0) return this.tokens[i + 1] === '=>';
+        }
+        return false;
+    }
+
+    parseUnion() {
+        if (this.peek() === '|') this.next();
+
+        const types = [this.parseIntersection()];
+        while (this.peek() === '|') {
+            this.next();
+            types.push(this.parseIntersection());
+        }
+
+        return types.length === 1 ? types[0] : { type: 'TSUnionType', types };
+    }
+
+    parseIntersection() {
+        const types = [this.parsePostfix()];
+        while (this.peek() === '&') {
+            this.next();
+            types.push(this.parsePostfix());
+        }
+
+        return types.length === 1 ? types[0] : { type: 'TSIntersectionType', types };
+    }
+
+    parsePostfix() {
+        let type = this.parsePrimary();
+
+        while (this.peek() === '[') {
+            this.next();
+            if (this.peek() === ']') {
+                this.next();
+                type = { type: 'TSArrayType', elementType: type };
+            } else {
+                const indexType = this.parseType();
+                this.expect(']');
+                type = { type: 'TSIndexedAccessType', objectType: type, indexType };
+            }
+        }
+
+        return type;
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token === undefined) {
+            throw new Error(`Unexpected end of type '${this.source}'`);
+        }
+
+        if (token === '(') {
+            if (this.isFunctionType()) return this.parseFunctionType();
+            this.next();
+            const type = this.parseType();
+            this.expect(')');
+            return type;
+        }
+
+        if (token === '{') return this.parseTypeLiteral();
+        if (token === '[') return this.parseTupleType();
+
+        if (/^['"]/.test(token) || /^-?\d/.test(token) || token === 'true' || token === 'false') {
+            this.next();
+            return { type: 'TSLiteralType', literal: this.createLiteral(token) };
+        }
+
+        if (TYPE_OPERATORS.includes(token) && this.isTypeStart(this.peek(1))) {
+            this.next();
+            return { type: 'TSTypeOperator', operator: token, typeAnnotation: this.parsePostfix() };
+        }
+
+        if (token === 'typeof') {
+            this.next();
+            return { type: 'TSTypeQuery', exprName: this.parseEntityName(this.next()) };
+        }
+
+        if (!/^[A-Za-z_$]/.test(token)) {
+            throw new Error(`Unexpected token '${token}' in type '${this.source}'`);
+        }
+
+        this.next();
+
+        if (KEYWORD_TYPES[token]) return { type: KEYWORD_TYPES[token] };
+        if (token === 'this') return { type: 'TSThisType' };
+
+        const reference = { type: 'TSTypeReference', typeName: this.parseEntityName(token) };
+        if (this.peek() === '<') {
+            reference.typeParameters = this.parseTypeArguments();
+        }
+        return reference;
+    }
+
+    isTypeStart(token) {
+        return token !== undefined && ![')', ']', '}', '>', ',', ';', '|', '&', '=', '=>', ':', '?'].includes(token);
+    }
+
+    parseEntityName(token) {
+        return token.split('.').reduce((left, name) => {
+            const identifier = { type: 'Identifier', name };
+            return left ? { type: 'TSQualifiedName', left, right: identifier } : identifier;
+        }, null);
+    }
+
+    createLiteral(token) {
+        if (token === 'true' || token === 'false') {
+            return { type: 'Literal', value: token === 'true', raw: token };
+        }
+        if (/^['"]/.test(token)) {
+            const value = token.slice(1, -1).replace(/\\(.)/g, '$1');
+            return { type: 'Literal', value, raw: `'${value.replace(/'/g, "\\'")}'` };
+        }
+        return { type: 'Literal', value: Number(token), raw: token };
+    }
+
+    parseTypeArguments() {
+        this.expect('<');
+        const params = [this.parseType()];
+        while (this.peek() === ',') {
+            this.next();
+            params.push(this.parseType());
+        }
+        this.expect('>');
+        return { type: 'TSTypeParameterInstantiation', params };
+    }
+
+    parseTypeParameters() {
+        this.expect('<');
+        const params = [];
+        while (!this.atListEnd('>')) {
+            const parameter = { type: 'TSTypeParameter', name: { type: 'Identifier', name: this.next() } };
+            if (this.peek() === 'extends') {
+                this.next();
+                parameter.constraint = this.parseType();
+            }
+            if (this.peek() === '=') {
+                this.next();
+                parameter.default = this.parseType();
+            }
+            params.push(parameter);
+            if (this.peek() === ',') this.next();
+        }
+        this.expect('>');
+        return { type: 'TSTypeParameterDeclaration', params };
+    }
+
+    parseFunctionType() {
+        const typeParameters = this.peek() === '<' ? this.parseTypeParameters() : undefined;
+        const params = this.parseParameters();
+        this.expect('=>');
+        return {
+            type: 'TSFunctionType',
+            typeParameters,
+            params,
+            returnType: { type: 'TSTypeAnnotation', typeAnnotation: this.parseType() }
+        };
+    }
+
+    parseParameters() {
+        this.expect('(');
+        const params = [];
+
+        while (!this.atListEnd(')')) {
+            const isRest = this.peek() === '...';
+            if (isRest) this.next();
+
+            const param = { type: 'Identifier', name: this.next() };
+            if (this.peek() === '?') {
+                this.next();
+                param.optional = true;
+            }
+
+            let typeAnnotation;
+            if (this.peek() === ':') {
+                this.next();
+                typeAnnotation = { type: 'TSTypeAnnotation', typeAnnotation: this.parseType() };
+            }
+
+            if (isRest) {
+                params.push({ type: 'RestElement', argument: param, typeAnnotation });
+            } else {
+                param.typeAnnotation = typeAnnotation;
+                params.push(param);
+            }
+
+            if (this.peek() === ',') this.next();
+        }
+
+        this.expect(')');
+        return params;
+    }
+
+    parseTupleType() {
+        this.expect('[');
+        const elementTypes = [];
+        while (!this.atListEnd(']')) {
+            elementTypes.push(this.parseTupleElement());
+            if (this.peek() === ',') this.next();
+        }
+        this.expect(']');
+        return { type: 'TSTupleType', elementTypes };
+    }
+
+    // `...string[]` and `number?` elements
+    parseTupleElement() {
+        if (this.peek() === '...') {
+            this.next();
+            return { type: 'TSRestType', typeAnnotation: this.parseType() };
+        }
+        const type = this.parseType();
+        if (this.peek() !== '?') return type;
+        this.next();
+        return { type: 'TSOptionalType', typeAnnotation: type };
+    }
+
+    parseTypeLiteral() {
+        this.expect('{');
+        const members = [];
+
+        while (!this.atListEnd('}')) {
+            members.push(this.parseTypeMember());
+            if (this.peek() === ';' || this.peek() === ',') this.next();
+        }
+
+        this.expect('}');
+        return { type: 'TSTypeLiteral', members };
+    }
+
+    parseTypeMember() {
+        let readonly = false;
+        if (this.peek() === 'readonly' && ![':', '?', '('].includes(this.peek(1))) {
+            this.next();
+            readonly = true;
+        }
+
+        if (this.peek() === '[') {
+            this.next();
+            const parameter = { type: 'Identifier', name: this.next() };
+            this.expect(':');
+            parameter.typeAnnotation = { type: 'TSTypeAnnotation', typeAnnotation: this.parseType() };
+            this.expect(']');
+            this.expect(':');
+            return {
+                type: 'TSIndexSignature',
+                readonly,
+                parameters: [parameter],
+                typeAnnotation: { type: 'TSTypeAnnotation', typeAnnotation: this.parseType() }
+            };
+        }
+
+        const token = this.next();
+        const key = /^['"\d]/.test(token)
+            ? this.createLiteral(token)
+            : { type: 'Identifier', name: token };
+
+        let optional = false;
+        if (this.peek() === '?') {
+            this.next();
+            optional = true;
+        }
+
+        if (this.peek() === '(' || this.peek() === '<') {
+            const typeParameters = this.peek() === '<' ? this.parseTypeParameters() : undefined;
+            const params = this.parseParameters();
+            this.expect(':');
+            return {
+                type: 'TSMethodSignature',
+                key,
+                optional,
+                typeParameters,
+                params,
+                returnType: { type: 'TSTypeAnnotation', typeAnnotation: this.parseType() }
+            };
+        }
+
+        this.expect(':');
+        return {
+            type: 'TSPropertySignature',
+            key,
+            optional,
+            readonly,
+            typeAnnotation: { type: 'TSTypeAnnotation', typeAnnotation: this.parseType() }
+        };
+    }
+}
+
+function formatParameters(state, params) {
+    state.write('(');
+    params.forEach((param, index) => {
+        if (index > 0) state.write(', ');
+        state.generator[param.type](param, state);
+    });
+    state.write(')');
+}
+
+function formatTypeParameters(state, typeParameters) {
+    if (typeParameters && typeParameters.params.length > 0) {
+        state.generator[typeParameters.type](typeParameters, state);
+    }
+}
+
+function formatReturnType(state, returnType) {
+    if (returnType) {
+        state.generator.TSTypeAnnotation(returnType, state);
+    }
+}
+
+function formatModifiers(state, node) {
+    if (node.declare) state.write('declare ');
+    if (node.accessibility) state.write(node.accessibility + ' ');
+    if (node.static) state.write('static ');
+    if (node.abstract) state.write('abstract ');
+    if (node.override) state.write('override ');
+    if (node.readonly) state.write('readonly ');
+}
+
+function formatPropertyKey(state, node) {
+    if (node.computed) {
+        state.write('[');
+        state.generator[node.key.type](node.key, state);
+        state.write(']');
+    } else {
+        state.generator[node.key.type](node.key, state);
+    }
+}
+
+function formatTypeOperand(state, node, parentType) {
+    const isOperand = ['TSArrayType', 'TSOptionalType', 'TSUnionType', 'TSIntersectionType', 'TSTypeOperator'].includes(parentType);
+    const needsParentheses = isOperand && (
+        node.type === 'TSFunctionType' ||
+        (node.type === 'TSUnionType' && parentType !== 'TSUnionType') ||
+        (node.type === 'TSIntersectionType' && parentType !== 'TSUnionType' && parentType !== 'TSIntersectionType') ||
+        (node.type === 'TSTypeOperator' && ['TSArrayType', 'TSOptionalType'].includes(parentType))
+    );
+
+    if (needsParentheses) state.write('(');
+    state.generator[node.type](node, state);
+    if (needsParentheses) state.write(')');
+}
+
+function formatTypeList(state, types, separator, parentType) {
+    types.forEach((type, index) => {
+        if (index > 0) state.write(separator);
+        formatTypeOperand(state, type, parentType);
+    });
+}
+
+function formatComment(comment, indent) {
+    if (comment.type === 'Line') {
+        return '//' + comment.value;
+    }
+
+    const lines = comment.value.split('\n');
+    return '/*' + lines.map((line, index) => {
+        if (index === 0) return line;
+        const text = line.trim();
+        if (index === lines.length - 1 && text === '') return indent + ' ';
+        return indent + (text.startsWith('*') ? ' ' : '') + text;
+    }).join('\n') + '*/';
+}
+
+function startsAfterBlankLine(node, previousLine) {
+    return previousLine != null && node.loc != null && node.loc.start.line - previousLine > 1;
+}
+
+function formatLeadingComments(state, comments, indent, previousLine) {
+    if (!comments) return previousLine;
+
+    comments.filter(comment => !comment.removed).forEach(comment => {
+        if (startsAfterBlankLine(comment, previousLine)) state.write(state.lineEnd);
+        state.write(indent + formatComment(comment, indent) + state.lineEnd);
+        previousLine = comment.loc.end.line;
+    });
+
+    return previousLine;
+}
+
+function formatTrailingComments(state, node) {
+    const comments = (node.trailingComments || []).filter(comment => !comment.removed);
+    if (comments.length === 0) return node.loc ? node.loc.end.line : null;
+
+    comments.forEach(comment => {
+        state.write(' ' + formatComment(comment, ''));
+    });
+    return comments[comments.length - 1].loc.end.line;
+}
+
+// Prints statements (or properties) one per line, keeping comments and blank lines from the source
+function formatNodeList(state, container, nodes, indent, separator = '') {
+    const { lineEnd, writeComments, generator } = state;
+    let previousLine = null;
+
+    nodes.forEach((node, index) => {
+        if (writeComments) {
+            previousLine = formatLeadingComments(state, node.comments, indent, previousLine);
+            if (startsAfterBlankLine(node, previousLine)) state.write(lineEnd);
+        }
+
+        state.write(indent);
+        generator[node.type](node, state);
+        if (index < nodes.length - 1) state.write(separator);
+
+        if (writeComments) previousLine = formatTrailingComments(state, node);
+        state.write(lineEnd);
+        // Generated nodes have no source lines, so they ask for their separation explicitly
+        if (writeComments && node.blankLineAfter && index < nodes.length - 1) state.write(lineEnd);
+    });
+
+    if (writeComments) {
+        formatLeadingComments(state, container.innerComments, indent, previousLine);
+    }
+}
+
+function hasInnerContent(state, container, nodes) {
+    return nodes.length > 0 || (state.writeComments && container.innerComments != null);
+}
+
+// astring generator extended with the TypeScript nodes produced by parseTypeString
+// and with comment and blank line preservation
+const TS_GENERATOR = Object.assign({}, GENERATOR, {
+    Program(node, state) {
+        formatNodeList(state, node, node.body, state.indent.repeat(state.indentLevel));
+    },
+
+    BlockStatement(node, state) {
+        const indent = state.indent.repeat(state.indentLevel++);
+        state.write('{');
+
+        if (hasInnerContent(state, node, node.body)) {
+            state.write(state.lineEnd);
+            formatNodeList(state, node, node.body, indent + state.indent);
+            state.write(indent);
+        }
+
+        state.write('}');
+        state.indentLevel--;
+    },
+
+    ClassBody(node, state) {
+        this.BlockStatement(node, state);
+    },
+
+    ClassDeclaration(node, state) {
+        if (node.declare) state.write('declare ');
+        GENERATOR.ClassDeclaration.call(this, node, state);
+    },
+
+    VariableDeclaration(node, state) {
+        if (node.declare) state.write('declare ');
+        GENERATOR.VariableDeclaration.call(this, node, state);
+    },
+
+    ObjectExpression(node, state) {
+        const indent = state.indent.repeat(state.indentLevel++);
+        state.write('{');
+
+        if (hasInnerContent(state, node, node.properties)) {
+            state.write(state.lineEnd);
+            formatNodeList(state, node, node.properties, indent + state.indent, ',');
+            state.write(indent);
+        }
+
+        state.write('}');
+        state.indentLevel--;
+    },
+
+    SwitchStatement(node, state) {
+        const indent = state.indent.repeat(state.indentLevel);
+        const caseIndent = indent + state.indent;
+        state.indentLevel += 2;
+
+        state.write('switch (');
+        this[node.discriminant.type](node.discriminant, state);
+        state.write(') {' + state.lineEnd);
+
+        node.cases.forEach(switchCase => {
+            if (state.writeComments) {
+                formatLeadingComments(state, switchCase.comments, caseIndent, null);
+            }
+            if (switchCase.test) {
+                state.write(caseIndent + 'case ');
+                this[switchCase.test.type](switchCase.test, state);
+                state.write(':' + state.lineEnd);
+            } else {
+                state.write(caseIndent + 'default:' + state.lineEnd);
+            }
+            formatNodeList(state, switchCase, switchCase.consequent, caseIndent + state.indent);
+        });
+
+        if (state.writeComments) {
+            formatLeadingComments(state, node.innerComments, caseIndent, null);
+        }
+
+        state.indentLevel -= 2;
+        state.write(indent + '}');
+    },
+
+    Identifier(node, state) {
+        state.write(node.name, node);
+        if (node.optional) state.write('?');
+        if (node.typeAnnotation) this.TSTypeAnnotation(node.typeAnnotation, state);
+    },
+
+    FunctionDeclaration(node, state) {
+        state.write(
+            (node.declare ? 'declare ' : '') + (node.async ? 'async ' : '') +
+                (node.generator ? 'function* ' : 'function ') + (node.id ? node.id.name : ''),
+            node
+        );
+        formatTypeParameters(state, node.typeParameters);
+        formatParameters(state, node.params);
+        formatReturnType(state, node.returnType);
+        if (!node.body) {
+            state.write(';');
+            return;
+        }
+        state.write(' ');
+        this[node.body.type](node.body, state);
+    },
+
+    FunctionExpression(node, state) {
+        this.FunctionDeclaration(node, state);
+    },
+
+    ArrowFunctionExpression(node, state) {
+        state.write(node.async ? 'async ' : '', node);
+        formatTypeParameters(state, node.typeParameters);
+
+        const [firstParam] = node.params;
+        const isBareParam = node.params.length === 1 && firstParam.type === 'Identifier' &&
+            !firstParam.typeAnnotation && !node.returnType && !node.typeParameters;
+
+        if (isBareParam) {
+            state.write(firstParam.name, firstParam);
+        } else {
+            formatParameters(state, node.params);
+        }
+        formatReturnType(state, node.returnType);
+        state.write(' => ');
+
+        if (node.body.type === 'ObjectExpression') {
+            state.write('(');
+            this.ObjectExpression(node.body, state);
+            state.write(')');
+        } else {
+            this[node.body.type](node.body, state);
+        }
+    },
+
+    MethodDefinition(node, state) {
+        formatModifiers(state, node);
+
+        if (node.kind === 'get' || node.kind === 'set') {
+            state.write(node.kind + ' ');
+        }
+        if (node.value.async) state.write('async ');
+        if (node.value.generator) state.write('*');
+
+        formatPropertyKey(state, node);
+        if (node.optional) state.write('?');
+
+        formatTypeParameters(state, node.value.typeParameters);
+        formatParameters(state, node.value.params);
+
+        // TypeScript rejects return annotations on constructors and setters
+        if (node.kind !== 'constructor' && node.kind !== 'set') {
+            formatReturnType(state, node.value.returnType);
+        }
+
+        if (node.value.body) {
+            state.write(' ');
+            this[node.value.body.type](node.value.body, state);
+        } else {
+            state.write(';');
+        }
+    },
+
+    PropertyDefinition(node, state) {
+        formatModifiers(state, node);
+        formatPropertyKey(state, node);
+        if (node.optional) state.write('?');
+        if (node.definite) state.write('!');
+        if (node.typeAnnotation) this.TSTypeAnnotation(node.typeAnnotation, state);
+
+        if (node.value != null) {
+            state.write(' = ');
+            this[node.value.type](node.value, state);
+        }
+        state.write(';');
+    },
+
+    ObjectPattern(node, state) {
+        GENERATOR.ObjectPattern.call(this, node, state);
+        if (node.optional) state.write('?');
+        if (node.typeAnnotation) this.TSTypeAnnotation(node.typeAnnotation, state);
+    },
+
+    ArrayPattern(node, state) {
+        GENERATOR.ArrayPattern.call(this, node, state);
+        if (node.optional) state.write('?');
+        if (node.typeAnnotation) this.TSTypeAnnotation(node.typeAnnotation, state);
+    },
+
+    RestElement(node, state) {
+        state.write('...');
+        this[node.argument.type](node.argument, state);
+        if (node.typeAnnotation) this.TSTypeAnnotation(node.typeAnnotation, state);
+    },
+
+    TSImportEqualsDeclaration(node, state) {
+        state.write('import ');
+        this[node.id.type](node.id, state);
+        state.write(' = require(');
+        this.Literal(node.moduleReference.expression, state);
+        state.write(');');
+    },
+
+    TSExportAssignment(node, state) {
+        state.write('export = ');
+        this[node.expression.type](node.expression, state);
+        state.write(';');
+    },
+
+    TSEnumDeclaration(node, state) {
+        const indent = state.indent.repeat(state.indentLevel++);
+        state.write(node.declare ? 'declare enum ' : 'enum ');
+        this[node.id.type](node.id, state);
+        state.write(' {' + state.lineEnd);
+        formatNodeList(state, node, node.members, indent + state.indent, ',');
+        state.write(indent + '}');
+        state.indentLevel--;
+    },
+
+    TSEnumMember(node, state) {
+        this[node.id.type](node.id, state);
+        state.write(' = ');
+        this[node.initializer.type](node.initializer, state);
+    },
+
+    TSTypeAliasDeclaration(node, state) {
+        state.write('type ');
+        this[node.id.type](node.id, state);
+        state.write(' = ');
+        this[node.typeAnnotation.type](node.typeAnnotation, state);
+        state.write(';');
+    },
+
+    TSAsExpression(node, state) {
+        this[node.expression.type](node.expression, state);
+        state.write(' as ');
+        this[node.typeAnnotation.type](node.typeAnnotation, state);
+    },
+
+    TSTypeAnnotation(node, state) {
+        state.write(': ');
+        this[node.typeAnnotation.type](node.typeAnnotation, state);
+    },
+
+    TSArrayType(node, state) {
+        formatTypeOperand(state, node.elementType, node.type);
+        state.write('[]');
+    },
+
+    TSUnionType(node, state) {
+        formatTypeList(state, node.types, ' | ', node.type);
+    },
+
+    TSIntersectionType(node, state) {
+        formatTypeList(state, node.types, ' & ', node.type);
+    },
+
+    TSTupleType(node, state) {
+        state.write('[');
+        formatTypeList(state, node.elementTypes, ', ', node.type);
+        state.write(']');
+    },
+
+    TSOptionalType(node, state) {
+        formatTypeOperand(state, node.typeAnnotation, node.type);
+        state.write('?');
+    },
+
+    TSRestType(node, state) {
+        state.write('...');
+        this[node.typeAnnotation.type](node.typeAnnotation, state);
+    },
+
+    TSFunctionType(node, state) {
+        formatTypeParameters(state, node.typeParameters);
+        formatParameters(state, node.params);
+        state.write(' => ');
+        this[node.returnType.typeAnnotation.type](node.returnType.typeAnnotation, state);
+    },
+
+    TSTypeLiteral(node, state) {
+        if (node.members.length === 0) {
+            state.write('{}');
+            return;
+        }
+
+        state.write('{ ');
+        node.members.forEach((member, index) => {
+            if (index > 0) state.write('; ');
+            this[member.type](member, state);
+        });
+        state.write(' }');
+    },
+
+    TSPropertySignature(node, state) {
+        if (node.readonly) state.write('readonly ');
+        formatPropertyKey(state, node);
+        if (node.optional) state.write('?');
+        this.TSTypeAnnotation(node.typeAnnotation, state);
+    },
+
+    TSMethodSignature(node, state) {
+        formatPropertyKey(state, node);
+        if (node.optional) state.write('?');
+        formatTypeParameters(state, node.typeParameters);
+        formatParameters(state, node.params);
+        formatReturnType(state, node.returnType);
+    },
+
+    TSIndexSignature(node, state) {
+        if (node.readonly) state.write('readonly ');
+        state.write('[');
+        node.parameters.forEach(parameter => this[parameter.type](parameter, state));
+        state.write(']');
+        this.TSTypeAnnotation(node.typeAnnotation, state);
+    },
+
+    TSTypeReference(node, state) {
+        this[node.typeName.type](node.typeName, state);
+        if (node.typeParameters) this.TSTypeParameterInstantiation(node.typeParameters, state);
+    },
+
+    TSQualifiedName(node, state) {
+        this[node.left.type](node.left, state);
+        state.write('.');
+        this[node.right.type](node.right, state);
+    },
+
+    TSTypeParameterInstantiation(node, state) {
+        state.write('<');
+        formatTypeList(state, node.params, ', ', node.type);
+        state.write('>');
+    },
+
+    TSTypeParameterDeclaration(node, state) {
+        state.write('<');
+        node.params.forEach((param, index) => {
+            if (index > 0) state.write(', ');
+            this.TSTypeParameter(param, state);
+        });
+        state.write('>');
+    },
+
+    TSTypeParameter(node, state) {
+        this[node.name.type](node.name, state);
+        if (node.constraint) {
+            state.write(' extends ');
+            this[node.constraint.type](node.constraint, state);
+        }
+        if (node.default) {
+            state.write(' = ');
+            this[node.default.type](node.default, state);
+        }
+    },
+
+    TSLiteralType(node, state) {
+        this.Literal(node.literal, state);
+    },
+
+    TSTypeOperator(node, state) {
+        state.write(node.operator + ' ');
+        formatTypeOperand(state, node.typeAnnotation, node.type);
+    },
+
+    TSTypeQuery(node, state) {
+        state.write('typeof ');
+        this[node.exprName.type](node.exprName, state);
+    },
+
+    TSIndexedAccessType(node, state) {
+        formatTypeOperand(state, node.objectType, 'TSArrayType');
+        state.write('[');
+        this[node.indexType.type](node.indexType, state);
+        state.write(']');
+    },
+
+    TSThisType(node, state) {
+        state.write('this');
+    }
+});
+
+for (const [keyword, nodeType] of Object.entries(KEYWORD_TYPES)) {
+    TS_GENERATOR[nodeType] = (node, state) => state.write(keyword);
+}
+
+class ModuleConverter {
+    constructor(options = {}, report = () => {}) {
+        this.interop = options.moduleInterop || 'default';
+        this.namespaceSources = options.namespaceSources || new Set();
+        this.report = report;
+        this.replacements = [];
+        this.reported = new Set();
+    }
+
+    convert(program) {
+        this.bindings = this.collectTopLevelBindings(program);
+        this.assignedNames = this.collectAssignedNames(program);
+
+        const body = [];
+        program.body.forEach(statement => {
+            const converted = this.convertStatement(statement);
+            if (converted) {
+                this.carryComments(statement, converted);
+                this.replacements.push({ original: statement, nodes: converted });
+                body.push(...converted);
+            } else {
+                body.push(statement);
+            }
+        });
+        program.body = body;
+
+        this.reportRemaining(program);
+        return this.replacements;
+    }
+
+    convertStatement(statement) {
+        switch (statement.type) {
+            case 'VariableDeclaration':
+                return this.convertRequireDeclaration(statement);
+            case 'ExpressionStatement':
+                return this.convertExpressionStatement(statement);
+            case 'IfStatement':
+                return this.convertExportGuard(statement);
+            default:
+                return null;
+        }
+    }
+
+    convertRequireDeclaration(statement) {
+        const imports = statement.declarations.map(declarator => this.createImport(declarator, statement.kind));
+        return imports.every(Boolean) ? imports : null;
+    }
+
+    createImport(declarator, kind) {
+        let source = this.getRequireSource(declarator.init);
+        let member = null;
+
+        if (!source && declarator.init && declarator.init.type === 'MemberExpression' && !declarator.init.computed) {
+            source = this.getRequireSource(declarator.init.object);
+            member = declarator.init.property.name;
+        }
+        if (!source) return null;
+
+        const { id } = declarator;
+        const localNames = id.type === 'Identifier'
+            ? [id.name]
+            : (id.type === 'ObjectPattern' ? id.properties.map(prop => prop.value && prop.value.name) : []);
+
+        if (kind !== 'const' && localNames.some(name => this.assignedNames.has(name))) {
+            this.reportOnce(declarator.init, 'cjs-reassigned-require',
+                `require('${source.value}') is bound to a reassigned variable and cannot become an import; left as is`);
+            return null;
+        }
+
+        if (id.type === 'Identifier') {
+            if (member) {
+                return this.createImportDeclaration(source, [this.createImportSpecifier(member, id.name)]);
+            }
+            return this.createDefaultImport(source, id.name);
+        }
+
+        if (id.type === 'ObjectPattern' && !member) {
+            const specifiers = id.properties.map(prop => {
+                if (prop.type !== 'Property' || prop.computed || prop.value.type !== 'Identifier') return null;
+                return this.createImportSpecifier(prop.key.name || prop.key.value, prop.value.name);
+            });
+
+            if (specifiers.every(Boolean)) {
+                return this.createImportDeclaration(source, specifiers);
+            }
+        }
+
+        this.reportOnce(declarator.init, 'cjs-complex-require',
+            `require('${source.value}') is destructured with patterns that have no import equivalent; left as is`);
+        return null;
+    }
+
+    convertExpressionStatement(statement) {
+        const { expression } = statement;
+        const source = this.getRequireSource(expression);
+
+        if (source) {
+            return [this.createImportDeclaration(source, [])];
+        }
+        if (expression.type === 'AssignmentExpression' && expression.operator === '=') {
+            return this.convertExportAssignment(expression);
+        }
+        return null;
+    }
+
+    convertExportAssignment(assignment) {
+        const target = this.getExportTarget(assignment.left);
+        if (!target) return null;
+
+        const value = assignment.right;
+        if (target.kind === 'module') {
+            if (value.type === 'ObjectExpression') {
+                const namedExports = this.convertExportObject(value);
+                if (namedExports) return namedExports;
+
+                this.report('cjs-default-export',
+                    'module.exports object has members that cannot become named exports; exported as default', assignment, 'info');
+            }
+            return [this.createDefaultExport(value)];
+        }
+
+        const namedExport = this.createNamedExport(target.name, value);
+        if (!namedExport) {
+            this.reportOnce(assignment.left, 'cjs-export-conflict',
+                `exports.${target.name} conflicts with a local binding of the same name; left as is`);
+            return null;
+        }
+        return [namedExport];
+    }
+
+    // `if (typeof module !== 'undefined' && module.exports) { module.exports = ... }`
+    convertExportGuard(statement) {
+        let checksModule = false;
+        walk.simple(statement.test, {
+            UnaryExpression(node) {
+                if (node.operator === 'typeof' && node.argument.type === 'Identifier' && node.argument.name === 'module') {
+                    checksModule = true;
+                }
+            }
+        });
+
+        if (!checksModule || statement.alternate) return null;
+
+        const statements = statement.consequent.type === 'BlockStatement'
+            ? statement.consequent.body
+            : [statement.consequent];
+        const isExport = inner => inner.type === 'ExpressionStatement' &&
+            inner.expression.type === 'AssignmentExpression' &&
+            !!this.getExportTarget(inner.expression.left);
+
+        if (statements.length === 0 || !statements.every(isExport)) return null;
+
+        const converted = [];
+        for (const inner of statements) {
+            const nodes = this.convertExpressionStatement(inner);
+            if (!nodes) return null;
+            this.carryComments(inner, nodes);
+            converted.push(...nodes);
+        }
+        return converted;
+    }
+
+    convertExportObject(object) {
+        const statements = [];
+        const specifiers = [];
+        const declared = new Set();
+
+        for (const prop of object.properties) {
+            if (prop.type !== 'Property' || prop.computed || prop.kind !== 'init') return null;
+
+            const name = prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value);
+            if (!/^[A-Za-z_$][\w$]*$/.test(name) || name === 'default') return null;
+
+            if (prop.value.type === 'Identifier' && this.bindings.has(prop.value.name)) {
+                specifiers.push(this.createExportSpecifier(prop.value.name, name));
+            } else if (!this.bindings.has(name) && !declared.has(name)) {
+                declared.add(name);
+                statements.push(prop.method
+                    ? this.createExportedFunction(name, prop.value)
+                    : this.createExportedConstant(name, prop.value));
+            } else {
+                return null;
+            }
+        }
+
+        declared.forEach(name => this.bindings.add(name));
+
+        if (specifiers.length > 0) {
+            statements.push({ type: 'ExportNamedDeclaration', declaration: null, specifiers, source: null });
+        }
+        return statements;
+    }
+
+    createNamedExport(name, value) {
+        if (name === 'default') {
+            return this.createDefaultExport(value);
+        }
+
+        if (value.type === 'Identifier' && this.bindings.has(value.name)) {
+            return {
+                type: 'ExportNamedDeclaration',
+                declaration: null,
+                specifiers: [this.createExportSpecifier(value.name, name)],
+                source: null
+            };
+        }
+
+        if (this.bindings.has(name)) return null;
+
+        this.bindings.add(name);
+        return this.createExportedConstant(name, value);
+    }
+
+    createDefaultExport(value) {
+        if (this.interop === 'require') {
+            return { type: 'TSExportAssignment', expression: value };
+        }
+        return { type: 'ExportDefaultDeclaration', declaration: value };
+    }
+
+    createExportedConstant(name, value) {
+        return {
+            type: 'ExportNamedDeclaration',
+            declaration: {
+                type: 'VariableDeclaration',
+                kind: 'const',
+                declarations: [{ type: 'VariableDeclarator', id: { type: 'Identifier', name }, init: value }]
+            },
+            specifiers: [],
+            source: null
+        };
+    }
+
+    createExportedFunction(name, functionNode) {
+        return {
+            type: 'ExportNamedDeclaration',
+            declaration: { ...functionNode, type: 'FunctionDeclaration', id: { type: 'Identifier', name } },
+            specifiers: [],
+            source: null
+        };
+    }
+
+    createDefaultImport(source, name) {
+        const local = { type: 'Identifier', name };
+
+        if (this.interop === 'require') {
+            return {
+                type: 'TSImportEqualsDeclaration',
+                id: local,
+                moduleReference: { type: 'TSExternalModuleReference', expression: source }
+            };
+        }
+
+        // In project mode, modules known to have no default export are imported as namespaces
+        const interop = this.interop === 'default' && this.namespaceSources.has(source.value)
+            ? 'namespace'
+            : this.interop;
+        const specifier = interop === 'namespace'
+            ? { type: 'ImportNamespaceSpecifier', local }
+            : { type: 'ImportDefaultSpecifier', local };
+        return this.createImportDeclaration(source, [specifier]);
+    }
+
+    createImportDeclaration(source, specifiers) {
+        return { type: 'ImportDeclaration', specifiers, source };
+    }
+
+    createImportSpecifier(imported, local) {
+        if (imported === 'default') {
+            return { type: 'ImportDefaultSpecifier', local: { type: 'Identifier', name: local } };
+        }
+        return {
+            type: 'ImportSpecifier',
+            imported: { type: 'Identifier', name: imported },
+            local: { type: 'Identifier', name: local }
+        };
+    }
+
+    createExportSpecifier(local, exported) {
+        return {
+            type: 'ExportSpecifier',
+            local: { type: 'Identifier', name: local },
+            exported: { type: 'Identifier', name: exported }
+        };
+    }
+
+    getRequireSource(node) {
+        if (node && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+            node.callee.name === 'require' && node.arguments.length === 1 &&
+            node.arguments[0].type === 'Literal' && typeof node.arguments[0].value === 'string') {
+            return node.arguments[0];
+        }
+        return null;
+    }
+
+    getExportTarget(left) {
+        if (left.type !== 'MemberExpression') return null;
+
+        if (this.isModuleExports(left)) return { kind: 'module' };
+
+        const name = left.computed
+            ? (left.property.type === 'Literal' && typeof left.property.value === 'string' ? left.property.value : null)
+            : left.property.name;
+        if (!name) return null;
+
+        const isExportsObject = (left.object.type === 'Identifier' && left.object.name === 'exports') ||
+            this.isModuleExports(left.object);
+        return isExportsObject ? { kind: 'named', name } : null;
+    }
+
+    isModuleExports(node) {
+        return node.type === 'MemberExpression' && !node.computed &&
+            node.object.type === 'Identifier' && node.object.name === 'module' &&
+            node.property.name === 'exports';
+    }
+
+    collectTopLevelBindings(program) {
+        const bindings = new Set();
+        const addPattern = pattern => {
+            if (!pattern) return;
+            switch (pattern.type) {
+                case 'Identifier':
+                    bindings.add(pattern.name);
+                    break;
+                case 'ObjectPattern':
+                    pattern.properties.forEach(prop => addPattern(prop.type === 'RestElement' ? prop.argument : prop.value));
+                    break;
+                case 'ArrayPattern':
+                    pattern.elements.forEach(addPattern);
+                    break;
+                case 'AssignmentPattern':
+                    addPattern(pattern.left);
+                    break;
+                case 'RestElement':
+                    addPattern(pattern.argument);
+                    break;
+            }
+        };
+
+        program.body.forEach(statement => {
+            const declaration = statement.type.startsWith('Export') && statement.declaration
+                ? statement.declaration
+                : statement;
+            if (declaration.type === 'VariableDeclaration') {
+                declaration.declarations.forEach(declarator => addPattern(declarator.id));
+            } else if ((declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') && declaration.id) {
+                bindings.add(declaration.id.name);
+            } else if (declaration.type === 'ImportDeclaration') {
+                declaration.specifiers.forEach(specifier => bindings.add(specifier.local.name));
+            }
+        });
+
+        return bindings;
+    }
+
+    collectAssignedNames(program) {
+        const names = new Set();
+        walk.simple(program, {
+            AssignmentExpression(node) {
+                if (node.left.type === 'Identifier') names.add(node.left.name);
+            },
+            UpdateExpression(node) {
+                if (node.argument.type === 'Identifier') names.add(node.argument.name);
+            }
+        }, WALK_BASE);
+        return names;
+    }
+
+    // Comments and line positions move over so the reprint keeps blank lines and comment placement
+    carryComments(original, nodes) {
+        nodes.forEach(node => { node.loc = original.loc; });
+        if (original.comments) nodes[0].comments = original.comments;
+        if (original.trailingComments) nodes[nodes.length - 1].trailingComments = original.trailingComments;
+    }
+
+    reportRemaining(program) {
+        traverseNodes(program, node => {
+            if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require') {
+                const source = this.getRequireSource(node);
+                this.reportOnce(node, source ? 'cjs-nested-require' : 'cjs-dynamic-require', source
+                    ? `require('${source.value}') is not a top-level declaration and cannot be hoisted to an import; left as is`
+                    : 'Dynamic require() cannot be converted to an import; left as is');
+            } else if (this.isModuleExports(node) ||
+                (node.type === 'MemberExpression' && node.object.type === 'Identifier' && node.object.name === 'exports')) {
+                this.reportOnce(node, 'cjs-remaining-export', 'CommonJS export could not be converted to an ES module export; left as is');
+            }
+        });
+    }
+
+    reportOnce(node, code, message) {
+        if (this.reported.has(node)) return;
+        this.reported.add(node);
+        this.report(code, message, node);
+    }
+}
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+// Maps each exported name of an ES module to the node that defines its value:
+// a function, a variable declarator, a class or a default-exported expression
+function collectExports(program) {
+    const declarations = new Map();
+    const exported = new Map();
+    const declaredNames = declaration => {
+        if (declaration.type === 'VariableDeclaration') {
+            return declaration.declarations.filter(d => d.id.type === 'Identifier').map(d => d.id.name);
+        }
+        return declaration.id ? [declaration.id.name] : [];
+    };
+
+    program.body.forEach(statement => {
+        const declaration = statement.type === 'ExportNamedDeclaration' && statement.declaration
+            ? statement.declaration
+            : statement;
+        if (declaration.type === 'VariableDeclaration') {
+            declaration.declarations.forEach(declarator => {
+                if (declarator.id.type !== 'Identifier') return;
+                const isFunction = declarator.init && FUNCTION_TYPES.includes(declarator.init.type);
+                declarations.set(declarator.id.name, isFunction ? declarator.init : declarator);
+            });
+        } else if (['FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type) && declaration.id) {
+            declarations.set(declaration.id.name, declaration);
+        }
+    });
+
+    program.body.forEach(statement => {
+        if (statement.type === 'ExportNamedDeclaration' && statement.declaration) {
+            declaredNames(statement.declaration).forEach(name => exported.set(name, declarations.get(name)));
+        } else if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+            statement.specifiers.forEach(specifier => {
+                const node = declarations.get(specifier.local.name);
+                if (node) exported.set(specifier.exported.name, node);
+            });
+        } else if (statement.type === 'ExportDefaultDeclaration' || statement.type === 'TSExportAssignment') {
+            const value = statement.declaration || statement.expression;
+            exported.set('default', (value.type === 'Identifier' && declarations.get(value.name)) || value);
+        }
+    });
+
+    return exported;
+}
+
+// TypeScript diagnostics that only reflect the checking environment (missing modules,
+// Node.js globals without @types/node) rather than a problem with the generated types
+const ENVIRONMENT_DIAGNOSTICS = [2307, 2580, 2591, 2592, 2593, 2792, 7016];
+// Unknown names are only our fault when they appear inside a generated annotation
+const UNKNOWN_NAME_DIAGNOSTICS = [2304, 2503, 2552];
+
+const ARGUMENT_NOT_ASSIGNABLE = 2345;
+const MAX_DOWNGRADE_ROUNDS = 5;
+const ANNOTATION_NODE_TYPES = /^TS/;
+
+// Lib files are parsed once per process and shared by every check
+const LIBRARY_SOURCE_FILES = new Map();
+// Checked output lives in a directory of its own, so nothing around the working directory
+// (neighbouring modules, @types packages) changes what the check reports
+const CHECK_ROOT = path.join(path.parse(process.cwd()).root, '__js2ts_check__');
+
+// Records the output range of every printed node so diagnostics in the generated
+// code can be traced back to the AST and from there to the original source
+function createRecordingGenerator(ranges) {
+    const generator = {};
+    Object.keys(TS_GENERATOR).forEach(type => {
+        generator[type] = function (node, state) {
+            const start = state.output.length;
+            TS_GENERATOR[type].call(this, node, state);
+            ranges.push({ node, start, end: state.output.length });
+        };
+    });
+    return generator;
+}
+
+// Builds a declaration file from a typed program: function signatures, classes and
+// constants keep their annotations and lose their bodies and initializers
+class DeclarationEmitter {
+    constructor(transpiler) {
+        this.transpiler = transpiler;
+        this.typeInferrer = transpiler.typeInferrer;
+        this.exportStyle = { named: false, default: false, assignment: false };
+    }
+
+    emit(program) {
+        const isModule = program.body.some(statement => /^(Import|Export)|^TS(ImportEquals|ExportAssignment)/.test(statement.type));
+        // `export { ... }`, `export =` and `export default <expression>` already limit the exports to what they list
+        const listsExports = program.body.some(statement => statement.type === 'TSExportAssignment' ||
+            (statement.type === 'ExportNamedDeclaration' && !statement.declaration) ||
+            (statement.type === 'ExportDefaultDeclaration' && !/Declaration$/.test(statement.declaration.type)));
+        const body = [];
+        let hasLocalDeclarations = false;
+
+        program.body.forEach(statement => {
+            const nodes = this.declareStatement(statement);
+            if (!/^(Export|TSExport)/.test(statement.type) && nodes.some(node => node.declare)) hasLocalDeclarations = true;
+            body.push(...nodes);
+        });
+        // Otherwise every declaration in a module's declaration file would be exported
+        if (isModule && hasLocalDeclarations && !listsExports) {
+            body.push({ type: 'ExportNamedDeclaration', declaration: null, specifiers: [], source: null });
+        }
+
+        return generate({ type: 'Program', body }, {
+            generator: TS_GENERATOR,
+            indent: this.transpiler.options.indent,
+            comments: this.transpiler.options.preserveComments
+        });
+    }
+
+    declareStatement(statement) {
+        switch (statement.type) {
+            case 'ImportDeclaration':
+            case 'TSImportEqualsDeclaration':
+                return [statement];
+            case 'ExportAllDeclaration':
+                this.exportStyle.named = true;
+                return [statement];
+            case 'ExportNamedDeclaration':
+                this.exportStyle.named = true;
+                if (!statement.declaration) return [statement];
+                return this.declare(statement.declaration, true).map(declaration => ({ ...statement, declaration }));
+            case 'ExportDefaultDeclaration':
+                this.exportStyle.default = true;
+                if (['FunctionDeclaration', 'ClassDeclaration'].includes(statement.declaration.type)) {
+                    return this.declare(statement.declaration, false).map(declaration => ({ ...statement, declaration }));
+                }
+                return this.declareExportedValue(statement, 'declaration', '_default');
+            case 'TSExportAssignment':
+                this.exportStyle.assignment = true;
+                return this.declareExportedValue(statement, 'expression', '_exports');
+            default:
+                return this.declare(statement, true);
+        }
+    }
+
+    declare(node, isAmbient) {
+        switch (node.type) {
+            case 'FunctionDeclaration':
+                return [this.declareFunction(node, isAmbient)];
+            case 'ClassDeclaration':
+                return [this.declareClass(node, isAmbient)];
+            case 'VariableDeclaration':
+                return this.declareVariables(node, isAmbient);
+            case 'TSEnumDeclaration':
+                return [{ ...node, declare: isAmbient }];
+            case 'TSTypeAliasDeclaration':
+                return [node];
+            default:
+                return [];
+        }
+    }
+
+    // `export default <expression>` and `export = <expression>` name the value first
+    declareExportedValue(statement, property, name) {
+        const value = statement[property];
+        if (value.type === 'Identifier') return [statement];
+
+        const id = { type: 'Identifier', name, typeAnnotation: this.createAnnotation(this.typeInferrer.inferType(value)) };
+        return [
+            { type: 'VariableDeclaration', kind: 'const', declare: true, declarations: [{ type: 'VariableDeclarator', id, init: null }] },
+            { ...statement, [property]: { type: 'Identifier', name } }
+        ];
+    }
+
+    declareFunction(node, isAmbient) {
+        return {
+            type: 'FunctionDeclaration',
+            id: node.id,
+            declare: isAmbient,
+            typeParameters: node.typeParameters,
+            params: node.params.map(param => this.declareParameter(param)),
+            returnType: node.returnType || this.createAnnotation('any'),
+            body: null,
+            comments: node.comments,
+            loc: node.loc
+        };
+    }
+
+    declareClass(node, isAmbient) {
+        const members = [];
+        let hasPrivateNames = false;
+
+        node.body.body.forEach(member => {
+            if (member.key && member.key.type === 'PrivateIdentifier') {
+                hasPrivateNames = true;
+            } else if (member.type === 'PropertyDefinition') {
+                members.push({ ...member, value: null, blankLineAfter: false, typeAnnotation: member.typeAnnotation || this.createAnnotation('any') });
+            } else if (member.type === 'MethodDefinition') {
+                const hasReturnType = member.kind !== 'constructor' && member.kind !== 'set';
+                members.push({
+                    ...member,
+                    value: {
+                        ...member.value,
+                        async: false,
+                        generator: false,
+                        params: member.value.params.map(param => this.declareParameter(param)),
+                        returnType: hasReturnType ? member.value.returnType || this.createAnnotation('any') : null,
+                        body: null
+                    }
+                });
+            }
+        });
+        // Like TypeScript, a single `#private` member stands in for all private names
+        if (hasPrivateNames) {
+            members.unshift({ type: 'PropertyDefinition', key: { type: 'PrivateIdentifier', name: 'private' }, value: null, static: false });
+        }
+
+        const { superClass } = node;
+        return {
+            type: 'ClassDeclaration',
+            id: node.id,
+            declare: isAmbient,
+            superClass: superClass && ['Identifier', 'MemberExpression'].includes(superClass.type) ? superClass : null,
+            body: { type: 'ClassBody', body: members, loc: node.body.loc },
+            comments: node.comments,
+            loc: node.loc
+        };
+    }
+
+    declareVariables(declaration, isAmbient) {
+        const symbols = this.typeInferrer.symbols;
+        const declarators = [];
+
+        declaration.declarations.forEach(declarator => {
+            const identifiers = [];
+            traverseNodes(declarator.id, node => {
+                if (node.type !== 'Identifier') return;
+                const parent = symbols.parentOf(node);
+                const isKey = parent && parent.type === 'Property' && parent.key === node && parent.value !== node;
+                if (!isKey) identifiers.push(node);
+            });
+
+            identifiers.forEach(identifier => {
+                const typeAnnotation = identifier === declarator.id
+                    ? this.getDeclaratorAnnotation(declarator)
+                    : this.getBindingAnnotation(symbols.lookup(identifier));
+                declarators.push({ type: 'VariableDeclarator', id: { type: 'Identifier', name: identifier.name, typeAnnotation }, init: null });
+            });
+        });
+
+        if (declarators.length === 0) return [];
+        return [{
+            type: 'VariableDeclaration',
+            kind: declaration.kind,
+            declare: isAmbient,
+            declarations: declarators,
+            comments: declaration.comments,
+            loc: declaration.loc
+        }];
+    }
+
+    getDeclaratorAnnotation(declarator) {
+        const { id, init } = declarator;
+        if (id.typeAnnotation) return id.typeAnnotation;
+
+        if (init && FUNCTION_TYPES.includes(init.type)) {
+            return {
+                type: 'TSTypeAnnotation',
+                typeAnnotation: {
+                    type: 'TSFunctionType',
+                    typeParameters: init.typeParameters,
+                    params: init.params.map(param => this.declareParameter(param)),
+                    returnType: init.returnType || this.createAnnotation('any')
+                }
+            };
+        }
+
+        const binding = this.typeInferrer.symbols.lookup(id);
+        const constObject = binding && this.typeInferrer.constObjects.get(binding);
+        if (constObject) {
+            const members = [...constObject.members].map(([key, type]) => `readonly ${formatPropertyName(key)}: ${type}`);
+            return this.createAnnotation(`{ ${members.join('; ')} }`);
+        }
+        return this.getBindingAnnotation(binding);
+    }
+
+    getBindingAnnotation(binding) {
+        return this.createAnnotation(binding ? this.typeInferrer.getBindingType(binding) : 'unknown');
+    }
+
+    // Ambient signatures cannot have default values, so defaulted parameters become optional
+    declareParameter(param) {
+        if (param.type === 'RestElement') {
+            return { ...param, argument: this.stripDefaults(param.argument), typeAnnotation: param.typeAnnotation || this.createAnnotation('any[]') };
+        }
+        const target = param.type === 'AssignmentPattern' ? param.left : param;
+        return {
+            ...this.stripDefaults(target),
+            optional: !!target.optional || param.type === 'AssignmentPattern',
+            typeAnnotation: target.typeAnnotation || this.createAnnotation('any')
+        };
+    }
+
+    stripDefaults(pattern) {
+        switch (pattern.type) {
+            case 'AssignmentPattern':
+                return this.stripDefaults(pattern.left);
+            case 'ObjectPattern':
+                return {
+                    ...pattern,
+                    properties: pattern.properties.map(prop => prop.type === 'RestElement'
+                        ? { ...prop, argument: this.stripDefaults(prop.argument) }
+                        : { ...prop, value: this.stripDefaults(prop.value) })
+                };
+            case 'ArrayPattern':
+                return { ...pattern, elements: pattern.elements.map(element => element && this.stripDefaults(element)) };
+            case 'RestElement':
+                return { ...pattern, argument: this.stripDefaults(pattern.argument) };
+            default:
+                return pattern;
+        }
+    }
+
+    // Types that could not be inferred are declared as `any`, as TypeScript does for plain
+    // JavaScript, or stay `unknown` in strict mode
+    createAnnotation(type) {
+        const strict = this.transpiler.options.strictMode;
+        return this.transpiler.createTypeAnnotation(type === 'unknown' && !strict ? 'any' : type);
+    }
+}
+
+// Type-checks generated TypeScript in memory with the compiler API
+class TypeChecker {
+    constructor(options = {}) {
+        this.ts = TypeChecker.loadCompiler();
+        this.fileName = path.join(CHECK_ROOT, path.basename(options.fileName || 'input.ts'));
+        this.compilerOptions = {
+            noEmit: true,
+            target: this.ts.ScriptTarget.ES2022,
+            module: this.ts.ModuleKind.ESNext,
+            moduleResolution: this.ts.ModuleResolutionKind.Node10,
+            moduleDetection: this.ts.ModuleDetectionKind.Force,
+            esModuleInterop: true,
+            skipLibCheck: true,
+            types: [],
+            strict: !!options.strictMode
+        };
+    }
+
+    static loadCompiler() {
+        try {
+            return require('typescript');
+        } catch (error) {
+            throw new Error('Type checking requires the "typescript" package (npm install --save-dev typescript)');
+        }
+    }
+
+    // Returns { code, start, message, unknownName } for every diagnostic in the checked file
+    check(code) {
+        const ts = this.ts;
+        const host = ts.createCompilerHost(this.compilerOptions);
+        const { getSourceFile, fileExists, readFile } = host;
+
+        host.getSourceFile = (fileName, languageVersion, ...rest) => {
+            if (fileName === this.fileName) return ts.createSourceFile(fileName, code, languageVersion, true);
+            const key = `${fileName}:${JSON.stringify(languageVersion)}`;
+            if (!LIBRARY_SOURCE_FILES.has(key)) {
+                LIBRARY_SOURCE_FILES.set(key, getSourceFile.call(host, fileName, languageVersion, ...rest));
+            }
+            return LIBRARY_SOURCE_FILES.get(key);
+        };
+        host.fileExists = fileName => fileName === this.fileName || fileExists.call(host, fileName);
+        host.readFile = fileName => fileName === this.fileName ? code : readFile.call(host, fileName);
+        host.writeFile = () => {};
+        host.getCurrentDirectory = () => CHECK_ROOT;
+
+        const program = ts.createProgram([this.fileName], this.compilerOptions, host);
+        return ts.getPreEmitDiagnostics(program)
+            .filter(diagnostic => diagnostic.file && diagnostic.file.fileName === this.fileName)
+            .filter(diagnostic => !ENVIRONMENT_DIAGNOSTICS.includes(diagnostic.code))
+            .map(diagnostic => ({
+                code: diagnostic.code,
+                start: diagnostic.start,
+                message: ts.flattenDiagnosticMessageText(diagnostic.messageText, ' '),
+                unknownName: UNKNOWN_NAME_DIAGNOSTICS.includes(diagnostic.code)
+            }));
+    }
+}
+
+// Phases timed for every file; `check` only runs with `--check`
+const PHASES = ['parse', 'infer', 'check', 'print', 'write'];
+
+// "parse 120ms, infer 340ms, print 95ms, write 20ms", summed over the files of a run
+function formatTimings(results) {
+    return PHASES
+        .map(phase => [phase, results.reduce((sum, result) => sum + (result.timings ? result.timings[phase] : 0), 0)])
+        .filter(([phase, total]) => phase !== 'check' || total > 0)
+        .map(([phase, total]) => `${phase} ${Math.round(total)}ms`)
+        .join(', ');
+}
+
+// Console output for a file once it was written
+function logTranspiled({ inputPath, outputPath, diagnostics }) {
+    console.log(`✅ Successfully transpiled ${inputPath} to ${outputPath}`);
+    diagnostics.forEach(diagnostic => logDiagnostic(inputPath, diagnostic));
+}
+
+function logDiagnostic(filePath, diagnostic) {
+    const location = `${filePath}:${diagnostic.line}:${diagnostic.column}`;
+    if (diagnostic.severity === 'error') {
+        console.error(`❌ ${location} ${diagnostic.message} (${diagnostic.code.toUpperCase()})`);
+    } else if (diagnostic.severity === 'info') {
+        console.log(`ℹ️  ${location} ${diagnostic.message}`);
+    } else {
+        console.warn(`⚠️  ${location} ${diagnostic.message}`);
+    }
+}
+
+class JSToTSTranspiler {
+    constructor(options = {}) {
+        this.options = {
+            strictMode: false,
+            inferTypes: true,
+            generateInterfaces: true,
+            preserveComments: true,
+            addExplicitAny: false,
+            minimalDiff: false,
+            objectTypeStyle: 'interface',
+            literalTypes: false,
+            declaration: false,
+            sourceMap: false,
+            useJSDoc: true,
+            stripJSDocTypes: false,
+            convertModules: true,
+            moduleInterop: 'default',
+            callSiteConfidence: 0.5,
+            check: false,
+            autoDowngrade: false,
+            downgradeType: 'any',
+            indent: '    ',
+            ...options
+        };
+        this.jsdocParser = new JSDocParser();
+        this.projectContext = null;
+        // Outputs of earlier runs by file content, shared by a watch session
+        this.cache = null;
+        // Milliseconds spent in each phase by every run of this transpiler
+        this.timings = Object.fromEntries(PHASES.map(phase => [phase, 0]));
+        this.downgrades = new Set();
+        this.reset();
+    }
+
+    // State built up by a single run; a checked transpile starts over for every retry
+    reset() {
+        this.typeInferrer = new TypeInferrer(new BuiltinCatalog(this.options.declarations));
+        this.typeInferrer.literalTypes = !!this.options.literalTypes;
+        this.typeInferrer.strict = !!this.options.strictMode;
+        this.typeInferrer.report = (code, message, node) => this.addDiagnostic(code, message, node);
+        this.interfaceGenerator = new InterfaceGenerator();
+        this.interfaceGenerator.mergeShapes = !this.options.strictMode;
+        this.statementReplacements = [];
+        this.diagnostics = [];
+        this.exportedTypes = new Map();
+        this.declarationExports = null;
+        this.printed = null;
+        this.coverage = null;
+    }
+
+    addDiagnostic(code, message, node, severity = 'warning') {
+        this.diagnostics.push({
+            code,
+            severity,
+            message,
+            line: node && node.loc ? node.loc.start.line : null,
+            column: node && node.loc ? node.loc.start.column + 1 : null
+        });
+    }
+
+    async transpile(inputPath, outputPath) {
+        try {
+            const result = await this.transpileFile(inputPath, outputPath);
+            logTranspiled(result);
+            return result;
+        } catch (error) {
+            console.error(`❌ Error transpiling ${inputPath}:`, error.message);
+            throw error;
+        }
+    }
+
+    // `transpile` without the console output, as run by the workers of `--jobs`
+    async transpileFile(inputPath, outputPath) {
+        const jsCode = await fs.readFile(inputPath, 'utf8');
+        const { code: tsCode, map } = this.emitWithCache(inputPath, jsCode);
+
+        const writeStarted = performance.now();
+        await writeOutput(inputPath, outputPath, tsCode, map);
+        this.timings.write += performance.now() - writeStarted;
+        this.diagnostics.forEach(diagnostic => {
+            diagnostic.file = inputPath;
+        });
+
+        return {
+            success: true,
+            inputPath,
+            outputPath,
+            generatedInterfaces: this.interfaceGenerator.interfaces.size,
+            declarationExports: this.declarationExports,
+            diagnostics: this.diagnostics,
+            coverage: this.coverage,
+            timings: { ...this.timings }
+        };
+    }
+
+    // Returns what `fn` returns, adding the time it took to `phase`
+    timed(phase, fn) {
+        const started = performance.now();
+        try {
+            return fn();
+        } finally {
+            this.timings[phase] += performance.now() - started;
+        }
+    }
+
+    // Transpiles `jsCode` or, when the cache has seen this content before, restores the
+    // output and results of that run
+    emitWithCache(inputPath, jsCode) {
+        const key = `output:${inputPath}`;
+        const cached = this.cache ? this.cache.get(key, jsCode) : null;
+        if (cached) {
+            Object.assign(this, cached.state);
+            return cached.output;
+        }
+
+        const code = this.transpileCode(jsCode);
+        const output = { code, map: this.options.sourceMap ? this.createSourceMap() : null };
+        if (this.cache) {
+            const { diagnostics, coverage, declarationExports, interfaceGenerator } = this;
+            this.cache.set(key, jsCode, { output, state: { diagnostics, coverage, declarationExports, interfaceGenerator } });
+        }
+        return output;
+    }
+
+    parse(jsCode) {
+        const comments = [];
+        let ast;
+        try {
+            ast = acorn.parse(jsCode, {
+                ecmaVersion: 2022,
+                sourceType: 'module',
+                allowImportExportEverywhere: true,
+                allowReturnOutsideFunction: true,
+                locations: true,
+                onComment: comments
+            });
+        } catch (parseError) {
+            throw new Error(`Parse error: ${parseError.message}`);
+        }
+
+        new CommentAttacher().attach(ast, comments);
+        return { ast, comments };
+    }
+
+    transpileCode(jsCode) {
+        if (this.options.declaration) return this.generateDeclarations(jsCode);
+        return this.options.check ? this.transpileChecked(jsCode) : this.generateCode(jsCode);
+    }
+
+    // `{ code, map }`, where `map` is a version 3 source map from the output back to `jsCode`
+    transpileWithMap(jsCode, mapOptions = {}) {
+        const code = this.transpileCode(jsCode);
+        return { code, map: this.createSourceMap(mapOptions) };
+    }
+
+    // Source map of the last transpiled output; declarations have none
+    createSourceMap({ source = 'input.js', file = 'output.ts' } = {}) {
+        if (!this.printed || this.options.declaration) return null;
+        const { ast, jsCode, ranges, prefixLength, splicer, code } = this.printed;
+
+        const builder = new SourceMapBuilder(file, source, jsCode);
+        const generatedPosition = createPositionLookup(code);
+        const originalPosition = createPositionLookup(jsCode);
+
+        if (splicer) {
+            // Copied text keeps its position; every original node and line start is mapped
+            traverseNodes(ast, node => {
+                const offset = node.start != null ? splicer.outputOffset(node.start) : null;
+                if (offset !== null) builder.addMapping(generatedPosition(offset), originalPosition(node.start), node.name);
+            });
+            splicer.segments.forEach(segment => {
+                if (segment.edit && segment.edit.end > segment.edit.start) {
+                    builder.addMapping(generatedPosition(segment.outputStart), originalPosition(segment.edit.start));
+                } else if (!segment.edit) {
+                    for (let offset = 0; offset < segment.length; offset++) {
+                        if (offset === 0 || jsCode[segment.sourceStart + offset - 1] === '\n') {
+                            builder.addMapping(generatedPosition(segment.outputStart + offset), originalPosition(segment.sourceStart + offset));
+                        }
+                    }
+                }
+            });
+        } else {
+            // Printed nodes that come from the source map to where they started
+            ranges.forEach(({ node, start }) => {
+                if (node.loc) builder.addMapping(generatedPosition(prefixLength + start), node.loc.start, node.name);
+            });
+        }
+
+        return builder.toJSON();
+    }
+
+    // Parses and types the source; the typed program is then printed as TypeScript or as declarations
+    analyze(jsCode) {
+        const { ast, comments } = this.timed('parse', () => this.parse(jsCode));
+        this.timed('infer', () => this.inferTypes(ast, comments));
+        return { ast, comments };
+    }
+
+    inferTypes(ast, comments) {
+        if (this.options.useJSDoc) {
+            this.applyJSDoc(ast, comments);
+        }
+
+        if (this.options.convertModules) {
+            this.convertModules(ast);
+        }
+
+        if (this.projectContext) {
+            this.applyProjectContext(ast);
+        }
+
+        this.typeInferrer.analyzeScopes(ast);
+
+        if (this.options.inferTypes) {
+            this.collectCallSites(ast);
+        }
+
+        this.processAST(ast);
+    }
+
+    generateCode(jsCode) {
+        const analyzed = this.analyze(jsCode);
+        return this.timed('print', () => this.printCode(jsCode, analyzed));
+    }
+
+    printCode(jsCode, { ast, comments }) {
+        const annotations = this.options.check ? this.collectAnnotations(ast) : [];
+        annotations.forEach((entry, index) => {
+            if (this.downgrades.has(index)) entry.holder[entry.property] = this.createTypeAnnotation(this.options.downgradeType);
+        });
+        this.coverage = this.measureCoverage(ast);
+
+        if (this.projectContext) {
+            this.exportedTypes = this.collectExportedTypes(ast);
+        }
+
+        const header = this.extractHeaderComments(ast, comments);
+        const interfaces = this.interfaceGenerator.getInterfaceDeclarations(this.options.objectTypeStyle);
+
+        if (this.options.minimalDiff) {
+            const splicer = new SourceSplicer(jsCode);
+            const code = this.spliceAnnotations(splicer, ast, jsCode, comments, header, interfaces);
+            this.printed = { ast, jsCode, annotations, splicer, code };
+            return code;
+        }
+
+        // Directives such as 'use strict' have to stay above the generated declarations
+        const prologue = interfaces.length > 0 ? this.getDirectivePrologue(ast) : [];
+        // Output ranges locate type errors and build source maps
+        const ranges = [];
+        const printOptions = {
+            generator: createRecordingGenerator(ranges),
+            indent: this.options.indent,
+            comments: this.options.preserveComments
+        };
+        const tsCode = generate({ ...ast, body: ast.body.slice(prologue.length) }, printOptions);
+        
+        let result = '';
+        if (header && this.options.preserveComments) {
+            const headerText = this.formatHeaderComments(header.comments);
+            if (headerText) result += headerText + '\n\n';
+        }
+        if (prologue.length > 0) {
+            result += generate({ type: 'Program', body: prologue }, { ...printOptions, generator: TS_GENERATOR }) + '\n';
+        }
+        if (interfaces.length > 0) {
+            result += interfaces.join('\n\n') + '\n\n';
+        }
+        const prefixLength = result.length;
+        result += tsCode;
+        this.printed = { ast, jsCode, annotations, ranges, prefixLength, code: result };
+        
+        return result;
+    }
+
+    // Parameters and variables with a usable type once annotations are final. Bindings
+    // TypeScript types by itself (callbacks of built-ins, function and class initializers,
+    // constant objects, loop variables) are not counted; `any` and `unknown` count as untyped
+    // and are listed with the reason (downgrades by `--check` are reported on their own)
+    measureCoverage(ast) {
+        const symbols = this.typeInferrer.symbols;
+        const conflicts = this.typeInferrer.conflicts;
+        const coverage = { typed: 0, untyped: 0, total: 0, percentage: 100, untypedBindings: [] };
+        const count = (kind, name, node, annotation, conflicting) => {
+            const type = annotation ? printType(annotation) : null;
+            const typed = !!type && type !== 'any' && type !== 'unknown';
+            coverage.total++;
+            coverage[typed ? 'typed' : 'untyped']++;
+            if (typed) return;
+
+            coverage.untypedBindings.push({
+                kind,
+                name,
+                line: node.loc ? node.loc.start.line : null,
+                column: node.loc ? node.loc.start.column + 1 : null,
+                reason: conflicting ? 'conflicting evidence' : 'no evidence'
+            });
+        };
+
+        traverseNodes(ast, node => {
+            if (FUNCTION_TYPES.includes(node.type)) {
+                if (this.isPromiseExecutor(node)) return;
+                node.params.forEach((param, index) => {
+                    if (this.typeInferrer.getContextualParameterType(node, index) !== 'unknown') return;
+                    const target = param.type === 'AssignmentPattern' ? param.left : param;
+                    const name = getParameterName(param) || `#${index + 1}`;
+                    count('parameter', name, param, target.typeAnnotation, conflicts.has(param) || conflicts.has(target));
+                });
+            } else if (node.type === 'VariableDeclaration') {
+                const parent = symbols.parentOf(node);
+                if (parent && ['ForInStatement', 'ForOfStatement'].includes(parent.type)) return;
+                node.declarations.forEach(declaration => {
+                    if (this.isFunctionNode(declaration.init) || (declaration.init && declaration.init.type === 'ClassExpression')) return;
+                    const binding = declaration.id.type === 'Identifier' ? symbols.lookup(declaration.id) : null;
+                    if (binding && this.typeInferrer.constObjects.has(binding)) return;
+                    const name = declaration.id.type === 'Identifier' ? declaration.id.name : '{...}';
+                    count('variable', name, declaration.id, declaration.id.typeAnnotation, false);
+                });
+            }
+        });
+
+        if (coverage.total > 0) coverage.percentage = Math.round(coverage.typed / coverage.total * 1000) / 10;
+        return coverage;
+    }
+
+    // Declaration mode: a `.d.ts` file with the inferred signatures and no implementation
+    generateDeclarations(jsCode) {
+        const { ast } = this.analyze(jsCode);
+        this.coverage = this.measureCoverage(ast);
+        if (this.projectContext) {
+            this.exportedTypes = this.collectExportedTypes(ast);
+        }
+
+        return this.timed('print', () => {
+            const emitter = new DeclarationEmitter(this);
+            const code = emitter.emit(ast);
+            this.declarationExports = emitter.exportStyle;
+
+            const interfaces = this.interfaceGenerator.getInterfaceDeclarations(this.options.objectTypeStyle);
+            return interfaces.length > 0 ? `${interfaces.join('\n\n')}\n\n${code}` : code;
+        });
+    }
+
+    getDirectivePrologue(ast) {
+        const end = ast.body.findIndex(statement => !statement.directive);
+        return ast.body.slice(0, end === -1 ? ast.body.length : end);
+    }
+
+    // Checks the output with the TypeScript compiler. With `autoDowngrade`, inferred
+    // annotations blamed for an error are replaced by `downgradeType` and the file is
+    // transpiled again until it compiles or no further annotation can be blamed.
+    transpileChecked(jsCode) {
+        const checker = new TypeChecker(this.options);
+        const downgraded = [];
+
+        for (let round = 0; ; round++) {
+            if (round > 0) this.reset();
+            const code = this.generateCode(jsCode);
+            const errors = this.timed('check', () => checker.check(code))
+                .map(error => ({ ...error, location: this.locateOutput(error.start) }))
+                .filter(error => !error.unknownName || error.location.annotation);
+
+            const blamed = this.options.autoDowngrade && round < MAX_DOWNGRADE_ROUNDS
+                ? [...new Set(errors.map(error => this.findBlamedAnnotation(error)).filter(index => index !== null))]
+                : [];
+            if (blamed.length === 0) {
+                downgraded.forEach(({ holder, type }) => this.addDiagnostic(
+                    'check-downgraded', `Inferred type '${type}' was downgraded to '${this.options.downgradeType}'`,
+                    holder.loc || !holder.key ? holder : holder.key, 'info'
+                ));
+                errors.forEach(({ code: errorCode, message, location }) => this.diagnostics.push({
+                    code: `ts${errorCode}`,
+                    severity: 'error',
+                    message,
+                    line: location.line,
+                    column: location.column
+                }));
+                this.downgrades.clear();
+                return code;
+            }
+
+            blamed.forEach(index => {
+                const { holder, annotation } = this.printed.annotations[index];
+                downgraded.push({ holder, type: printType(annotation) });
+                this.downgrades.add(index);
+            });
+        }
+    }
+
+    // Every annotation in traversal order; the order is stable across runs on the same
+    // source, so an index identifies the same annotation when the file is transpiled again
+    collectAnnotations(ast) {
+        const annotations = [];
+        traverseNodes(ast, node => {
+            ['typeAnnotation', 'returnType'].forEach(property => {
+                const annotation = node[property];
+                if (annotation && annotation.type === 'TSTypeAnnotation') {
+                    annotations.push({ holder: node, property, annotation });
+                }
+            });
+        });
+        return annotations;
+    }
+
+    // Maps an offset in the last output to the enclosing AST nodes (innermost first),
+    // the generated annotation it falls in, if any, and the original line and column
+    locateOutput(offset) {
+        const { ast, jsCode, annotations, splicer, ranges, prefixLength } = this.printed;
+        const annotationAt = node => annotations.find(entry => entry.annotation === node) || null;
+        let chain;
+        let annotation = null;
+        let position = null;
+
+        if (splicer) {
+            const { offset: sourceOffset, edit } = splicer.locate(offset);
+            chain = [];
+            traverseNodes(ast, node => {
+                if (node.start != null && node.start <= sourceOffset && sourceOffset < node.end) chain.unshift(node);
+            });
+            if (edit && edit.node) annotation = annotationAt(edit.node);
+            const before = jsCode.slice(0, sourceOffset);
+            position = { line: before.split('\n').length, column: sourceOffset - before.lastIndexOf('\n') };
+        } else {
+            const target = offset - prefixLength;
+            chain = ranges
+                .filter(range => range.start <= target && target < range.end)
+                .sort((a, b) => (a.end - a.start) - (b.end - b.start))
+                .map(range => range.node);
+            annotation = chain.map(annotationAt).find(Boolean) || null;
+            const located = chain.find(node => node.loc);
+            if (located) position = { line: located.loc.start.line, column: located.loc.start.column + 1 };
+        }
+
+        return {
+            chain: chain.filter(node => !ANNOTATION_NODE_TYPES.test(node.type)),
+            annotation,
+            line: position ? position.line : null,
+            column: position ? position.column : null
+        };
+    }
+
+    // Picks the inferred annotation responsible for a type error: the annotation the
+    // error points into, the parameter an argument was passed to, the binding of the
+    // referenced identifier, or the declaration or return the error sits in
+    findBlamedAnnotation(error) {
+        const { annotations } = this.printed;
+        const indexOf = annotation => {
+            const index = annotations.findIndex(entry => entry.annotation === annotation);
+            return index !== -1 && !annotation.fromJSDoc && !this.downgrades.has(index) ? index : null;
+        };
+        const { chain, annotation } = error.location;
+        if (annotation) return indexOf(annotation.annotation);
+
+        if (error.code === ARGUMENT_NOT_ASSIGNABLE) {
+            const call = chain.find(node => node.type === 'CallExpression' || node.type === 'NewExpression');
+            const functionNode = call && this.resolveLocalFunction(call.callee);
+            const param = functionNode && functionNode.params[call.arguments.findIndex(arg => chain.includes(arg))];
+            const target = param && (param.type === 'AssignmentPattern' ? param.left : param);
+            if (target && target.typeAnnotation) return indexOf(target.typeAnnotation);
+        }
+
+        // A function whose unannotated parameter is at fault takes its type from where it is written
+        let contextualFunction = null;
+        for (let i = 0; i < chain.length; i++) {
+            const node = chain[i];
+            const parent = chain[i + 1];
+            // Errors on a member (`event.target`) start at the member name; the object is blamed
+            const objectIdentifier = node.type === 'MemberExpression' && chain[i - 1] === node.property &&
+                node.object.type === 'Identifier' ? node.object : null;
+            const isKey = node.type === 'Identifier' && parent &&
+                ((parent.type === 'MemberExpression' && parent.property === node && !parent.computed) ||
+                    (parent.type === 'Property' && parent.key === node && parent.value !== node));
+            const identifier = objectIdentifier || (node.type === 'Identifier' && !isKey ? node : null);
+            if (identifier) {
+                const holder = this.getBindingAnnotationHolder(identifier);
+                if (holder) return indexOf(holder.typeAnnotation);
+                const binding = this.typeInferrer.symbols ? this.typeInferrer.symbols.lookup(identifier) : null;
+                if (binding && binding.kind === 'param') contextualFunction = binding.functionNode;
+            }
+
+            if (node.type === 'Identifier' || node === contextualFunction) {
+                continue;
+            } else if (node.type === 'MemberExpression' && node.object.type === 'ThisExpression' && !node.computed) {
+                const field = this.findFieldDeclaration(chain.slice(i), node.property.name);
+                if (field && field.typeAnnotation) return indexOf(field.typeAnnotation);
+            } else if (node.type === 'MemberExpression' && node.object.type === 'CallExpression') {
+                const functionNode = this.resolveLocalFunction(node.object.callee);
+                if (functionNode && functionNode.returnType) return indexOf(functionNode.returnType);
+            } else if (node.type === 'VariableDeclarator' && node.id.typeAnnotation) {
+                return indexOf(node.id.typeAnnotation);
+            } else if (node.type === 'ReturnStatement' || (FUNCTION_TYPES.includes(node.type) && node.body === chain[i - 1])) {
+                const functionNode = node.type === 'ReturnStatement' ? chain.slice(i).find(n => FUNCTION_TYPES.includes(n.type)) : node;
+                return functionNode && functionNode.returnType ? indexOf(functionNode.returnType) : null;
+            } else if (FUNCTION_TYPES.includes(node.type)) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    // The field `name` of the class enclosing the innermost node of `chain`
+    findFieldDeclaration(chain, name) {
+        const classBody = chain.find(node => node.type === 'ClassBody');
+        return classBody ? classBody.body.find(member => member.type === 'PropertyDefinition' && !member.computed &&
+            !member.static && member.key.type === 'Identifier' && member.key.name === name) : null;
+    }
+
+    getBindingAnnotationHolder(identifier) {
+        const symbols = this.typeInferrer.symbols;
+        const binding = symbols && symbols.lookup(identifier);
+        if (!binding) return null;
+        return [binding.identifier, binding.param, binding.declarator && binding.declarator.id]
+            .find(node => node && node.typeAnnotation) || null;
+    }
+
+    resolveLocalFunction(callee) {
+        const symbols = this.typeInferrer.symbols;
+        const binding = callee.type === 'Identifier' && symbols ? symbols.lookup(callee) : null;
+        if (!binding) return null;
+        if (binding.kind === 'function') return binding.node;
+        const init = binding.declarator && binding.declarator.id === binding.identifier ? binding.declarator.init : null;
+        return this.isFunctionNode(init) ? init : null;
+    }
+
+    convertModules(ast) {
+        const namespaceSources = this.projectContext ? this.projectContext.namespaceSources : undefined;
+        const converter = new ModuleConverter({ ...this.options, namespaceSources }, (code, message, node, severity) =>
+            this.addDiagnostic(code, message, node, severity)
+        );
+
+        this.statementReplacements = converter.convert(ast);
+    }
+
+    // Records the argument types of every call to a function declared in this file
+    collectCallSites(ast) {
+        traverseNodes(ast, node => {
+            if (!['CallExpression', 'NewExpression'].includes(node.type) || node.callee.type !== 'Identifier') return;
+
+            const functionNode = this.resolveCallTarget(node);
+            const argumentTypes = functionNode && this.typeInferrer.inferArgumentTypes(node);
+            if (!argumentTypes) return;
+
+            if (!functionNode.callSites) functionNode.callSites = [];
+            functionNode.callSites.push(argumentTypes);
+            // Literal unions need the argument values themselves
+            if (!functionNode.callArguments) functionNode.callArguments = [];
+            functionNode.callArguments.push(node.arguments);
+        });
+    }
+
+    // The local function a call runs through scope lookup, so a shadowing parameter or
+    // variable hides the outer function; `new Name(...)` calls type the constructor parameters
+    resolveCallTarget(call) {
+        const binding = this.typeInferrer.symbols.lookup(call.callee);
+        if (call.type === 'NewExpression' && binding && binding.kind === 'class') {
+            const constructor = binding.node.body.body.find(member => member.kind === 'constructor');
+            return constructor ? constructor.value : null;
+        }
+        return this.resolveLocalFunction(call.callee);
+    }
+
+    // Seeds inference with the types of imported bindings and with argument types
+    // that other files pass to this file's exported functions
+    applyProjectContext(ast) {
+        const { importedTypes, callSites } = this.projectContext;
+
+        importedTypes.forEach(({ type, returnType }, name) => {
+            if (type) this.typeInferrer.typeMap.set(name, type);
+            if (returnType) this.typeInferrer.functionSignatures.set(name, { returnType });
+        });
+
+        collectExports(ast).forEach((node, name) => {
+            if (callSites.has(name) && FUNCTION_TYPES.includes(node.type)) {
+                node.callSites = [...callSites.get(name)];
+            }
+        });
+    }
+
+    collectExportedTypes(ast) {
+        const exportedTypes = new Map();
+
+        collectExports(ast).forEach((node, name) => {
+            if (FUNCTION_TYPES.includes(node.type)) {
+                exportedTypes.set(name, this.getFunctionSignature(node));
+            } else if (node.type === 'VariableDeclarator') {
+                if (node.id.typeAnnotation) {
+                    exportedTypes.set(name, { type: this.getAnnotationType(node.id.typeAnnotation) });
+                }
+            } else if (node.type !== 'ClassDeclaration' && node.type !== 'ClassExpression') {
+                const type = this.typeInferrer.inferType(node);
+                if (type !== 'unknown') exportedTypes.set(name, { type });
+            }
+        });
+
+        return exportedTypes;
+    }
+
+    getFunctionSignature(functionNode) {
+        const params = functionNode.params.map((param, index) => {
+            if (param.type === 'RestElement') {
+                const name = param.argument.type === 'Identifier' ? param.argument.name : 'rest';
+                return `...${name}: ${this.getAnnotationType(param.typeAnnotation, 'unknown[]')}`;
+            }
+            const target = param.type === 'AssignmentPattern' ? param.left : param;
+            const name = target.type === 'Identifier' ? target.name : `arg${index}`;
+            const optional = target.optional || param.type === 'AssignmentPattern' ? '?' : '';
+            return `${name}${optional}: ${this.getAnnotationType(target.typeAnnotation)}`;
+        });
+
+        const typeParameters = functionNode.typeParameters
+            ? generate(functionNode.typeParameters, { generator: TS_GENERATOR })
+            : '';
+        const returnType = this.getAnnotationType(functionNode.returnType);
+
+        return {
+            type: `${typeParameters}(${params.join(', ')}) => ${returnType}`,
+            // Generic return types mean nothing outside the declaration
+            returnType: typeParameters || returnType === 'unknown' ? undefined : returnType
+        };
+    }
+
+    // Generated interface names are local to a file, so exported types spell them out
+    getAnnotationType(annotation, fallback = 'unknown') {
+        if (!annotation) return fallback;
+
+        const named = new Map(this.interfaceGenerator.declarations);
+        this.interfaceGenerator.interfaces.forEach(({ type }, name) => named.set(name, type));
+
+        return printType(annotation)
+            .replace(/[A-Za-z_$][\w$]*/g, name => named.has(name) ? named.get(name) : name);
+    }
+
+    // License headers and other file-level comments stay above generated declarations
+    extractHeaderComments(ast, comments) {
+        const firstStatement = ast.body[0];
+        const leading = comments.filter(comment => !firstStatement || comment.end <= firstStatement.start);
+        let headerEnd = -1;
+
+        leading.forEach((comment, index) => {
+            const nextLine = index + 1 < leading.length
+                ? leading[index + 1].loc.start.line
+                : (firstStatement ? firstStatement.loc.start.line : Infinity);
+            if (nextLine - comment.loc.end.line > 1) headerEnd = index;
+        });
+
+        if (headerEnd < 0) return null;
+
+        const header = leading.slice(0, headerEnd + 1);
+        if (firstStatement && firstStatement.comments) {
+            firstStatement.comments = firstStatement.comments.filter(comment => !header.includes(comment));
+        }
+        if (ast.innerComments) {
+            ast.innerComments = ast.innerComments.filter(comment => !header.includes(comment));
+        }
+
+        return { comments: header };
+    }
+
+    formatHeaderComments(comments) {
+        let text = '';
+        let previousLine = null;
+
+        comments.filter(comment => !comment.removed).forEach(comment => {
+            if (previousLine !== null) {
+                text += comment.loc.start.line - previousLine > 1 ? '\n\n' : '\n';
+            }
+            text += formatComment(comment, '');
+            previousLine = comment.loc.end.line;
+        });
+
+        return text;
+    }
+
+    applyJSDoc(ast, comments) {
+        comments.filter(comment => this.jsdocParser.isJSDoc(comment)).forEach(comment => {
+            comment.jsdoc = this.jsdocParser.parse(comment.value);
+            comment.jsdoc.typedefs.forEach(typedef => this.declareJSDocTypedef(typedef));
+        });
+
+        traverseNodes(ast, node => {
+            const comment = this.findJSDocComment(node);
+            if (comment && this.applyJSDocToNode(node, comment.jsdoc) && this.options.stripJSDocTypes) {
+                this.jsdocParser.stripTypes(comment);
+            }
+        });
+
+        if (this.options.stripJSDocTypes) {
+            comments
+                .filter(comment => comment.jsdoc && comment.jsdoc.typedefs.length > 0 && !comment.rewritten)
+                .forEach(comment => this.jsdocParser.stripTypes(comment));
+        }
+    }
+
+    findJSDocComment(node) {
+        if (!node.comments) return null;
+        const docs = node.comments.filter(comment => comment.jsdoc && comment.jsdoc.typedefs.length === 0);
+        return docs[docs.length - 1] || null;
+    }
+
+    declareJSDocTypedef(typedef) {
+        let typeString = typedef.type;
+
+        if (typedef.kind === 'callback') {
+            typeString = this.jsdocParser.buildFunctionType(typedef.params, typedef.returns);
+        } else if (typedef.properties.length > 0 && typedef.type === 'object') {
+            typeString = this.jsdocParser.buildObjectType(typedef.properties);
+        }
+
+        this.interfaceGenerator.declareType(typedef.name, typeString);
+        this.typeInferrer.namedTypes.set(typedef.name, typeString);
+    }
+
+    applyJSDocToNode(node, doc) {
+        switch (node.type) {
+            case 'ExportNamedDeclaration':
+            case 'ExportDefaultDeclaration':
+                return !!node.declaration && this.applyJSDocToNode(node.declaration, doc);
+
+            case 'FunctionDeclaration':
+                return this.applyJSDocToFunction(node, doc);
+
+            case 'VariableDeclaration':
+                return this.applyJSDocToNode(node.declarations[0], doc);
+
+            case 'VariableDeclarator':
+                if (doc.type) {
+                    node.id.typeAnnotation = this.createJSDocAnnotation(doc.type);
+                    return true;
+                }
+                return this.isFunctionNode(node.init) && this.applyJSDocToFunction(node.init, doc);
+
+            case 'MethodDefinition':
+                if (node.kind === 'get' && doc.type && !doc.returns) {
+                    node.value.returnType = this.createJSDocAnnotation(doc.type);
+                    return true;
+                }
+                return this.applyJSDocToFunction(node.value, doc);
+
+            case 'PropertyDefinition':
+                if (doc.type) {
+                    node.typeAnnotation = this.createJSDocAnnotation(doc.type);
+                    return true;
+                }
+                return false;
+
+            case 'Property':
+                return this.isFunctionNode(node.value) && this.applyJSDocToFunction(node.value, doc);
+
+            case 'ExpressionStatement': {
+                const { expression } = node;
+                return expression.type === 'AssignmentExpression' && this.isFunctionNode(expression.right) &&
+                    this.applyJSDocToFunction(expression.right, doc);
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    applyJSDocToFunction(functionNode, doc) {
+        const topLevel = doc.params.filter(param => !/[.[]/.test(param.name));
+        let applied = false;
+
+        functionNode.params.forEach((param, index) => {
+            const name = getParameterName(param);
+            const entry = name
+                ? topLevel.find(candidate => candidate.name === name)
+                : topLevel[index];
+            if (!entry) return;
+
+            const type = this.getJSDocParameterType(entry, doc.params);
+            if (!type) return;
+
+            const target = param.type === 'AssignmentPattern' ? param.left : param;
+            target.typeAnnotation = this.createJSDocAnnotation(
+                entry.rest && param.type === 'RestElement' ? toArrayType(type) : type
+            );
+            if (entry.optional && param.type === 'Identifier') {
+                param.optional = true;
+            }
+            applied = true;
+        });
+
+        if (doc.returns) {
+            functionNode.returnType = this.createJSDocAnnotation(doc.returns);
+            applied = true;
+        }
+
+        if (doc.templates.length > 0) {
+            functionNode.typeParameters = this.createTypeParameters(doc.templates);
+            applied = true;
+        }
+
+        return applied;
+    }
+
+    getJSDocParameterType(entry, params) {
+        const nested = params.filter(param => param.name.startsWith(entry.name + '.'));
+        const nestedArray = params.filter(param => param.name.startsWith(entry.name + '[].'));
+
+        if (nested.length > 0) {
+            return this.jsdocParser.buildObjectType(
+                nested.map(param => ({ ...param, name: param.name.slice(entry.name.length + 1) }))
+            );
+        }
+        if (nestedArray.length > 0) {
+            return toArrayType(this.jsdocParser.buildObjectType(
+                nestedArray.map(param => ({ ...param, name: param.name.slice(entry.name.length + 3) }))
+            ));
+        }
+        return entry.type;
+    }
+
+
+    createTypeParameters(templates) {
+        return {
+            type: 'TSTypeParameterDeclaration',
+            params: templates.map(template => ({
+                type: 'TSTypeParameter',
+                name: { type: 'Identifier', name: template.name },
+                constraint: template.constraint ? this.parseTypeString(template.constraint) : undefined
+            }))
+        };
+    }
+
+    // Minimal-diff mode: insert annotations into the original text instead of reprinting it
+    spliceAnnotations(splicer, ast, jsCode, comments, header, interfaces) {
+        const print = node => generate(node, { generator: TS_GENERATOR, indent: this.options.indent });
+
+        comments.filter(comment => comment.rewritten).forEach(comment => {
+            if (comment.removed) {
+                const { start, end } = this.getCommentLineRange(jsCode, comment);
+                splicer.replace(start, end, '');
+            } else {
+                splicer.replace(comment.start, comment.end, `/*${comment.value}*/`);
+            }
+        });
+
+        if (interfaces.length > 0) {
+            const visibleHeader = header ? header.comments.filter(comment => !comment.removed) : [];
+            const prologue = this.getDirectivePrologue(ast);
+            const block = interfaces.join('\n\n');
+            if (prologue.length > 0) {
+                splicer.insert(prologue[prologue.length - 1].end, `\n\n${block}`);
+            } else if (visibleHeader.length > 0) {
+                splicer.insert(visibleHeader[visibleHeader.length - 1].end, `\n\n${block}`);
+            } else {
+                splicer.insert(0, `${block}\n\n`);
+            }
+        }
+
+        this.statementReplacements.forEach(({ original, nodes }) => {
+            const lineStart = jsCode.lastIndexOf('\n', original.start - 1) + 1;
+            const indent = jsCode.slice(lineStart, original.start).match(/^\s*/)[0];
+            splicer.replace(original.start, original.end, nodes.map(print).join('\n' + indent));
+        });
+
+        traverseNodes(ast, node => {
+            if (node.type === 'VariableDeclarator' && node.id.typeAnnotation && node.id.end != null) {
+                splicer.insert(node.id.end, print(node.id.typeAnnotation), node.id.typeAnnotation);
+            } else if (node.type === 'ClassBody') {
+                this.spliceClassMembers(splicer, node, jsCode, print);
+            } else if (this.isFunctionNode(node) || node.type === 'FunctionDeclaration') {
+                this.spliceFunctionSignature(splicer, node, jsCode, print);
+            }
+        });
+
+        return splicer.apply();
+    }
+
+    // Removing a comment that sits on its own lines also removes those lines
+    getCommentLineRange(jsCode, comment) {
+        const lineStart = jsCode.lastIndexOf('\n', comment.start - 1) + 1;
+        const newline = jsCode.indexOf('\n', comment.end);
+        const lineEnd = newline === -1 ? jsCode.length : newline + 1;
+
+        const ownsLine = jsCode.slice(lineStart, comment.start).trim() === '' &&
+            jsCode.slice(comment.end, lineEnd).trim() === '';
+        if (!ownsLine) return { start: comment.start, end: comment.end };
+
+        // Drop the blank line after a removed block that was itself preceded by one
+        const nextNewline = jsCode.indexOf('\n', lineEnd);
+        const nextLineBlank = nextNewline !== -1 && jsCode.slice(lineEnd, nextNewline).trim() === '';
+        const previousLineBlank = lineStart === 0 ||
+            jsCode.slice(jsCode.lastIndexOf('\n', lineStart - 2) + 1, lineStart).trim() === '';
+        return { start: lineStart, end: nextLineBlank && previousLineBlank ? nextNewline + 1 : lineEnd };
+    }
+
+    spliceClassMembers(splicer, body, jsCode, print) {
+        const original = body.body.filter(member => member.start != null);
+        const generated = body.body.filter(member => member.start == null);
+
+        if (generated.length > 0) {
+            const reference = original.length > 0 ? original[0].start : body.start;
+            const lineStart = jsCode.lastIndexOf('\n', reference - 1) + 1;
+            const baseIndent = jsCode.slice(lineStart).match(/^[ \t]*/)[0];
+            // Members sharing the line of the class, as in `class B { constructor() {} }`, are indented one level further
+            const isOwnLine = original.length > 0 && /^\s*$/.test(jsCode.slice(lineStart, reference));
+            const indent = isOwnLine ? baseIndent : baseIndent + this.options.indent;
+            const fields = generated.map(member => `\n${indent}${print(member)}`).join('');
+            // Generated fields follow the fields declared in the source, as when reprinting
+            const preceding = body.body[body.body.indexOf(generated[0]) - 1];
+            const following = body.body.slice(body.body.indexOf(generated[generated.length - 1]) + 1)
+                .find(member => member.start != null);
+            if (original.length > 0 && !isOwnLine) {
+                // What followed the fields on the class line moves to a line of its own
+                const start = preceding ? preceding.end : body.start + 1;
+                splicer.replace(start, following ? following.start : body.end - 1, `${fields}\n${following ? indent : baseIndent}`);
+                const last = original[original.length - 1];
+                if (last !== preceding) splicer.replace(last.end, body.end - 1, `\n${baseIndent}`);
+            } else if (preceding) {
+                splicer.insert(preceding.end, fields);
+            } else {
+                splicer.insert(body.start + 1, original.length > 0 ? `${fields}\n` : `${fields}\n${baseIndent}`);
+            }
+        }
+
+        original.forEach(member => {
+            if (member.accessibility) splicer.insert(member.start, `${member.accessibility} `);
+            if (member.type !== 'PropertyDefinition') return;
+            if (member.optional) splicer.insert(member.key.end, '?');
+            if (member.typeAnnotation) splicer.insert(member.key.end, print(member.typeAnnotation), member.typeAnnotation);
+        });
+    }
+
+    spliceFunctionSignature(splicer, node, jsCode, print) {
+        const [firstParam] = node.params;
+        const isBareParam = node.type === 'ArrowFunctionExpression' && node.params.length === 1 &&
+            !/\(\s*$/.test(jsCode.slice(node.start, firstParam.start));
+        const needsParentheses = isBareParam &&
+            !!(firstParam.typeAnnotation || node.returnType || node.typeParameters);
+
+        const open = isBareParam ? firstParam.start : jsCode.indexOf('(', node.id ? node.id.end : node.start);
+        if (node.typeParameters) {
+            splicer.insert(open, print(node.typeParameters));
+        }
+        if (needsParentheses) splicer.insert(firstParam.start, '(');
+
+        node.params.forEach(param => {
+            const target = param.type === 'AssignmentPattern' ? param.left : param;
+            if (target.optional) splicer.insert(target.end, '?');
+            if (target.typeAnnotation) splicer.insert(target.end, print(target.typeAnnotation), target.typeAnnotation);
+        });
+
+        if (needsParentheses) splicer.insert(firstParam.end, ')');
+
+        if (node.returnType) {
+            const close = isBareParam
+                ? firstParam.end
+                : this.findClosingParen(jsCode, node.params.length > 0 ? node.params[node.params.length - 1].end : open + 1) + 1;
+            splicer.insert(close, print(node.returnType), node.returnType);
+        }
+    }
+
+    findClosingParen(jsCode, offset) {
+        const skippable = /\s|,/;
+        while (offset < jsCode.length && jsCode[offset] !== ')') {
+            if (jsCode.startsWith('//', offset)) {
+                offset = jsCode.indexOf('\n', offset);
+            } else if (jsCode.startsWith('/*', offset)) {
+                offset = jsCode.indexOf('*/', offset) + 2;
+            } else if (skippable.test(jsCode[offset])) {
+                offset++;
+            } else {
+                break;
+            }
+        }
+        return offset;
+    }
+
+    processAST(ast) {
+        const self = this;
+
+        // Generated interfaces must not clash with local classes or imported names
+        this.typeInferrer.symbols.root.bindings.forEach(binding => {
+            if (binding.kind === 'class' || binding.kind === 'import') this.interfaceGenerator.reserveName(binding.name);
+        });
+        if (this.options.literalTypes) {
+            this.collectConstObjects(ast);
+        }
+
+        walk.simple(ast, {
+            VariableDeclaration(node) {
+                self.processVariableDeclaration(node);
+            },
+            FunctionDeclaration(node) {
+                self.processFunctionDeclaration(node);
+            },
+            ArrowFunctionExpression(node) {
+                self.processArrowFunction(node);
+            },
+            FunctionExpression(node) {
+                self.processFunctionExpression(node);
+            },
+            ClassDeclaration(node) {
+                self.processClassDeclaration(node);
+            },
+            ClassExpression(node) {
+                self.processClassDeclaration(node);
+            },
+            ObjectExpression(node) {
+                self.processObjectExpression(node);
+            }
+        }, WALK_BASE);
+
+        if (this.options.literalTypes) {
+            this.convertConstObjects(ast);
+        }
+    }
+
+    // Constant objects of string and number literals: frozen ones, and ones with upper-case
+    // keys that are never changed. They are rewritten once everything else is typed.
+    collectConstObjects(ast) {
+        const symbols = this.typeInferrer.symbols;
+        ast.body.forEach(statement => {
+            const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+            if (!declaration || declaration.type !== 'VariableDeclaration' || declaration.kind !== 'const') return;
+            if (declaration.declarations.length !== 1 || statement.start == null) return;
+
+            const [declarator] = declaration.declarations;
+            const binding = declarator.id.type === 'Identifier' ? symbols.lookup(declarator.id) : null;
+            const object = binding && !declarator.id.typeAnnotation ? this.getConstObjectLiteral(declarator.init, binding) : null;
+            if (!object) return;
+
+            const members = new Map(object.properties.map(prop => [prop.key.name || String(prop.key.value), literalTypeOf(prop.value)]));
+            // Numeric enums add reverse mappings, so only string values become enum members
+            const isStringOnly = [...members.values()].every(type => type.startsWith("'"));
+            const style = this.options.literalTypes === 'enum' && isStringOnly ? 'enum' : 'const';
+            this.typeInferrer.constObjects.set(binding, { name: binding.name, style, members, statement, declaration, object });
+        });
+    }
+
+    getConstObjectLiteral(init, binding) {
+        const symbols = this.typeInferrer.symbols;
+        const isFrozen = !!init && init.type === 'CallExpression' && init.arguments.length === 1 &&
+            init.callee.type === 'MemberExpression' && !init.callee.computed &&
+            init.callee.object.type === 'Identifier' && init.callee.object.name === 'Object' &&
+            init.callee.property.name === 'freeze' && !symbols.lookup(init.callee.object);
+        const object = isFrozen ? init.arguments[0] : init;
+        if (!object || object.type !== 'ObjectExpression' || object.properties.length === 0) return null;
+
+        const isConstant = object.properties.every(prop => {
+            if (prop.type !== 'Property' || prop.computed || prop.kind !== 'init' || prop.method || prop.shorthand) return false;
+            const key = prop.key.name || String(prop.key.value);
+            const literal = literalTypeOf(prop.value);
+            return !!literal && literal !== 'true' && literal !== 'false' && !/^\d/.test(key) &&
+                (isFrozen || /^[A-Z][A-Z0-9_]*$/.test(key));
+        });
+        if (!isConstant) return null;
+        if (isFrozen) return object;
+
+        const isChanged = this.typeInferrer.findReferences(binding, this.typeInferrer.program).some(reference => {
+            const member = symbols.parentOf(reference);
+            if (member.type !== 'MemberExpression' || member.object !== reference) return false;
+            const parent = symbols.parentOf(member);
+            return (parent.type === 'AssignmentExpression' && parent.left === member) ||
+                (parent.type === 'UpdateExpression' && parent.argument === member) ||
+                (parent.type === 'UnaryExpression' && parent.operator === 'delete');
+        });
+        return isChanged ? null : object;
+    }
+
+    // `enum Status { ACTIVE = 'active' }`, or `{ ... } as const` with a type alias of its values
+    convertConstObjects(ast) {
+        this.typeInferrer.constObjects.forEach(({ name, style, statement, declaration, object }) => {
+            let nodes;
+            if (style === 'enum') {
+                const members = object.properties.map(prop => ({ type: 'TSEnumMember', id: prop.key, initializer: prop.value }));
+                nodes = [{ type: 'TSEnumDeclaration', id: declaration.declarations[0].id, members }];
+            } else {
+                const [declarator] = declaration.declarations;
+                const constant = { type: 'TSAsExpression', expression: object, typeAnnotation: this.parseTypeString('const') };
+                if (declarator.init === object) {
+                    declarator.init = constant;
+                } else {
+                    declarator.init.arguments[0] = constant;
+                }
+                nodes = [declaration, {
+                    type: 'TSTypeAliasDeclaration',
+                    id: { type: 'Identifier', name },
+                    typeAnnotation: this.parseTypeString(`typeof ${name}[keyof typeof ${name}]`)
+                }];
+            }
+
+            if (statement.type === 'ExportNamedDeclaration') {
+                nodes = nodes.map(node => ({ type: 'ExportNamedDeclaration', declaration: node, specifiers: [], source: null }));
+            }
+            nodes.forEach(node => { node.loc = statement.loc; });
+            if (statement.comments) nodes[0].comments = statement.comments;
+            if (statement.trailingComments) nodes[nodes.length - 1].trailingComments = statement.trailingComments;
+
+            ast.body.splice(ast.body.indexOf(statement), 1, ...nodes);
+            this.statementReplacements.push({ original: statement, nodes });
+        });
+    }
+
+    processVariableDeclaration(node) {
+        node.declarations.forEach(declaration => {
+            // Function initializers carry their own parameter and return annotations
+            if (this.isFunctionNode(declaration.init) || declaration.id.typeAnnotation) return;
+            // Constant objects become enums or `as const` objects that TypeScript types itself
+            const binding = declaration.id.type === 'Identifier' ? this.typeInferrer.symbols.lookup(declaration.id) : null;
+            if (binding && this.typeInferrer.constObjects.has(binding)) return;
+
+            // `let total;` may still be typed by its later assignments, but loop heads cannot be annotated
+            const parent = this.typeInferrer.symbols ? this.typeInferrer.symbols.parentOf(node) : null;
+            const isLoopHead = !!parent && ['ForInStatement', 'ForOfStatement'].includes(parent.type);
+            const canInfer = declaration.init || (!isLoopHead && node.kind !== 'const');
+
+            if (canInfer && this.options.inferTypes) {
+                const inferredType = this.inferDeclarationType(node.kind, declaration);
+                // An initializer TypeScript types better than `unknown` would, e.g. a RegExp or a DOM lookup
+                const fallbackType = inferredType === 'unknown' && (!declaration.init || this.options.addExplicitAny)
+                    ? this.getFallbackType(declaration.id)
+                    : null;
+
+                if (inferredType !== 'unknown' || fallbackType) {
+                    declaration.id.typeAnnotation = this.createTypeAnnotation(fallbackType || inferredType);
+                }
+            }
+        });
+    }
+
+    inferDeclarationType(kind, declaration) {
+        const { id, init } = declaration;
+
+        // Strict mode keeps the literal type of a constant, e.g. `const mode: 'dark' = 'dark'`
+        if (this.options.strictMode && kind === 'const' && id.type === 'Identifier') {
+            const literalType = literalTypeOf(init);
+            if (literalType) return literalType;
+        }
+
+        const symbols = this.typeInferrer.symbols;
+        const binding = id.type === 'Identifier' && symbols ? symbols.lookup(id) : null;
+        if (binding && (binding.identifier === id || binding.kind === 'var')) {
+            return this.typeInferrer.getBindingType(binding);
+        }
+        const type = init ? this.typeInferrer.inferType(init) : 'unknown';
+        // Reassigned bindings of a pattern widen the type of the whole declaration
+        return kind !== 'const' && id.type !== 'Identifier' && type !== 'unknown' ? this.typeInferrer.widenPatternType(id, type) : type;
+    }
+
+    processFunctionDeclaration(node) {
+        this.addParameterTypes(node);
+        this.addReturnType(node);
+    }
+
+    processArrowFunction(node) {
+        if (this.isPromiseExecutor(node)) return;
+        this.addParameterTypes(node);
+        // Return type inference for arrow functions
+        if (node.body.type !== 'BlockStatement' && !node.returnType) {
+            const returnType = this.typeInferrer.inferFunctionReturnType(node);
+            if (returnType !== 'unknown') {
+                node.returnType = this.createTypeAnnotation(returnType);
+            }
+        }
+    }
+
+    processFunctionExpression(node) {
+        // Methods are typed with their class, once its fields are known
+        const parent = this.typeInferrer.symbols.parentOf(node);
+        if (parent && parent.type === 'MethodDefinition') return;
+        if (this.isPromiseExecutor(node)) return;
+
+        this.addParameterTypes(node);
+        this.addReturnType(node);
+    }
+
+    // The `Promise` constructor already types its executor's `resolve` and `reject`
+    isPromiseExecutor(node) {
+        const parent = this.typeInferrer.symbols.parentOf(node);
+        if (!parent || parent.type !== 'NewExpression' || parent.arguments[0] !== node) return false;
+        return parent.callee.type === 'Identifier' && parent.callee.name === 'Promise' &&
+            !this.typeInferrer.symbols.lookup(parent.callee);
+    }
+
+    processClassDeclaration(node) {
+        const members = node.body.body;
+        const methods = members.filter(member => member.type === 'MethodDefinition');
+
+        // Parameters first: constructor parameters often type the fields they are stored in
+        methods.forEach(member => this.addParameterTypes(member.value));
+        this.addClassFields(node);
+        if (node.id) {
+            this.typeInferrer.namedTypes.set(node.id.name, this.getInstanceType(node));
+        }
+
+        methods.forEach(member => {
+            if (member.kind === 'constructor' || member.kind === 'set') {
+                // TypeScript rejects return annotations here
+                delete member.value.returnType;
+            } else {
+                this.addReturnType(member.value);
+            }
+        });
+        this.pairAccessorTypes(methods);
+
+        if (this.options.underscoreAccessibility) {
+            members.forEach(member => {
+                const isUnderscored = member.key && member.key.type === 'Identifier' && member.key.name.startsWith('_');
+                if (isUnderscored && member.kind !== 'constructor') member.accessibility = this.options.underscoreAccessibility;
+            });
+        }
+    }
+
+    // Declares the fields assigned through `this.x = ...` in methods and types every field
+    // from its initializer and those assignments. Fields not assigned directly in the
+    // constructor body are optional since they may still be undefined.
+    addClassFields(node) {
+        const members = node.body.body;
+        const memberKey = (member, isStatic) => `${isStatic ? 'static ' : ''}${this.getClassMemberName(member.key)}`;
+        const declared = new Map(members
+            .filter(member => member.type === 'PropertyDefinition' && !member.computed)
+            .map(member => [memberKey(member, member.static), member]));
+        const accessors = new Set(members
+            .filter(member => member.type === 'MethodDefinition' && !member.computed)
+            .map(member => memberKey(member, member.static)));
+
+        const fields = new Map();
+        members.forEach(member => {
+            const body = member.type === 'MethodDefinition' ? member.value.body : (member.type === 'StaticBlock' ? member : null);
+            if (!body) return;
+            const isStatic = member.type === 'StaticBlock' || member.static;
+            const constructorStatements = member.kind === 'constructor' ? body.body : [];
+
+            this.forEachThisAssignment(body, assignment => {
+                const key = memberKey({ key: assignment.left.property }, isStatic);
+                if (accessors.has(key)) return;
+                if (!fields.has(key)) fields.set(key, { property: assignment.left.property, isStatic, values: [], initialized: false });
+
+                const field = fields.get(key);
+                field.values.push(assignment.operator === '=' ? assignment.right : assignment);
+                field.initialized = field.initialized || constructorStatements.some(statement =>
+                    statement.type === 'ExpressionStatement' && statement.expression === assignment
+                );
+            });
+        });
+
+        declared.forEach((member, key) => {
+            if (member.typeAnnotation) return;
+            const field = fields.get(key);
+            const values = [member.value, ...(field ? field.values : [])].filter(Boolean);
+            if (!member.value && !(field && field.initialized) && values.length > 0) member.optional = true;
+            this.annotateField(member, values);
+        });
+
+        const synthesized = [];
+        fields.forEach((field, key) => {
+            if (declared.has(key) || field.property.type === 'PrivateIdentifier') return;
+            const member = {
+                type: 'PropertyDefinition',
+                // The key keeps the location of the first assignment for diagnostics
+                key: { type: 'Identifier', name: field.property.name, loc: field.property.loc },
+                value: null,
+                computed: false,
+                static: field.isStatic,
+                optional: !field.initialized
+            };
+            this.annotateField(member, field.values);
+            synthesized.push(member);
+        });
+
+        if (synthesized.length > 0) {
+            const index = members.findIndex(member => member.type !== 'PropertyDefinition');
+            synthesized[synthesized.length - 1].blankLineAfter = true;
+            members.splice(index === -1 ? members.length : index, 0, ...synthesized);
+        }
+    }
+
+    annotateField(member, values) {
+        if (values.length === 0) return;
+        // A value of unknown type (e.g. an untyped parameter) does not widen the field
+        const types = this.options.inferTypes ? values.map(value => this.typeInferrer.inferType(value)) : [];
+        const known = [...new Set(types.filter(type => type !== 'unknown'))];
+        // Strict mode does not guess from the values it could type
+        const guessed = this.options.strictMode && known.length < types.length;
+        const fieldType = known.length > 0 && !guessed ? formatUnion(known) : this.getFallbackType(member);
+        if (fieldType) member.typeAnnotation = this.createTypeAnnotation(fieldType);
+    }
+
+    getClassMemberName(key) {
+        if (key.type === 'PrivateIdentifier') return `#${key.name}`;
+        return key.type === 'Identifier' ? key.name : String(key.value);
+    }
+
+    // `this.x = ...` and `this.x += ...` in a method body, including arrow functions
+    // but not nested functions or classes, which have their own `this`
+    forEachThisAssignment(node, callback) {
+        if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+            node.left.object.type === 'ThisExpression' && !node.left.computed) {
+            callback(node);
+        }
+        childNodes(node).forEach(child => {
+            if (['FunctionExpression', 'FunctionDeclaration', 'ClassExpression', 'ClassDeclaration'].includes(child.type)) return;
+            this.forEachThisAssignment(child, callback);
+        });
+    }
+
+    // The shape of an instance as seen through `this.x` and `new Class().x`
+    getInstanceType(node) {
+        const properties = node.body.body
+            .filter(member => !member.static && !member.computed && member.key && member.key.type !== 'PrivateIdentifier')
+            .map(member => {
+                if (member.type === 'PropertyDefinition') {
+                    const fieldType = member.typeAnnotation ? printType(member.typeAnnotation) : 'unknown';
+                    return `${formatPropertyName(this.getClassMemberName(member.key))}${member.optional ? '?' : ''}: ${fieldType}`;
+                }
+                return member.kind === 'get' && member.value.returnType
+                    ? `${formatPropertyName(this.getClassMemberName(member.key))}: ${printType(member.value.returnType)}`
+                    : null;
+            })
+            .filter(Boolean);
+        return `{ ${properties.join('; ')} }`;
+    }
+
+    // A getter and setter of the same property share one type
+    pairAccessorTypes(methods) {
+        methods.filter(member => member.kind === 'set' && !member.computed).forEach(setter => {
+            const getter = methods.find(member => member.kind === 'get' && !member.computed && member.static === setter.static &&
+                this.getClassMemberName(member.key) === this.getClassMemberName(setter.key));
+            const [param] = setter.value.params;
+            if (!getter || !param || param.type !== 'Identifier') return;
+
+            if (getter.value.returnType && !(param.typeAnnotation && param.typeAnnotation.fromJSDoc)) {
+                param.typeAnnotation = this.createTypeAnnotation(printType(getter.value.returnType));
+            } else if (!getter.value.returnType && param.typeAnnotation) {
+                getter.value.returnType = this.createTypeAnnotation(printType(param.typeAnnotation));
+            }
+        });
+    }
+
+    processObjectExpression(node) {
+        if (this.isConstObjectLiteral(node)) return;
+        // Objects nested in another literal are extracted along with their owner
+        const parent = this.typeInferrer.symbols.parentOf(node);
+        const isNested = parent && parent.type === 'Property' && parent.value === node;
+        if (this.options.generateInterfaces && !isNested && this.isComplexObject(node)) {
+            this.createObjectInterface(node);
+        }
+    }
+
+    isConstObjectLiteral(node) {
+        return [...this.typeInferrer.constObjects.values()].some(constObject => constObject.object === node);
+    }
+
+    // Nested object literals get their own interfaces first so the owner refers to them
+    // by name; every reference to the literal is then typed with the interface
+    createObjectInterface(node) {
+        node.properties.forEach(prop => {
+            if (prop.type !== 'Property') return;
+            const elements = prop.value.type === 'ArrayExpression' ? prop.value.elements : [prop.value];
+            elements.forEach(element => {
+                if (element && element.type === 'ObjectExpression' && element.properties.length > 0) {
+                    this.createObjectInterface(element);
+                }
+            });
+        });
+
+        const objectType = this.typeInferrer.inferObjectType(node);
+        const interfaceName = this.interfaceGenerator.generateInterface(objectType, this.getInterfaceNameHint(node));
+        this.typeInferrer.objectTypeNames.set(node, interfaceName);
+
+        const declared = this.interfaceGenerator.interfaces.get(interfaceName);
+        this.typeInferrer.namedTypes.set(interfaceName, declared ? declared.type : this.interfaceGenerator.declarations.get(interfaceName));
+        return interfaceName;
+    }
+
+    // Type name for an object literal from where it is stored: `const userProfile = {...}`,
+    // `this.settings = {...}`, an array element, or a property of another object literal
+    // (`settings` inside `userProfile` gives `UserProfileSettings`)
+    getInterfaceNameHint(node) {
+        const parent = node && this.typeInferrer.symbols ? this.typeInferrer.symbols.parentOf(node) : null;
+        if (!parent) return null;
+
+        switch (parent.type) {
+            case 'VariableDeclarator':
+                return parent.init === node && parent.id.type === 'Identifier' ? toTypeName(parent.id.name) || null : null;
+            case 'AssignmentExpression': {
+                const target = parent.left.type === 'MemberExpression' && !parent.left.computed
+                    ? parent.left.property
+                    : parent.left;
+                return parent.right === node && target.type === 'Identifier' ? toTypeName(target.name) || null : null;
+            }
+            case 'Property': {
+                const key = parent.value === node && !parent.computed ? toTypeName(memberName(parent)) : '';
+                if (!key) return null;
+                return (this.getInterfaceNameHint(this.typeInferrer.symbols.parentOf(parent)) || '') + key;
+            }
+            case 'ArrayExpression': {
+                // `users = [{...}]` names the element `User`
+                const hint = this.getInterfaceNameHint(parent);
+                return hint && hint.length > 1 ? hint.replace(/ies$/, 'y').replace(/([^s])s$/, '$1') : hint;
+            }
+            default:
+                return null;
+        }
+    }
+
+    addParameterTypes(functionNode) {
+        this.addGenericSignature(functionNode);
+
+        functionNode.params.forEach((param, index) => {
+            // Callbacks of built-ins like `items.map(item => ...)` are typed by TypeScript itself
+            if (this.typeInferrer.getContextualParameterType(functionNode, index) !== 'unknown') return;
+
+            // Defaults are written after the annotation: `x: number = 10`
+            const target = param.type === 'AssignmentPattern' ? param.left : param;
+            if (!target.typeAnnotation) {
+                let paramType = 'unknown';
+                
+                const literalUnion = this.options.inferTypes ? this.getLiteralParameterType(param) : null;
+                if (literalUnion) {
+                    paramType = literalUnion;
+                } else if (this.options.inferTypes) {
+                    paramType = this.typeInferrer.inferParameterType(param, functionNode.body);
+
+                    if (functionNode.callSites && param.type === 'RestElement') {
+                        paramType = this.combineRestCallSiteTypes(functionNode, index, paramType);
+                    } else if (functionNode.callSites && (target.type === 'Identifier' || paramType === 'unknown')) {
+                        paramType = this.combineCallSiteTypes(functionNode, param, index, paramType);
+                    }
+                }
+                
+                const fallbackType = paramType === 'unknown' ? this.getFallbackType(target) : null;
+                if (fallbackType) {
+                    paramType = fallbackType;
+                } else if (paramType === 'unknown[]' && this.options.addExplicitAny) {
+                    paramType = 'any[]';
+                }
+                
+                if (paramType !== 'unknown' || fallbackType) {
+                    target.typeAnnotation = this.createTypeAnnotation(paramType);
+                }
+            }
+        });
+    }
+
+    // Parameters that nothing in the body constrains become type parameters, e.g.
+    // `(arr) => arr[0]` gives `<T>(arr: T[]) => T | undefined` and a called parameter
+    // `fn` gives `(item: T) => R`
+    addGenericSignature(functionNode) {
+        if (!this.options.inferTypes || functionNode.typeParameters) return;
+        const { params } = functionNode;
+        if (params.some((param, index) => this.typeInferrer.getContextualParameterType(functionNode, index) !== 'unknown')) return;
+
+        const usages = params.map((param, index) => param.type === 'Identifier' && !param.typeAnnotation &&
+            !this.getLiteralParameterType(param) && !this.getAgreedCallSiteType(functionNode, index)
+            ? this.typeInferrer.getGenericUsage(param, functionNode)
+            : null);
+        const variables = [];
+
+        params.forEach((param, index) => {
+            const usage = usages[index];
+            const name = TYPE_VARIABLE_NAMES[variables.length];
+            if (!usage || usage.kind === 'callback' || !name) return;
+            variables.push(name);
+            param.typeAnnotation = this.createTypeAnnotation(usage.kind === 'array' ? `${name}[]` : name);
+        });
+
+        // Callback arguments are typed once the other parameters have their type variables
+        let results = 0;
+        params.forEach((param, index) => {
+            const usage = usages[index];
+            const result = RESULT_VARIABLE_NAMES[results];
+            if (!usage || usage.kind !== 'callback' || !result) return;
+            results++;
+            variables.push(result);
+
+            const names = new Set();
+            const args = usage.calls[0].arguments.map((argument, position) => {
+                const name = argument.type === 'Identifier' && !names.has(argument.name) ? argument.name : `arg${position}`;
+                names.add(name);
+                return `${name}: ${this.typeInferrer.inferType(argument)}`;
+            });
+            param.typeAnnotation = this.createTypeAnnotation(`(${args.join(', ')}) => ${result}`);
+        });
+
+        if (variables.length > 0) {
+            functionNode.typeParameters = this.createTypeParameters(variables.map(name => ({ name })));
+        }
+    }
+
+    // The argument type every call passes for a parameter, if they all agree; it is used
+    // instead of a type variable
+    getAgreedCallSiteType(functionNode, index) {
+        const types = (functionNode.callSites || []).map(argumentTypes => argumentTypes[index]);
+        const agreed = types.length > 0 && types.every(type => type && type !== 'unknown' && type === types[0]);
+        return agreed ? types[0] : null;
+    }
+
+    // Literal types mode: parameters only compared to and called with literals take their union
+    getLiteralParameterType(param) {
+        if (!this.options.literalTypes) return null;
+        const target = param.type === 'AssignmentPattern' ? param.left : param;
+        const binding = target.type === 'Identifier' ? this.typeInferrer.symbols.lookup(target) : null;
+        return binding ? this.typeInferrer.getLiteralUnion(binding) : null;
+    }
+
+    // Unions the argument types passed at each call site with the type implied by the
+    // function body. Every call site and the body count as one observation; if too few
+    // observations have a known type the call sites are ignored.
+    combineCallSiteTypes(functionNode, param, index, bodyType) {
+        const observed = functionNode.callSites
+            .filter(argumentTypes => index < argumentTypes.length)
+            .map(argumentTypes => argumentTypes[index]);
+        const known = observed.filter(type => type !== 'unknown' && type !== 'undefined');
+        if (known.length === 0) return bodyType;
+
+        const bodyEvidence = bodyType !== 'unknown' ? 1 : 0;
+        const confidence = (known.length + bodyEvidence) / (observed.length + bodyEvidence);
+        if (confidence < this.options.callSiteConfidence) return bodyType;
+
+        // Widening what the body implies to fit the arguments would break the body
+        const mismatched = bodyEvidence && !bodyType.includes('unknown')
+            ? [...new Set(known.filter(type => formatUnion([bodyType, type]) !== bodyType))]
+            : [];
+        if (mismatched.length > 0) {
+            this.typeInferrer.reportConflict(param,
+                `Parameter '${getParameterName(param) || `#${index + 1}`}' left untyped: conflicting evidence (used as ${bodyType}, called with ${mismatched.join(' and ')})`);
+            return 'unknown';
+        }
+
+        // Body evidence like `unknown[]` from `.push()` adds nothing once call sites are known
+        const types = bodyEvidence && !bodyType.includes('unknown') ? [bodyType, ...known] : known;
+
+        const omitted = functionNode.callSites.some(argumentTypes => argumentTypes.length <= index) ||
+            observed.includes('undefined');
+        if (omitted && param.type === 'Identifier') {
+            param.optional = true;
+        }
+
+        return formatUnion(types);
+    }
+
+    // `...names` collects every argument from its own position on
+    combineRestCallSiteTypes(functionNode, index, bodyType) {
+        if (bodyType !== 'unknown[]') return bodyType;
+        const observed = functionNode.callSites.flatMap(argumentTypes => argumentTypes.slice(index));
+        if (observed.length === 0 || observed.includes('unknown')) return bodyType;
+        return toArrayType(formatUnion([...new Set(observed)]));
+    }
+
+    addReturnType(functionNode) {
+        if (!functionNode.returnType && functionNode.body) {
+            const returnType = this.typeInferrer.inferFunctionReturnType(functionNode);
+            if (returnType !== 'unknown' || this.options.addExplicitAny) {
+                functionNode.returnType = this.createTypeAnnotation(
+                    returnType === 'unknown' ? 'any' : returnType
+                );
+            }
+        }
+    }
+
+    createTypeAnnotation(typeString) {
+        const typeAnnotation = this.parseTypeString(typeString);
+        if (this.options.strictMode) mergeObjectUnions(typeAnnotation);
+        return {
+            type: 'TSTypeAnnotation',
+            typeAnnotation
+        };
+    }
+
+    // The type written where nothing could be inferred: `any` when explicitly asked for,
+    // `unknown` in strict mode, which leaves no implicit `any` behind, and otherwise none.
+    // Parameters, variables and class fields share it; a destructuring pattern of type
+    // `unknown` could not be read, so it stays unannotated.
+    getFallbackType(target) {
+        if (this.options.addExplicitAny) return 'any';
+        return this.options.strictMode && ['Identifier', 'PropertyDefinition'].includes(target.type) ? 'unknown' : null;
+    }
+
+    // JSDoc types are what the author wrote, so a type check never downgrades them
+    createJSDocAnnotation(typeString) {
+        return { ...this.createTypeAnnotation(typeString), fromJSDoc: true };
+    }
+
+    parseTypeString(typeString) {
+        try {
+            return new TypeStringParser(typeString).parse();
+        } catch (error) {
+            // Fall back to an opaque reference so unparseable types still print verbatim
+            return {
+                type: 'TSTypeReference',
+                typeName: { type: 'Identifier', name: typeString }
+            };
+        }
+    }
+
+    isFunctionNode(node) {
+        return !!node && ['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type);
+    }
+
+    isComplexObject(node) {
+        return node.properties.length > 2 || 
+               node.properties.some(prop => 
+                   prop.value?.type === 'ObjectExpression' || 
+                   prop.value?.type === 'ArrayExpression'
+               );
+    }
+}
+
+// Project mode: all files are analysed together so that types flow across imports.
+// Call sites in importing files type the parameters of exported functions, and the
+// resulting export types are seeded into every file that imports them.
+class ProjectTranspiler {
+    constructor(options = {}, cache = null) {
+        this.options = options;
+        this.modules = new Map();
+        // With a cache, unchanged files keep their parsed modules and unchanged modules
+        // whose imports and call sites are unchanged too keep their output
+        this.cache = cache;
+    }
+
+    async transpile(entries) {
+        const sources = new Map();
+        for (const { inputPath } of entries) {
+            sources.set(path.resolve(inputPath), await fs.readFile(inputPath, 'utf8'));
+        }
+
+        const outputs = this.transpileSources(sources);
+        const results = [];
+
+        for (const { inputPath, outputPath } of entries) {
+            const { code, map, diagnostics, declarationExports, coverage, timings, cached } = outputs.get(path.resolve(inputPath));
+            const result = { success: true, inputPath, outputPath, diagnostics, declarationExports, coverage, timings, cached };
+            results.push(result);
+            if (cached) continue;
+
+            const writeStarted = performance.now();
+            await writeOutput(inputPath, outputPath, code, map);
+            timings.write = performance.now() - writeStarted;
+            diagnostics.forEach(diagnostic => {
+                diagnostic.file = inputPath;
+            });
+            logTranspiled(result);
+        }
+
+        return results;
+    }
+
+    // Takes a map of absolute file path to source code and returns the output for each file
+    transpileSources(sources) {
+        this.modules = new Map();
+        sources.forEach((code, filePath) => {
+            this.modules.set(filePath, this.analyzeModule(filePath, code));
+        });
+
+        this.modules.forEach(module => this.resolveImports(module));
+        this.modules.forEach(module => this.collectCallSites(module));
+
+        const outputs = new Map();
+        this.getBuildOrder().forEach(module => {
+            outputs.set(module.path, this.emitModule(module));
+        });
+
+        return new Map([...sources.keys()].map(filePath => [filePath, outputs.get(filePath)]));
+    }
+
+    analyzeModule(filePath, code) {
+        const key = `analysis:${filePath}`;
+        let analysis = this.cache ? this.cache.get(key, code) : null;
+        if (!analysis) {
+            const transpiler = new JSToTSTranspiler(optionsForFile(this.options, filePath));
+            let ast;
+            try {
+                ast = transpiler.parse(code).ast;
+            } catch (error) {
+                throw new Error(`${path.relative(process.cwd(), filePath)}: ${error.message}`);
+            }
+            if (transpiler.options.convertModules) {
+                transpiler.convertModules(ast);
+            }
+            analysis = { ast, transpiler, imports: this.collectImports(ast), exports: collectExports(ast) };
+            if (this.cache) this.cache.set(key, code, analysis);
+        }
+
+        return {
+            path: filePath,
+            code,
+            ast: analysis.ast,
+            transpiler: analysis.transpiler,
+            // Resolving rewrites import entries, so every run starts from fresh copies
+            imports: analysis.imports.map(entry => ({ ...entry })),
+            exports: analysis.exports,
+            exportedTypes: new Map(),
+            callSites: new Map(),
+            namespaceSources: new Set()
+        };
+    }
+
+    collectImports(ast) {
+        const imports = [];
+        const requireSource = new ModuleConverter().getRequireSource;
+
+        ast.body.forEach(statement => {
+            if (statement.type === 'ImportDeclaration') {
+                statement.specifiers.forEach(specifier => imports.push({
+                    local: specifier.local.name,
+                    source: statement.source.value,
+                    imported: specifier.type === 'ImportSpecifier'
+                        ? specifier.imported.name
+                        : (specifier.type === 'ImportNamespaceSpecifier' ? '*' : 'default')
+                }));
+            } else if (statement.type === 'TSImportEqualsDeclaration') {
+                imports.push({
+                    local: statement.id.name,
+                    source: statement.moduleReference.expression.value,
+                    imported: 'default'
+                });
+            } else if (statement.type === 'VariableDeclaration') {
+                // Requires that were not converted to imports
+                statement.declarations.forEach(declarator => {
+                    const source = requireSource(declarator.init);
+                    if (!source) return;
+                    if (declarator.id.type === 'Identifier') {
+                        imports.push({ local: declarator.id.name, source: source.value, imported: 'default' });
+                    } else if (declarator.id.type === 'ObjectPattern') {
+                        declarator.id.properties.forEach(prop => {
+                            if (prop.type !== 'Property' || prop.computed || prop.value.type !== 'Identifier') return;
+                            imports.push({ local: prop.value.name, source: source.value, imported: prop.key.name });
+                        });
+                    }
+                });
+            }
+        });
+
+        return imports;
+    }
+
+    resolveImports(module) {
+        module.imports.forEach(entry => {
+            entry.target = this.resolveModule(module.path, entry.source);
+
+            // A default import of a module that only has named exports reads it as a namespace
+            if (entry.target && entry.imported === 'default' && !entry.target.exports.has('default')) {
+                entry.imported = '*';
+                module.namespaceSources.add(entry.source);
+            }
+        });
+    }
+
+    resolveModule(fromPath, specifier) {
+        if (!specifier.startsWith('.')) return null;
+
+        const base = path.resolve(path.dirname(fromPath), specifier);
+        const candidates = [base, ...['.js', '.mjs', '.cjs'].map(ext => base + ext), path.join(base, 'index.js')];
+        const match = candidates.find(candidate => this.modules.has(candidate));
+        return match ? this.modules.get(match) : null;
+    }
+
+    // Records the argument types of every call to a function imported from another file
+    collectCallSites(module) {
+        const imported = new Map(module.imports.filter(entry => entry.target).map(entry => [entry.local, entry]));
+        const inferrer = module.transpiler.typeInferrer;
+
+        traverseNodes(module.ast, node => {
+            if (node.type !== 'CallExpression') return;
+
+            // `helper(...)` for named and default imports, `utils.helper(...)` for namespaces
+            const { callee } = node;
+            let entry = null;
+            let exportName = null;
+            if (callee.type === 'Identifier' && imported.has(callee.name) && imported.get(callee.name).imported !== '*') {
+                entry = imported.get(callee.name);
+                exportName = entry.imported;
+            } else if (callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'Identifier' &&
+                imported.has(callee.object.name) && imported.get(callee.object.name).imported === '*') {
+                entry = imported.get(callee.object.name);
+                exportName = callee.property.name;
+            }
+            if (!entry) return;
+
+            const argumentTypes = inferrer.inferArgumentTypes(node);
+            if (!argumentTypes) return;
+
+            const callSites = entry.target.callSites;
+            if (!callSites.has(exportName)) callSites.set(exportName, []);
+            callSites.get(exportName).push(argumentTypes);
+        });
+    }
+
+    // Dependencies come before the files that import them; import cycles are broken arbitrarily
+    getBuildOrder() {
+        const order = [];
+        const visited = new Set();
+        const visit = module => {
+            if (visited.has(module)) return;
+            visited.add(module);
+            module.imports.forEach(entry => entry.target && visit(entry.target));
+            order.push(module);
+        };
+
+        this.modules.forEach(visit);
+        return order;
+    }
+
+    emitModule(module) {
+        const importedTypes = this.getImportedTypes(module);
+        // Everything the output depends on besides the options
+        const inputs = this.cache
+            ? JSON.stringify([module.code, [...importedTypes], [...module.callSites], [...module.namespaceSources]])
+            : null;
+        const cached = this.cache ? this.cache.get(`emit:${module.path}`, inputs) : null;
+        if (cached) {
+            module.exportedTypes = cached.exportedTypes;
+            return { ...cached.output, cached: true };
+        }
+
+        const transpiler = new JSToTSTranspiler(optionsForFile(this.options, module.path));
+        transpiler.projectContext = {
+            namespaceSources: module.namespaceSources,
+            importedTypes,
+            callSites: module.callSites
+        };
+
+        const code = transpiler.transpileCode(module.code);
+        module.exportedTypes = transpiler.exportedTypes;
+
+        const output = {
+            code,
+            map: transpiler.options.sourceMap ? transpiler.createSourceMap() : null,
+            diagnostics: transpiler.diagnostics,
+            declarationExports: transpiler.declarationExports,
+            coverage: transpiler.coverage,
+            timings: transpiler.timings
+        };
+        if (this.cache) this.cache.set(`emit:${module.path}`, inputs, { output, exportedTypes: module.exportedTypes });
+        return output;
+    }
+
+    getImportedTypes(module) {
+        const importedTypes = new Map();
+
+        module.imports.filter(entry => entry.target).forEach(({ local, imported, target }) => {
+            if (imported !== '*') {
+                if (target.exportedTypes.has(imported)) {
+                    importedTypes.set(local, target.exportedTypes.get(imported));
+                }
+                return;
+            }
+
+            const members = [];
+            target.exportedTypes.forEach((exportedType, name) => {
+                members.push(`${formatPropertyName(name)}: ${exportedType.type}`);
+                importedTypes.set(`${local}.${name}`, exportedType);
+            });
+            if (members.length > 0) {
+                importedTypes.set(local, { type: `{ ${members.join('; ')} }` });
+            }
+        });
+
+        return importedTypes;
+    }
+}
+
+// Writes an output file and, when there is one, its source map beside it
+async function writeOutput(inputPath, outputPath, code, map) {
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    if (!map) {
+        await fs.writeFile(outputPath, code);
+        return;
+    }
+
+    const mapPath = `${outputPath}.map`;
+    const source = path.relative(path.dirname(outputPath), inputPath).split(path.sep).join('/');
+    await fs.writeFile(mapPath, JSON.stringify({ ...map, file: path.basename(outputPath), sources: [source] }));
+    await fs.writeFile(outputPath, `${code.endsWith('\n') ? code : code + '\n'}//# sourceMappingURL=${path.basename(mapPath)}\n`);
+}
+
+// Output extensions of each JavaScript extension, for code and for declarations
+const OUTPUT_EXTENSIONS = {
+    '.js': { code: '.ts', declaration: '.d.ts' },
+    '.mjs': { code: '.mts', declaration: '.d.mts' },
+    '.cjs': { code: '.cts', declaration: '.d.cts' }
+};
+
+// Never worth descending into, whatever the ignore files say
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+
+// `src/app.js` becomes `src/app.ts`, or `src/app.d.ts` in declaration mode; with an
+// `outDir` the path below `rootDir` is mirrored there
+function getOutputPath(inputPath, options, rootDir = path.dirname(inputPath)) {
+    const extension = path.extname(inputPath);
+    const outputExtensions = OUTPUT_EXTENSIONS[extension] || OUTPUT_EXTENSIONS['.js'];
+    const base = OUTPUT_EXTENSIONS[extension] ? inputPath.slice(0, -extension.length) : inputPath;
+    const outputPath = base + outputExtensions[options.declaration ? 'declaration' : 'code'];
+
+    return options.outDir ? path.join(options.outDir, path.relative(rootDir, outputPath)) : outputPath;
+}
+
+// `**/` spans any number of directories, `*` and `?` stay within one and `{a,b}` picks an alternative
+function globToRegExp(glob) {
+    let source = '';
+    for (let index = 0; index < glob.length; index++) {
+        const char = glob[index];
+        if (char === '*' && glob[index + 1] === '*') {
+            const directories = glob[index + 2] === '/';
+            source += directories ? '(?:.*/)?' : '.*';
+            index += directories ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{' && glob.indexOf('}', index) > index) {
+            const close = glob.indexOf('}', index);
+            const alternatives = glob.slice(index + 1, close).split(',');
+            source += `(?:${alternatives.map(alternative => globToRegExp(alternative).source.slice(1, -1)).join('|')})`;
+            index = close;
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// Patterns without a slash match the file name at any depth, others the whole
+// forward-slashed path relative to the directory being transpiled
+function matchesGlob(relativePath, pattern) {
+    const glob = pattern.replace(/^\.?\//, '');
+    return globToRegExp(glob).test(glob.includes('/') ? relativePath : path.posix.basename(relativePath));
+}
+
+// The rules of the `.gitignore` in `dirPath`, if there is one
+async function readIgnoreRules(dirPath, relativeDir) {
+    let content;
+    try {
+        content = await fs.readFile(path.join(dirPath, '.gitignore'), 'utf8');
+    } catch (error) {
+        return [];
+    }
+
+    return content.split(/\r?\n/)
+        .map(line => line.trimEnd())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const negate = line.startsWith('!');
+            let pattern = negate ? line.slice(1) : line;
+            const directoryOnly = pattern.endsWith('/');
+            if (directoryOnly) pattern = pattern.slice(0, -1);
+            const anchored = pattern.includes('/');
+            return { base: relativeDir, regex: globToRegExp(pattern.replace(/^\//, '')), negate, directoryOnly, anchored };
+        });
+}
+
+// The last matching rule decides, as in git
+function isIgnored(relativePath, isDirectory, rules) {
+    let ignored = false;
+    rules.forEach(rule => {
+        if (rule.directoryOnly && !isDirectory) return;
+        if (rule.base && !relativePath.startsWith(`${rule.base}/`)) return;
+        const target = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+        if (rule.regex.test(rule.anchored ? target : path.posix.basename(target))) ignored = !rule.negate;
+    });
+    return ignored;
+}
+
+// Runs git in the directory of `filePath`; resolves to whether it succeeded
+function runGit(args, filePath) {
+    return new Promise(resolve => {
+        execFile('git', args, { cwd: path.dirname(path.resolve(filePath)) }, error => resolve(!error));
+    });
+}
+
+// `git mv` keeps the history of a tracked file; anything else is renamed on disk, copying
+// when the rename crosses devices. Either way an existing `toPath` is replaced, and stays
+// as it was if the move fails. Resolves to whether git moved the file
+async function moveFile(fromPath, toPath) {
+    if (await runGit(['mv', '-f', path.resolve(fromPath), path.resolve(toPath)], fromPath)) return true;
+
+    try {
+        await fs.rename(fromPath, toPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.copyFile(fromPath, toPath);
+        await fs.unlink(fromPath);
+    }
+    return false;
+}
+
+// Collects the JavaScript files below a directory, honouring include and exclude
+// globs and the `.gitignore` files met on the way down
+class SourceFileFinder {
+    constructor(options = {}) {
+        this.include = options.include || [];
+        this.exclude = options.exclude || [];
+        this.useGitignore = options.gitignore !== false;
+        // Output written inside the source tree must not be picked up as input
+        this.skippedPaths = new Set(options.outDir ? [path.resolve(options.outDir)] : []);
+        // Every directory visited by the last `find`
+        this.directories = [];
+    }
+
+    async find(rootDir) {
+        const files = [];
+        this.directories = [];
+        await this.visit(rootDir, '', [], files);
+        return files.sort();
+    }
+
+    async visit(rootDir, relativeDir, rules, files) {
+        const dirPath = path.join(rootDir, relativeDir);
+        this.directories.push(dirPath);
+        const ownRules = this.useGitignore ? await readIgnoreRules(dirPath, relativeDir) : [];
+        const activeRules = rules.concat(ownRules);
+        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+        for (const entry of entries) {
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (SKIPPED_DIRECTORIES.includes(entry.name) || this.skippedPaths.has(path.resolve(rootDir, relativePath))) continue;
+                if (isIgnored(relativePath, true, activeRules)) continue;
+                await this.visit(rootDir, relativePath, activeRules, files);
+            } else if (entry.isFile() && this.isSource(relativePath) && !isIgnored(relativePath, false, activeRules)) {
+                files.push(path.join(rootDir, relativePath));
+            }
+        }
+    }
+
+    isSource(relativePath) {
+        if (!OUTPUT_EXTENSIONS[path.extname(relativePath)]) return false;
+        if (this.include.length > 0 && !this.include.some(pattern => matchesGlob(relativePath, pattern))) return false;
+        return !this.exclude.some(pattern => matchesGlob(relativePath, pattern));
+    }
+}
+
+// `date-utils` gives `dateUtils`
+function toIdentifier(name) {
+    const identifier = name.replace(/[^\w$]+(.)?/g, (match, next) => next ? next.toUpperCase() : '');
+    return /^\d/.test(identifier) ? `_${identifier}` : identifier || '_';
+}
+
+// `--jobs`: transpiles the files of a directory run on worker threads. Workers run this
+// same module with the same options, so every output matches a sequential run; results
+// are logged and returned in file order, whichever worker finishes first. After a failure
+// no further files are started, and the error is thrown once the running ones are done.
+class TranspilePool {
+    constructor(options, size) {
+        this.options = options;
+        this.size = size;
+    }
+
+    async run(entries) {
+        const results = new Array(entries.length);
+        let next = 0;
+        let logged = 0;
+        let failure = null;
+
+        // Everything up to the first file still running, stopping at an error
+        const logFinished = () => {
+            while (logged < entries.length && results[logged] && !(failure && logged > failure.index)) {
+                const result = results[logged++];
+                if (result.error) {
+                    console.error(`❌ Error transpiling ${result.inputPath}:`, result.error);
+                } else {
+                    logTranspiled(result);
+                }
+            }
+        };
+
+        const runWorker = worker => new Promise((resolve, reject) => {
+            let current = null;
+            const dispatch = () => {
+                if (failure || next >= entries.length) {
+                    resolve();
+                    return;
+                }
+                current = next++;
+                worker.postMessage({ index: current, ...entries[current] });
+            };
+            worker.on('message', ({ index, result, error }) => {
+                current = null;
+                results[index] = error ? { inputPath: entries[index].inputPath, error } : result;
+                if (error && (!failure || index < failure.index)) failure = { index, message: error };
+                logFinished();
+                dispatch();
+            });
+            worker.on('error', reject);
+            // Once its files are done a worker is only stopped by `terminate`; exiting before
+            // that (process.exit, running out of memory) fails the run instead of hanging it
+            worker.on('exit', code => {
+                const file = current !== null ? ` while transpiling ${entries[current].inputPath}` : '';
+                reject(new Error(`Worker thread exited with code ${code}${file}`));
+            });
+            dispatch();
+        });
+
+        const workers = Array.from({ length: this.size }, () => new Worker(__filename, {
+            workerData: { transpilePool: true, options: this.options }
+        }));
+        try {
+            await Promise.all(workers.map(runWorker));
+        } finally {
+            await Promise.all(workers.map(worker => worker.terminate()));
+        }
+
+        if (failure) throw new Error(failure.message);
+        return results;
+    }
+}
+
+// Options reach the workers as a structured clone, which has no room for functions (e.g.
+// from a .js2tsrc.js configuration)
+function canSendToWorkers(options) {
+    try {
+        v8.serialize(options);
+        return true;
+    } catch (error) {
+        console.warn(`⚠️  Options cannot be sent to worker threads (${error.message}); transpiling on a single thread`);
+        return false;
+    }
+}
+
+// Worker side of `TranspilePool`: transpiles each file it is sent and posts the result back
+function runPoolWorker({ options }) {
+    parentPort.on('message', async ({ index, inputPath, outputPath }) => {
+        try {
+            const transpiler = new JSToTSTranspiler(optionsForFile(options, inputPath));
+            parentPort.postMessage({ index, result: await transpiler.transpileFile(inputPath, outputPath) });
+        } catch (error) {
+            parentPort.postMessage({ index, error: error.message });
+        }
+    });
+}
+
+// Keeps the results of earlier runs by the content they were computed from; the least
+// recently used entries are dropped beyond `limit`
+class TranspileCache {
+    constructor(limit = 2000) {
+        this.entries = new Map();
+        this.limit = limit;
+    }
+
+    static hash(content) {
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    get(key, content) {
+        const entryKey = `${key}:${TranspileCache.hash(content)}`;
+        const value = this.entries.get(entryKey);
+        if (value === undefined) return null;
+        this.entries.delete(entryKey);
+        this.entries.set(entryKey, value);
+        return value;
+    }
+
+    set(key, content, value) {
+        this.entries.set(`${key}:${TranspileCache.hash(content)}`, value);
+        if (this.entries.size > this.limit) this.entries.delete(this.entries.keys().next().value);
+    }
+}
+
+// Saves usually come in bursts (editors write temp files, formatters rewrite on save)
+const WATCH_DEBOUNCE_MS = 100;
+
+// `--watch`: transpiles the input file or directory, then again whenever a source changes.
+// Only files whose content changed are redone; in project mode the whole project is
+// analysed again from cached parses and only modules whose inputs changed are emitted.
+// Errors are shown and the watch goes on.
+class TranspileWatcher {
+    constructor(cli, options) {
+        this.cli = cli;
+        this.options = options;
+        this.cache = new TranspileCache();
+        this.finder = new SourceFileFinder(options);
+        // input path → hash of the content last transpiled, and the result of that run
+        this.hashes = new Map();
+        this.results = new Map();
+        this.watchers = new Map();
+        this.timer = null;
+        this.running = false;
+        this.queued = false;
+    }
+
+    async start() {
+        await this.update();
+        console.log('👀 Watching for changes (Ctrl+C to stop)...');
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers.clear();
+    }
+
+    async listSources() {
+        if (this.options.directory) return this.finder.find(this.options.directory);
+        const exists = await fs.access(this.options.input).then(() => true, () => false);
+        return exists ? [this.options.input] : [];
+    }
+
+    getOutputPath(inputPath) {
+        if (!this.options.directory) return this.options.output || getOutputPath(inputPath, this.options);
+        return getOutputPath(inputPath, this.options, this.options.directory);
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.update(), WATCH_DEBOUNCE_MS);
+    }
+
+    // One update at a time; changes arriving meanwhile are picked up by another round
+    async update() {
+        if (this.running) {
+            this.queued = true;
+            return;
+        }
+        this.running = true;
+        try {
+            await this.rebuild();
+            this.watchDirectories();
+        } catch (error) {
+            console.error('❌ Transpilation failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+        if (this.queued) {
+            this.queued = false;
+            this.schedule();
+        }
     }
 
-    generateInterface(objectType, name = null) {
-        if (!name) {
-            name = `Interface${++this.interfaceCounter}`;
+    async rebuild() {
+        const files = await this.listSources();
+        const changed = [];
+        for (const inputPath of files) {
+            const code = await fs.readFile(inputPath, 'utf8').catch(() => null);
+            if (code === null) continue;
+            const hash = TranspileCache.hash(code);
+            if (this.hashes.get(inputPath) !== hash) changed.push(inputPath);
+            this.hashes.set(inputPath, hash);
         }
+        [...this.hashes.keys()].filter(inputPath => !files.includes(inputPath)).forEach(inputPath => {
+            this.hashes.delete(inputPath);
+            this.results.delete(inputPath);
+        });
+        if (changed.length === 0) return;
 
-        if (this.interfaces.has(objectType)) {
-            return this.interfaces.get(objectType);
+        if (this.watchers.size > 0) console.log(`🔄 ${changed.length} changed file${changed.length === 1 ? '' : 's'}`);
+        if (this.options.project) {
+            const entries = files.map(inputPath => ({ inputPath, outputPath: this.getOutputPath(inputPath) }));
+            try {
+                const results = await new ProjectTranspiler(this.options, this.cache).transpile(entries);
+                results.forEach(result => this.results.set(result.inputPath, result));
+            } catch (error) {
+                // Nothing is written until the whole project parses again
+                console.error('❌ Transpilation failed:', error.message);
+                changed.forEach(inputPath => this.results.delete(inputPath));
+            }
+        } else {
+            for (const inputPath of changed) {
+                const transpiler = new JSToTSTranspiler(optionsForFile(this.options, inputPath));
+                transpiler.cache = this.cache;
+                // The error is already shown; the file is retried once it changes again
+                const result = await transpiler.transpile(inputPath, this.getOutputPath(inputPath)).catch(() => null);
+                if (result) this.results.set(inputPath, result); else this.results.delete(inputPath);
+            }
         }
 
-        this.interfaces.set(objectType, name);
-        return name;
+        const results = files.filter(inputPath => this.results.has(inputPath)).map(inputPath => this.results.get(inputPath));
+        if (this.options.declaration && this.options.directory) await this.cli.writeDeclarationIndex(this.options.directory, results, this.options);
+        if (this.options.report) await this.cli.writeReport(results, this.options);
     }
 
-    getInterfaceDeclarations() {
-        const declarations = [];
-        for (const [objectType, interfaceName] of this.interfaces) {
-            declarations.push(`interface ${interfaceName} ${objectType}`);
+    // Directories are watched one by one, which works on every platform; new ones are
+    // added after each round
+    watchDirectories() {
+        const directories = this.options.directory ? this.finder.directories : [path.dirname(this.options.input)];
+        directories.forEach(dirPath => {
+            if (this.watchers.has(dirPath)) return;
+            const watcher = watchFileSystem(dirPath, (eventType, fileName) => {
+                // Outputs written beside their sources do not trigger another round
+                if (fileName && /\.(?:d\.)?[mc]?tsx?(?:\.map)?$/.test(fileName)) return;
+                this.schedule();
+            });
+            watcher.on('error', () => {
+                watcher.close();
+                this.watchers.delete(dirPath);
+            });
+            this.watchers.set(dirPath, watcher);
+        });
+        [...this.watchers.keys()].filter(dirPath => !directories.includes(dirPath)).forEach(dirPath => {
+            this.watchers.get(dirPath).close();
+            this.watchers.delete(dirPath);
+        });
+    }
+}
+
+// File extension of each report format
+const REPORT_FORMATS = { json: '.json', html: '.html', markdown: '.md' };
+
+// Configuration files in the order they are looked for in each directory
+const CONFIG_FILES = ['.js2tsrc.json', '.js2tsrc.js', 'package.json'];
+
+// Options a configuration file may set. `run` options describe the whole run and
+// cannot be changed by an override section
+const CONFIG_SCHEMA = {
+    strictMode: { type: ['boolean'] },
+    inferTypes: { type: ['boolean'] },
+    generateInterfaces: { type: ['boolean'] },
+    preserveComments: { type: ['boolean'] },
+    addExplicitAny: { type: ['boolean'] },
+    minimalDiff: { type: ['boolean'] },
+    objectTypeStyle: { values: ['interface', 'type'] },
+    literalTypes: { values: [false, 'enum', 'const'] },
+    sourceMap: { type: ['boolean'] },
+    useJSDoc: { type: ['boolean'] },
+    stripJSDocTypes: { type: ['boolean'] },
+    convertModules: { type: ['boolean'] },
+    moduleInterop: { values: ['default', 'namespace', 'require'] },
+    underscoreAccessibility: { values: ['private', 'protected'] },
+    callSiteConfidence: { type: ['number'], min: 0, max: 1 },
+    check: { type: ['boolean'] },
+    autoDowngrade: { type: ['boolean'] },
+    downgradeType: { values: ['any', 'unknown'] },
+    indent: { type: ['string'] },
+    declaration: { type: ['boolean'], scope: 'run' },
+    declarations: { type: ['object', 'string'], scope: 'run' },
+    project: { type: ['boolean'], scope: 'run' },
+    outDir: { type: ['string'], scope: 'run' },
+    // The key the first configuration format used; read as `outDir` with a warning
+    outputDirectory: { type: ['string'], scope: 'run', renamedTo: 'outDir' },
+    include: { type: ['string[]'], scope: 'run' },
+    exclude: { type: ['string[]'], scope: 'run' },
+    gitignore: { type: ['boolean'], scope: 'run' },
+    deleteSource: { type: ['boolean'], scope: 'run' },
+    renameSource: { type: ['boolean'], scope: 'run' },
+    report: { values: Object.keys(REPORT_FORMATS), scope: 'run' },
+    reportFile: { type: ['string'], scope: 'run' },
+    jobs: { type: ['number'], min: 1, max: 1024, scope: 'run' },
+    overrides: { type: ['object'], scope: 'run' }
+};
+
+const CONFIG_VALUE_KINDS = {
+    boolean: { name: 'a boolean', test: value => typeof value === 'boolean' },
+    number: { name: 'a number', test: value => typeof value === 'number' && Number.isFinite(value) },
+    string: { name: 'a string', test: value => typeof value === 'string' },
+    'string[]': { name: 'an array of strings', test: value => Array.isArray(value) && value.every(item => typeof item === 'string') },
+    object: { name: 'an object', test: value => value !== null && typeof value === 'object' && !Array.isArray(value) }
+};
+
+// Every problem with a configuration object, each prefixed with where it was found
+function validateConfig(config, location, isOverride = false) {
+    if (!CONFIG_VALUE_KINDS.object.test(config)) return [`${location} must be an object`];
+
+    const errors = [];
+    Object.entries(config).forEach(([key, value]) => {
+        const rule = CONFIG_SCHEMA[key];
+        if (!rule) {
+            errors.push(`${location}: unknown option '${key}'`);
+        } else if (rule.renamedTo && config[rule.renamedTo] !== undefined) {
+            errors.push(`${location}: '${key}' is the old name of '${rule.renamedTo}'; set only one of them`);
+        } else if (isOverride && rule.scope === 'run') {
+            errors.push(`${location}: '${key}' applies to the whole run and cannot be overridden`);
+        } else if (rule.values && !rule.values.includes(value)) {
+            errors.push(`${location}: '${key}' must be one of ${rule.values.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`);
+        } else if (rule.type && !rule.type.some(kind => CONFIG_VALUE_KINDS[kind].test(value))) {
+            errors.push(`${location}: '${key}' must be ${rule.type.map(kind => CONFIG_VALUE_KINDS[kind].name).join(' or ')}, got ${Number.isNaN(value) ? 'NaN' : JSON.stringify(value)}`);
+        } else if (rule.min !== undefined && (value < rule.min || value > rule.max)) {
+            errors.push(`${location}: '${key}' must be between ${rule.min} and ${rule.max}, got ${value}`);
         }
-        return declarations;
+    });
+
+    if (!isOverride && CONFIG_VALUE_KINDS.object.test(config.overrides)) {
+        Object.entries(config.overrides).forEach(([pattern, section]) => {
+            errors.push(...validateConfig(section, `${location} overrides["${pattern}"]`, true));
+        });
     }
+    return errors;
 }
 
-class JSToTSTranspiler {
-    constructor(options = {}) {
-        this.options = {
-            strictMode: false,
-            inferTypes: true,
-            generateInterfaces: true,
-            preserveComments: true,
-            addExplicitAny: false,
-            ...options
-        };
-        this.typeInferrer = new TypeInferrer();
-        this.interfaceGenerator = new InterfaceGenerator();
-        this.imports = new Set();
-        this.exports = new Set();
+// Finds and reads `.js2tsrc.json`, `.js2tsrc.js` or the `js2ts` key of `package.json`
+class ConfigLoader {
+    // The nearest configuration in the directory of `startPath` or above it, or null
+    async find(startPath) {
+        let dirPath = path.resolve(startPath);
+        const stats = await fs.stat(dirPath).catch(() => null);
+        if (!stats || !stats.isDirectory()) dirPath = path.dirname(dirPath);
+
+        for (;;) {
+            for (const name of CONFIG_FILES) {
+                const config = await this.read(path.join(dirPath, name));
+                if (config) return config;
+            }
+            const parent = path.dirname(dirPath);
+            if (parent === dirPath) return null;
+            dirPath = parent;
+        }
     }
 
-    async transpile(inputPath, outputPath) {
+    // The configuration in `configPath`, or null when it does not exist or is a `package.json` without one
+    async read(configPath) {
+        let content;
         try {
-            const jsCode = await fs.readFile(inputPath, 'utf8');
-            const tsCode = this.transpileCode(jsCode);
-            
-            await fs.writeFile(outputPath, tsCode);
-            console.log(`✅ Successfully transpiled ${inputPath} to ${outputPath}`);
-            
-            return {
-                success: true,
-                inputPath,
-                outputPath,
-                generatedInterfaces: this.interfaceGenerator.interfaces.size
-            };
+            content = await fs.readFile(configPath, 'utf8');
         } catch (error) {
-            console.error(`❌ Error transpiling ${inputPath}:`, error.message);
+            if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
             throw error;
         }
-    }
 
-    transpileCode(jsCode) {
-        let ast;
-        try {
-            ast = acorn.parse(jsCode, {
-                ecmaVersion: 2022,
-                sourceType: 'module',
-                allowImportExportEverywhere: true,
-                allowReturnOutsideFunction: true
-            });
-        } catch (parseError) {
-            throw new Error(`Parse error: ${parseError.message}`);
+        let data;
+        if (path.extname(configPath) === '.js') {
+            data = require(path.resolve(configPath));
+        } else {
+            try {
+                data = JSON.parse(content);
+            } catch (error) {
+                throw new Error(`${configPath} is not valid JSON: ${error.message}`);
+            }
         }
 
-        this.processAST(ast);
-        
-        const tsCode = generate(ast);
-        const interfaces = this.interfaceGenerator.getInterfaceDeclarations();
-        
-        let result = '';
-        if (interfaces.length > 0) {
-            result += interfaces.join('\n\n') + '\n\n';
+        if (path.basename(configPath) === 'package.json') {
+            if (data.js2ts === undefined) return null;
+            data = data.js2ts;
         }
-        result += tsCode;
-        
-        return result;
+        return this.normalize(data, configPath);
     }
 
-    processAST(ast) {
-        const self = this;
+    // Paths in the file are relative to it; override globs match paths relative to its directory
+    normalize(data, configPath) {
+        const errors = validateConfig(data, configPath);
+        if (errors.length > 0) throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
 
-        walk.simple(ast, {
-            VariableDeclaration(node) {
-                self.processVariableDeclaration(node);
-            },
-            FunctionDeclaration(node) {
-                self.processFunctionDeclaration(node);
-            },
-            ArrowFunctionExpression(node) {
-                self.processArrowFunction(node);
-            },
-            FunctionExpression(node) {
-                self.processFunctionExpression(node);
-            },
-            ClassDeclaration(node) {
-                self.processClassDeclaration(node);
-            },
-            ObjectExpression(node) {
-                self.processObjectExpression(node);
-            },
-            CallExpression(node) {
-                self.processCallExpression(node);
-            }
+        Object.entries(CONFIG_SCHEMA).forEach(([key, rule]) => {
+            if (!rule.renamedTo || data[key] === undefined) return;
+            console.warn(`⚠️  ${configPath}: '${key}' is deprecated, use '${rule.renamedTo}' instead`);
+            const { [key]: value, ...rest } = data;
+            data = { ...rest, [rule.renamedTo]: value };
         });
-    }
 
-    processVariableDeclaration(node) {
-        node.declarations.forEach(declaration => {
-            if (declaration.init && this.options.inferTypes) {
-                const inferredType = this.typeInferrer.inferType(declaration.init);
-                
-                if (inferredType !== 'unknown' || this.options.addExplicitAny) {
-                    declaration.id.typeAnnotation = this.createTypeAnnotation(
-                        inferredType === 'unknown' ? 'any' : inferredType
-                    );
-                }
-            }
-        });
-    }
+        const baseDir = path.dirname(path.resolve(configPath));
+        const { overrides = {}, declarations, outDir, ...options } = data;
+        if (outDir !== undefined) options.outDir = path.resolve(baseDir, outDir);
+        if (typeof declarations === 'string') {
+            options.declarationsFile = path.resolve(baseDir, declarations);
+        } else if (declarations) {
+            options.declarations = declarations;
+        }
 
-    processFunctionDeclaration(node) {
-        this.addParameterTypes(node);
-        this.addReturnType(node);
+        return {
+            path: configPath,
+            options,
+            overrides: Object.entries(overrides).map(([pattern, section]) => ({ pattern, baseDir, options: section }))
+        };
     }
+}
 
-    processArrowFunction(node) {
-        this.addParameterTypes(node);
-        // Return type inference for arrow functions
-        if (node.body.type !== 'BlockStatement') {
-            const returnType = this.typeInferrer.inferType(node.body);
-            if (returnType !== 'unknown') {
-                node.returnType = this.createTypeAnnotation(returnType);
-            }
-        }
-    }
+// Configuration sits below the command line: flags win over the file and over its override sections
+function applyConfig(config, cliOptions) {
+    if (!config) return cliOptions;
 
-    processFunctionExpression(node) {
-        this.addParameterTypes(node);
-        this.addReturnType(node);
-    }
+    const overrides = config.overrides.map(override => {
+        const options = { ...override.options };
+        Object.keys(cliOptions).forEach(key => delete options[key]);
+        return { ...override, options };
+    });
+    return { ...config.options, ...cliOptions, overrides };
+}
 
-    processClassDeclaration(node) {
-        node.body.body.forEach(member => {
-            if (member.type === 'ClassProperty' && member.value) {
-                const inferredType = this.typeInferrer.inferType(member.value);
-                if (inferredType !== 'unknown') {
-                    member.typeAnnotation = this.createTypeAnnotation(inferredType);
-                }
-            } else if (member.type === 'MethodDefinition') {
-                this.addParameterTypes(member.value);
-                this.addReturnType(member.value);
-            }
-        });
-    }
+// The options of one file: the run's options with every matching override section applied in order
+function optionsForFile(options, filePath) {
+    if (!options.overrides || options.overrides.length === 0) return options;
 
-    processObjectExpression(node) {
-        if (this.options.generateInterfaces && this.isComplexObject(node)) {
-            const objectType = this.typeInferrer.inferObjectType(node);
-            const interfaceName = this.interfaceGenerator.generateInterface(objectType);
-            
-            // Add type assertion
-            node.typeAssertion = interfaceName;
-        }
-    }
+    return options.overrides.reduce((fileOptions, override) => {
+        const relativePath = path.relative(override.baseDir, path.resolve(filePath)).split(path.sep).join('/');
+        if (relativePath.startsWith('../') || !matchesGlob(relativePath, override.pattern)) return fileOptions;
+        return { ...fileOptions, ...override.options };
+    }, options);
+}
 
-    processCallExpression(node) {
-        // Handle specific function calls that might need type annotations
-        if (node.callee.name === 'require' && node.arguments[0]?.type === 'Literal') {
-            // Convert require to import if in module context
-            const moduleName = node.arguments[0].value;
-            this.imports.add(moduleName);
-        }
-    }
+const SEVERITIES = ['error', 'warning', 'info'];
 
-    addParameterTypes(functionNode) {
-        functionNode.params.forEach(param => {
-            if (!param.typeAnnotation) {
-                let paramType = 'unknown';
-                
-                if (this.options.inferTypes) {
-                    paramType = this.typeInferrer.inferParameterType(param, functionNode.body);
-                }
-                
-                if (paramType === 'unknown' && this.options.addExplicitAny) {
-                    paramType = 'any';
-                }
-                
-                if (paramType !== 'unknown') {
-                    param.typeAnnotation = this.createTypeAnnotation(paramType);
-                }
-            }
-        });
-    }
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
 
-    addReturnType(functionNode) {
-        if (!functionNode.returnType && functionNode.body) {
-            const returnType = this.typeInferrer.inferReturnType(functionNode.body);
-            if (returnType !== 'unknown' || this.options.addExplicitAny) {
-                functionNode.returnType = this.createTypeAnnotation(
-                    returnType === 'unknown' ? 'any' : returnType
-                );
-            }
-        }
+// Migration progress of a run: inference coverage and diagnostics for each file and for the
+// whole project, printable as JSON, Markdown or a standalone HTML page
+class MigrationReport {
+    constructor(results, generatedAt = new Date()) {
+        this.generatedAt = generatedAt.toISOString();
+        this.files = results.map(({ inputPath, outputPath, coverage, diagnostics }) => ({
+            file: inputPath,
+            output: outputPath,
+            coverage: coverage || { typed: 0, untyped: 0, total: 0, percentage: 100, untypedBindings: [] },
+            diagnostics: diagnostics || []
+        }));
+        this.summary = this.summarize();
     }
 
-    createTypeAnnotation(typeString) {
+    summarize() {
+        const sum = read => this.files.reduce((total, file) => total + read(file), 0);
+        const typed = sum(file => file.coverage.typed);
+        const total = sum(file => file.coverage.total);
+        const diagnostics = {};
+        SEVERITIES.forEach(severity => {
+            diagnostics[severity] = sum(file => file.diagnostics.filter(diagnostic => diagnostic.severity === severity).length);
+        });
+
         return {
-            type: 'TSTypeAnnotation',
-            typeAnnotation: this.parseTypeString(typeString)
+            files: this.files.length,
+            typed,
+            untyped: total - typed,
+            total,
+            percentage: total > 0 ? Math.round(typed / total * 1000) / 10 : 100,
+            diagnostics
         };
     }
 
-    parseTypeString(typeString) {
-        // Basic type parsing - could be expanded
-        const baseTypes = ['string', 'number', 'boolean', 'void', 'any', 'unknown', 'null', 'undefined'];
-        
-        if (baseTypes.includes(typeString)) {
-            return {
-                type: typeString === 'any' ? 'TSAnyKeyword' :
-                      typeString === 'string' ? 'TSStringKeyword' :
-                      typeString === 'number' ? 'TSNumberKeyword' :
-                      typeString === 'boolean' ? 'TSBooleanKeyword' :
-                      typeString === 'void' ? 'TSVoidKeyword' :
-                      typeString === 'unknown' ? 'TSUnknownKeyword' :
-                      typeString === 'null' ? 'TSNullKeyword' :
-                      'TSUndefinedKeyword'
-            };
-        }
-        
-        if (typeString.endsWith('[]')) {
-            return {
-                type: 'TSArrayType',
-                elementType: this.parseTypeString(typeString.slice(0, -2))
-            };
-        }
-        
-        if (typeString.includes('|')) {
-            return {
-                type: 'TSUnionType',
-                types: typeString.split('|').map(t => this.parseTypeString(t.trim()))
-            };
+    format(format) {
+        switch (format) {
+            case 'json':
+                return JSON.stringify({ generatedAt: this.generatedAt, summary: this.summary, files: this.files }, null, 2) + '\n';
+            case 'markdown':
+                return this.toMarkdown();
+            case 'html':
+                return this.toHTML();
+            default:
+                throw new Error(`Unknown report format '${format}'; use ${Object.keys(REPORT_FORMATS).join(', ')}`);
         }
-        
-        // Object or function type
-        return {
-            type: 'TSTypeReference',
-            typeName: { type: 'Identifier', name: typeString }
-        };
     }
 
-    isComplexObject(node) {
-        return node.properties.length > 2 || 
-               node.properties.some(prop => 
-                   prop.value?.type === 'ObjectExpression' || 
-                   prop.value?.type === 'ArrayExpression'
-               );
+    toMarkdown() {
+        const cell = text => String(text).replace(/\|/g, '\\|');
+        const { summary } = this;
+        const lines = [
+            '# Migration Report',
+            '',
+            `Generated ${this.generatedAt}`,
+            '',
+            '| Files | Typed | Untyped | Coverage | Errors | Warnings |',
+            '| --- | --- | --- | --- | --- | --- |',
+            `| ${summary.files} | ${summary.typed} | ${summary.untyped} | ${summary.percentage}% | ${summary.diagnostics.error} | ${summary.diagnostics.warning} |`,
+            '',
+            '## Files',
+            '',
+            '| File | Typed | Untyped | Coverage | Diagnostics |',
+            '| --- | --- | --- | --- | --- |',
+            ...this.files.map(({ file, coverage, diagnostics }) =>
+                `| ${cell(file)} | ${coverage.typed} | ${coverage.untyped} | ${coverage.percentage}% | ${diagnostics.length} |`
+            )
+        ];
+
+        const withFindings = this.files.filter(file => file.diagnostics.length > 0 || file.coverage.untypedBindings.length > 0);
+        if (withFindings.length > 0) lines.push('', '## Findings');
+        withFindings.forEach(({ file, diagnostics, coverage }) => {
+            lines.push('', `### ${file}`, '');
+            diagnostics.forEach(diagnostic => {
+                lines.push(`- **${diagnostic.severity}** \`${diagnostic.code}\` ${diagnostic.line}:${diagnostic.column} ${diagnostic.message}`);
+            });
+            coverage.untypedBindings.forEach(binding => {
+                lines.push(`- **untyped** ${binding.kind} \`${binding.name}\` ${binding.line}:${binding.column} ${binding.reason}`);
+            });
+        });
+        return lines.join('\n') + '\n';
     }
-}
 
-class TranspilerCLI {
-    constructor() {
-        this.transpiler = new JSToTSTranspiler();
+    toHTML() {
+        const { summary } = this;
+        const row = cells => `<tr>${cells.map(text => `<td>${escapeHTML(text)}</td>`).join('')}</tr>`;
+        const fileRows = this.files.map(({ file, coverage, diagnostics }) =>
+            row([file, coverage.typed, coverage.untyped, `${coverage.percentage}%`, diagnostics.length])
+        );
+        const findingRow = (kind, cells) => `<tr class="${kind}">${cells.map(text => `<td>${escapeHTML(text)}</td>`).join('')}</tr>`;
+        const findingRows = this.files.flatMap(({ file, diagnostics, coverage }) => [
+            ...diagnostics.map(diagnostic => findingRow(diagnostic.severity,
+                [file, `${diagnostic.line}:${diagnostic.column}`, diagnostic.severity, diagnostic.code, diagnostic.message])),
+            ...coverage.untypedBindings.map(binding => findingRow('untyped',
+                [file, `${binding.line}:${binding.column}`, 'untyped', binding.kind, `'${binding.name}' ${binding.reason}`]))
+        ]);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Migration Report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }
+th { background: #f4f4f4; }
+.error td { color: #b00020; }
+.warning td { color: #8a6100; }
+.info td, .untyped td { color: #666; }
+</style>
+</head>
+<body>
+<h1>Migration Report</h1>
+<p>Generated ${escapeHTML(this.generatedAt)}</p>
+<table>
+<tr><th>Files</th><th>Typed</th><th>Untyped</th><th>Coverage</th><th>Errors</th><th>Warnings</th></tr>
+${row([summary.files, summary.typed, summary.untyped, `${summary.percentage}%`, summary.diagnostics.error, summary.diagnostics.warning])}
+</table>
+<h2>Files</h2>
+<table>
+<tr><th>File</th><th>Typed</th><th>Untyped</th><th>Coverage</th><th>Diagnostics</th></tr>
+${fileRows.join('\n')}
+</table>
+<h2>Findings</h2>
+<table>
+<tr><th>File</th><th>Location</th><th>Severity</th><th>Code</th><th>Message</th></tr>
+${findingRows.join('\n')}
+</table>
+</body>
+</html>
+`;
     }
+}
 
+class TranspilerCLI {
     async run() {
         const args = process.argv.slice(2);
         
@@ -432,15 +7320,43 @@ class TranspilerCLI {
             return;
         }
 
-        const options = this.parseArgs(args);
+        const cliOptions = this.parseArgs(args);
         
         try {
+            this.validateOptions(cliOptions);
+            const config = await this.loadConfig(cliOptions);
+            if (config) console.log(`🔄 Using configuration from ${config.path}`);
+            const options = applyConfig(config, cliOptions);
+            if (options.jobs !== undefined && !(Number.isInteger(options.jobs) && options.jobs > 0)) {
+                throw new Error(`--jobs needs a positive whole number, got ${options.jobs}`);
+            }
+
+            if (options.declarationsFile) {
+                options.declarations = JSON.parse(await fs.readFile(options.declarationsFile, 'utf8'));
+            }
+
+            if (options.watch) {
+                if (!options.directory && !options.input) throw new Error('--watch needs an input file (-i) or a directory (-d)');
+                if (options.deleteSource || options.renameSource) throw new Error('--watch cannot replace the sources it watches');
+                await new TranspileWatcher(this, options).start();
+                return;
+            }
+
+            let results = [];
             if (options.directory) {
-                await this.transpileDirectory(options.directory, options);
-            } else if (options.input && options.output) {
-                await this.transpiler.transpile(options.input, options.output);
+                results = await this.transpileDirectory(options.directory, options);
+            } else if (options.input) {
+                const outputPath = options.output || getOutputPath(options.input, options);
+                results = [await new JSToTSTranspiler(optionsForFile(options, options.input)).transpile(options.input, outputPath)];
             } else {
-                await this.transpileDefault();
+                results = await this.transpileDefault(options);
+            }
+            await this.replaceSources(results, options);
+            if (options.report) await this.writeReport(results, options);
+
+            // Type errors left after `--check` fail the run
+            if (results.some(result => result.diagnostics.some(diagnostic => diagnostic.severity === 'error'))) {
+                process.exitCode = 1;
             }
         } catch (error) {
             console.error('❌ Transpilation failed:', error.message);
@@ -448,6 +7364,26 @@ class TranspilerCLI {
         }
     }
 
+    // `--config` names the file, `--no-config` skips discovery; otherwise the nearest one to the input is used
+    async loadConfig(cliOptions) {
+        if (cliOptions.config === false) return null;
+
+        const loader = new ConfigLoader();
+        if (cliOptions.config) {
+            const config = await loader.read(cliOptions.config);
+            if (!config) throw new Error(`No configuration found in ${cliOptions.config}`);
+            return config;
+        }
+        return loader.find(cliOptions.directory || cliOptions.input || process.cwd());
+    }
+
+    // Flags take the same values as the configuration keys they set
+    validateOptions(cliOptions) {
+        const configOptions = Object.fromEntries(Object.entries(cliOptions).filter(([key]) => CONFIG_SCHEMA[key]));
+        const errors = validateConfig(configOptions, 'command line');
+        if (errors.length > 0) throw new Error(`Invalid options:\n  ${errors.join('\n  ')}`);
+    }
+
     parseArgs(args) {
         const options = {};
         
@@ -479,6 +7415,95 @@ class TranspilerCLI {
                 case '--explicit-any':
                     options.addExplicitAny = true;
                     break;
+                case '--no-comments':
+                    options.preserveComments = false;
+                    break;
+                case '--minimal-diff':
+                    options.minimalDiff = true;
+                    break;
+                case '--no-jsdoc':
+                    options.useJSDoc = false;
+                    break;
+                case '--strip-jsdoc-types':
+                    options.stripJSDocTypes = true;
+                    break;
+                case '--call-site-confidence':
+                    options.callSiteConfidence = parseFloat(args[++i]);
+                    break;
+                case '--declarations':
+                    options.declarationsFile = args[++i];
+                    break;
+                case '--project':
+                    options.project = true;
+                    break;
+                case '--no-convert-modules':
+                    options.convertModules = false;
+                    break;
+                case '--module-interop':
+                    options.moduleInterop = args[++i];
+                    break;
+                case '--underscore-accessibility':
+                    options.underscoreAccessibility = args[++i];
+                    break;
+                case '--type-aliases':
+                    options.objectTypeStyle = 'type';
+                    break;
+                case '--declaration':
+                    options.declaration = true;
+                    break;
+                case '--watch':
+                    options.watch = true;
+                    break;
+                case '--jobs':
+                case '-j':
+                    options.jobs = Number(args[++i]);
+                    break;
+                case '--report':
+                    options.report = args[++i];
+                    break;
+                case '--report-file':
+                    options.reportFile = args[++i];
+                    break;
+                case '--config':
+                    options.config = args[++i];
+                    break;
+                case '--no-config':
+                    options.config = false;
+                    break;
+                case '--out-dir':
+                    options.outDir = args[++i];
+                    break;
+                case '--include':
+                    options.include = (options.include || []).concat(args[++i]);
+                    break;
+                case '--exclude':
+                    options.exclude = (options.exclude || []).concat(args[++i]);
+                    break;
+                case '--no-gitignore':
+                    options.gitignore = false;
+                    break;
+                case '--delete-source':
+                    options.deleteSource = true;
+                    break;
+                case '--rename-source':
+                    options.renameSource = true;
+                    break;
+                case '--source-map':
+                    options.sourceMap = true;
+                    break;
+                case '--literal-types':
+                    options.literalTypes = args[++i];
+                    break;
+                case '--check':
+                    options.check = true;
+                    break;
+                case '--auto-downgrade':
+                    options.check = true;
+                    options.autoDowngrade = true;
+                    break;
+                case '--downgrade-type':
+                    options.downgradeType = args[++i];
+                    break;
                 case '-h':
                 case '--help':
                     this.showHelp();
@@ -490,37 +7515,114 @@ class TranspilerCLI {
         return options;
     }
 
-    async transpileDefault() {
+    async transpileDefault(options) {
         const inputFile = 'input.js';
         const outputFile = 'output.ts';
         
         try {
             await fs.access(inputFile);
-            await this.transpiler.transpile(inputFile, outputFile);
+            return [await new JSToTSTranspiler(optionsForFile(options, inputFile)).transpile(inputFile, outputFile)];
         } catch (error) {
             if (error.code === 'ENOENT') {
                 console.error(`❌ Input file '${inputFile}' not found. Please create it or specify custom paths.`);
-            } else {
-                throw error;
+                return [];
             }
+            throw error;
         }
     }
 
     async transpileDirectory(dirPath, options) {
-        const files = await fs.readdir(dirPath);
-        const jsFiles = files.filter(file => file.endsWith('.js'));
+        const jsFiles = await new SourceFileFinder(options).find(dirPath);
         
         console.log(`🔄 Transpiling ${jsFiles.length} JavaScript files...`);
-        
-        for (const file of jsFiles) {
-            const inputPath = path.join(dirPath, file);
-            const outputPath = path.join(dirPath, file.replace('.js', '.ts'));
-            
-            const transpiler = new JSToTSTranspiler(options);
-            await transpiler.transpile(inputPath, outputPath);
+        const started = performance.now();
+        const entries = jsFiles.map(inputPath => ({ inputPath, outputPath: getOutputPath(inputPath, options, dirPath) }));
+        // Project mode needs every module in one place, so it always runs on this thread
+        let jobs = options.project ? 1 : Math.min(options.jobs || os.cpus().length, entries.length);
+        if (jobs > 1 && !canSendToWorkers(options)) jobs = 1;
+
+        let results = [];
+        if (options.project) {
+            results = await new ProjectTranspiler(options).transpile(entries);
+        } else if (jobs > 1) {
+            results = await new TranspilePool(options, jobs).run(entries);
+        } else {
+            for (const { inputPath, outputPath } of entries) {
+                const transpiler = new JSToTSTranspiler(optionsForFile(options, inputPath));
+                results.push(await transpiler.transpile(inputPath, outputPath));
+            }
         }
         
         console.log(`✅ Successfully transpiled all files in ${dirPath}`);
+        const workers = jobs > 1 ? ` on ${jobs} workers` : '';
+        console.log(`⏱️  ${formatTimings(results)} (${Math.round(performance.now() - started)}ms${workers})`);
+        if (options.declaration) await this.writeDeclarationIndex(dirPath, results, options);
+        return results;
+    }
+
+    // An `index.d.ts` re-exporting the declarations of every file below the directory
+    async writeDeclarationIndex(dirPath, results, options = {}) {
+        if (results.some(result => /^index\.[mc]?js$/.test(path.relative(dirPath, result.inputPath)))) {
+            console.warn(`⚠️  ${dirPath} has its own index.js; not generating an aggregate index.d.ts`);
+            return;
+        }
+
+        const outputRoot = options.outDir || dirPath;
+        const lines = [];
+        results.forEach(({ inputPath, outputPath, declarationExports }) => {
+            if (!declarationExports) return;
+            if (declarationExports.assignment) {
+                console.warn(`⚠️  ${inputPath} uses export =, which index.d.ts cannot re-export`);
+                return;
+            }
+
+            // `sub/util.d.ts` is imported as `./sub/util`, `util.d.mts` as `./util.mjs`
+            const relativePath = path.relative(outputRoot, outputPath).split(path.sep).join('/');
+            const specifier = './' + relativePath.replace(/\.d\.([mc]?)ts$/, (match, kind) => kind ? `.${kind}js` : '');
+            const name = relativePath.replace(/\.d\.[mc]?ts$/, '');
+            if (declarationExports.named) lines.push(`export * from '${specifier}';`);
+            if (declarationExports.default) lines.push(`export { default as ${toIdentifier(name)} } from '${specifier}';`);
+        });
+
+        const indexPath = path.join(outputRoot, 'index.d.ts');
+        await fs.writeFile(indexPath, lines.join('\n') + '\n');
+        console.log(`✅ Wrote ${indexPath}`);
+    }
+
+    // `--report <format>` writes js2ts-report.json, .html or .md, or `--report-file`
+    async writeReport(results, options) {
+        const report = new MigrationReport(results);
+        const reportPath = options.reportFile || `js2ts-report${REPORT_FORMATS[options.report] || ''}`;
+        await fs.writeFile(reportPath, report.format(options.report));
+
+        const { summary } = report;
+        const files = `${summary.files} file${summary.files === 1 ? '' : 's'}`;
+        console.log(`📊 Inference coverage: ${summary.percentage}% (${summary.typed} of ${summary.total} bindings typed across ${files})`);
+        console.log(`✅ Wrote ${reportPath}`);
+    }
+
+    // `--rename-source` moves each JavaScript file onto its output so version control sees
+    // a rename, `--delete-source` removes it
+    async replaceSources(results, options) {
+        if (!options.renameSource && !options.deleteSource) return;
+        if (options.declaration) {
+            console.warn('⚠️  Declarations do not replace their sources; keeping the JavaScript files');
+            return;
+        }
+
+        for (const { inputPath, outputPath } of results) {
+            if (options.renameSource) {
+                const code = await fs.readFile(outputPath, 'utf8');
+                const tracked = await moveFile(inputPath, outputPath);
+                await fs.writeFile(outputPath, code);
+                // `git mv` staged the JavaScript under the new name
+                if (tracked) await runGit(['add', path.resolve(outputPath)], outputPath);
+                console.log(`🔄 Renamed ${inputPath} to ${outputPath}`);
+            } else {
+                await fs.unlink(inputPath);
+                console.log(`🔄 Deleted ${inputPath}`);
+            }
+        }
     }
 
     showHelp() {
@@ -533,17 +7635,48 @@ USAGE:
 OPTIONS:
   -i, --input <file>      Input JavaScript file
   -o, --output <file>     Output TypeScript file
-  -d, --directory <dir>   Transpile all .js files in directory
-  --strict                Enable strict mode
+  -d, --directory <dir>   Transpile all .js, .mjs and .cjs files below directory
+  --out-dir <dir>         Write output into dir, mirroring the source tree
+  --include <glob>        Only transpile matching files (repeatable)
+  --exclude <glob>        Skip matching files (repeatable)
+  --no-gitignore          Also transpile files listed in .gitignore
+  --delete-source         Delete the JavaScript files once transpiled
+  --rename-source         Move each JavaScript file onto its output (git mv when tracked)
+  --strict                Strict inference: no implicit any, nullish and optional members, unknown on conflicts
   --no-infer             Disable type inference
   --no-interfaces        Don't generate interfaces
   --explicit-any         Add explicit 'any' types
+  --no-comments          Drop comments and blank lines from the output
+  --minimal-diff         Insert annotations into the original source text
+  --no-jsdoc             Ignore JSDoc type annotations
+  --strip-jsdoc-types    Remove JSDoc types that became TypeScript annotations
+  --call-site-confidence <n>  Share of call sites (0-1) with a known argument type needed to type a parameter
+  --declarations <file>  JSON file with extra built-in type declarations
+  --project              Infer types across files when transpiling a directory
+  --no-convert-modules   Keep CommonJS require/module.exports as is
+  --module-interop <mode>  Import style for require(): default, namespace or require
+  --underscore-accessibility <modifier>  Mark _-prefixed class members private or protected
+  --type-aliases         Declare generated object types as type aliases
+  --declaration          Write .d.ts declarations instead of TypeScript (and an index.d.ts for -d)
+  --source-map           Write a .ts.map source map beside each output file
+  --literal-types <style>  Turn constant objects into enum or const objects and infer literal unions
+  --check                Type-check the output with the TypeScript compiler
+  --auto-downgrade       With --check, replace inferred types that fail to compile
+  --downgrade-type <t>   Type used by --auto-downgrade: any (default) or unknown
+  --watch                Transpile again whenever a source file changes
+  -j, --jobs <n>         Transpile a directory on n worker threads (default: CPU count)
+  --report <format>      Write a migration report: json, html or markdown
+  --report-file <file>   Where to write the report (default js2ts-report.<ext>)
+  --config <file>        Read options from this file instead of the nearest .js2tsrc.json, .js2tsrc.js or package.json
+  --no-config            Ignore configuration files
   -h, --help             Show this help
 
 EXAMPLES:
   node transpiler.js                           # Transpile input.js to output.ts
   node transpiler.js -i app.js -o app.ts      # Transpile specific files
+  node transpiler.js -i app.js                # Write app.ts next to app.js
   node transpiler.js -d ./src --strict        # Transpile directory in strict mode
+  node transpiler.js -d ./src --out-dir ./ts --exclude "*.test.js"  # Mirror src into ts
         `);
     }
 }
@@ -552,12 +7685,24 @@ EXAMPLES:
 module.exports = {
     JSToTSTranspiler,
     TypeInferrer,
+    BuiltinCatalog,
     InterfaceGenerator,
-    TranspilerCLI
+    JSDocParser,
+    ModuleConverter,
+    ProjectTranspiler,
+    ConfigLoader,
+    MigrationReport,
+    TypeStringParser,
+    TypeChecker,
+    TranspilerCLI,
+    TranspileWatcher,
+    TS_GENERATOR
 };
 
 // Run CLI if executed directly
-if (require.main === module) {
+if (!isMainThread && workerData && workerData.transpilePool) {
+    runPoolWorker(workerData);
+} else if (require.main === module) {
     const cli = new TranspilerCLI();
     cli.run().catch(console.error);
 }
\ No newline at end of file